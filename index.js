@@ -7,25 +7,86 @@
  * their capabilities and structure.
  * 
  * Usage:
- *   npx @karpeleslab/klbfw-describe [options] <api-path>
+ *   npx @karpeleslab/klbfw-describe [options] [api-path ...]
+ *   npx @karpeleslab/klbfw-describe snapshot [api-path] [--recursive] [-o file]
+ *   npx @karpeleslab/klbfw-describe diff <old.json> [new.json]
+ *   npx @karpeleslab/klbfw-describe call [METHOD] <api-path> [--data json] [--param k=v]
+ *   npx @karpeleslab/klbfw-describe cache clear
+ *   npx @karpeleslab/klbfw-describe shell
+ *   npx @karpeleslab/klbfw-describe search <query> [--limit n]
+ *   npx @karpeleslab/klbfw-describe site --out <dir> [api-path]
  * 
  * Options:
  *   --raw          Show raw JSON output without formatting
  *   --ts, --types  Generate TypeScript type definitions
+ *   --zod          Generate Zod validation schemas
+ *   --jsonschema   Generate JSON Schema definitions
  *   --get          Perform a GET request instead of OPTIONS
- *   --doc [file]   Fetch documentation from GitHub (default: README.md)
+ *   --data <json>  With call, JSON body (@file.json reads a file, @- stdin)
+ *   --param <k=v>  With call, add a query parameter (repeatable)
+ *   --file <n=path>  With call, upload a file (repeatable)
+ *   --yes          With call, confirm a PUT, PATCH or DELETE request
+ *   --dry-run      With call, print the request instead of sending it
+ *   --no-validate  With call, skip the client-side argument validation
+ *   --openapi      Export the endpoint as an OpenAPI 3.1 JSON document
+ *   --erd [format] Export the entity relationship diagram (mermaid, dot, plantuml)
+ *   --relations    List the endpoints referencing the path (crawls the whole API)
+ *   --out <path>   With --ts, write a TypeScript SDK into the <path> directory;
+ *                  with site, write the HTML pages into it; with --openapi or
+ *                  --erd, write to the <path> file
+ *   --recursive    With --ts --out, --openapi or snapshot, include all the endpoints below the path
+ *   --tree         Recursively list the API tree below the path (or the root)
+ *   --depth <n>    With --tree, search, site or path globs, limit the crawl depth
+ *   --json         Write only JSON to stdout, messages go to stderr
+ *   --ndjson       With --tree, write one JSON line per endpoint
+ *   --markdown     Output markdown instead of colored text
+ *   --doc [file]   List the integration docs from GitHub, or show one document
+ *   --search <t>   With --doc, search all integration docs for a term
+ *   --limit <n>    With search, number of results (default: 20)
  *   --mcp          Start an MCP server on stdio for programmatic access
+ *   --http <port>  With --mcp, serve MCP over Streamable HTTP and SSE instead of stdio
+ *   --listen <addr>  With --http, address to listen on (default: 127.0.0.1)
+ *   --mcp-token <t>  With --http, require this bearer token from the clients
+ *   --cors <origins>  With --http, origins allowed to call the server from a browser
+ *   --offline [snapshot.json]  Only use cached responses (or a snapshot), send no request
+ *   --no-cache     Do not read or write the response cache
+ *   --cache-ttl <s>  Revalidate cached responses older than <s> seconds (default: 3600)
+ *   --timeout <s>  Abort requests taking longer than <s> seconds (default: 30)
+ *   --retries <n>  Retry failed requests up to <n> times (default: 2)
+ *   --ca <file>    Trust the CA certificates of a PEM bundle
+ *   --host <host>  API host to use (default: ws.atonline.com)
+ *   --prefix <p>   API path prefix (default: /_rest/)
+ *   --profile <n>  Use a named environment profile from the config files
+ *   --token <t>    Send a bearer token
+ *   --cookie <c>   Send a session cookie
+ *   --api-key <k>  Sign requests with a KLB API key (with --api-secret <s>)
  * 
  * Examples:
+ *   npx @karpeleslab/klbfw-describe
  *   npx @karpeleslab/klbfw-describe User
  *   npx @karpeleslab/klbfw-describe Misc/Debug
  *   npx @karpeleslab/klbfw-describe Misc/Debug:testUpload
  *   npx @karpeleslab/klbfw-describe --raw User
  *   npx @karpeleslab/klbfw-describe --ts User
+ *   npx @karpeleslab/klbfw-describe --zod User
+ *   npx @karpeleslab/klbfw-describe --ts User 'User/*' 'Order/**:create'
+ *   npx @karpeleslab/klbfw-describe --ts --out src/api --recursive User
+ *   npx @karpeleslab/klbfw-describe --openapi --recursive -o openapi.json
+ *   npx @karpeleslab/klbfw-describe snapshot User --recursive -o api.json
+ *   npx @karpeleslab/klbfw-describe diff api.json
  *   npx @karpeleslab/klbfw-describe --get User/ce8b57ca-8961-49c5-863a-b79ab3e1e4a0
+ *   npx @karpeleslab/klbfw-describe call POST User:login --data @login.json
+ *   npx @karpeleslab/klbfw-describe call DELETE User/ce8b57ca-8961-49c5-863a-b79ab3e1e4a0 --yes
+ *   npx @karpeleslab/klbfw-describe --tree User --depth 2
+ *   npx @karpeleslab/klbfw-describe search refund
+ *   npx @karpeleslab/klbfw-describe site --out docs
  *   npx @karpeleslab/klbfw-describe --doc
  *   npx @karpeleslab/klbfw-describe --doc apibasics.md
+ *   npx @karpeleslab/klbfw-describe --doc --search upload
+ *   npx @karpeleslab/klbfw-describe --profile staging User
+ *   npx @karpeleslab/klbfw-describe --offline api.json --ts User
  *   npx @karpeleslab/klbfw-describe --mcp
+ *   npx @karpeleslab/klbfw-describe --mcp --http 3000 --mcp-token secret
  */
 
 import { processArguments } from './src/cli.js';
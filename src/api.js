@@ -1,976 +1,648 @@
-import https from 'https';
-import { parse } from 'url';
-import { DEFAULT_API_HOST, API_PREFIX, DOC_REPO_URL, colors } from './constants.js';
-import { formatMarkdown, createFormatter, stripParametersFromPath } from './utils.js';
+import { readFileSync } from 'fs';
+import { basename } from 'path';
+import { randomUUID } from 'crypto';
+import { DOC_REPO_URL, colors } from './constants.js';
+import { formatMarkdown, createFormatter, supportsColor, stripParametersFromPath } from './utils.js';
+import { resolveTarget, buildApiUrl, checkApiPath } from './config.js';
+import { resolveCredentials, applyCredentials, createRedactor, credentialsIdentity } from './auth.js';
+import { buildEndpointModel } from './model.js';
+import { cachedFetch, resolveCacheSettings, snapshotResponse } from './cache.js';
+import { httpRequest, resolveHttpSettings } from './http.js';
+import { ApiError } from './errors.js';
+import { formatEndpoint, formatRaw, formatTypeScript, formatZod, formatJsonSchema, formatJsonResponse, endpointJson } from './formatters.js';
+import { buildJsonSchemaDocument } from './jsonschema.js';
+
+// Methods supported by callApi()
+export const CALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Methods modifying data, which need an explicit confirmation
+export const DESTRUCTIVE_METHODS = ['PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Fetch a file of the documentation repository through the cache,
+ * resolving with its status code, headers and body text
+ */
+function fetchDocFile(fileName, accept, options = {}) {
+  const key = { type: 'doc', host: DOC_REPO_URL, path: fileName };
+  const { timeout, retries, caFile } = options;
+  
+  return cachedFetch(key, options, (conditionalHeaders) => httpRequest(`${DOC_REPO_URL}${fileName}`, {
+    headers: {
+      'Accept': accept,
+      ...conditionalHeaders
+    },
+    timeout,
+    retries,
+    caFile
+  }), `Documentation file ${fileName}`);
+}
 
 /**
  * Fetch the list of available documentation files
  * Returns resources in MCP format with klb://intdoc/ URI prefix
  */
-export function fetchDocFileList() {
-  return new Promise((resolve, reject) => {
-    const docUrl = parse(`${DOC_REPO_URL}list.json`);
-    
-    const reqOptions = {
-      hostname: docUrl.hostname,
-      path: docUrl.pathname,
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json'
-      }
-    };
-    
-    const req = https.request(reqOptions, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          resolve([]);
-          return;
-        }
-        
-        try {
-          // Parse the JSON response
-          const resources = JSON.parse(data);
-          
-          // Add klb://intdoc/ prefix to each resource URI
-          resources.forEach(resource => {
-            resource.uri = `klb://intdoc/${resource.uri}`;
-          });
-          
-          resolve(resources);
-        } catch (e) {
-          // Return empty array on parsing error
-          resolve([]);
-        }
-      });
-    });
+export async function fetchDocFileList(options = {}) {
+  const response = await fetchDocFile('list.json', 'application/json', options);
+  
+  if (response.statusCode !== 200) {
+    return [];
+  }
+  
+  try {
+    // Parse the JSON response
+    const resources = JSON.parse(response.body);
     
-    req.on('error', (e) => {
-      reject(e);
+    // Add klb://intdoc/ prefix to each resource URI
+    resources.forEach(resource => {
+      resource.uri = `klb://intdoc/${resource.uri}`;
     });
     
-    req.end();
-  });
+    return resources;
+  } catch (e) {
+    // Return empty array on parsing error
+    return [];
+  }
 }
 
 /**
- * Perform an OPTIONS request to the specified API endpoint
+ * Escape a name or file name of a Content-Disposition header
+ * 
+ * Quotes and line breaks are percent-encoded, as browsers do (RFC 7578
+ * section 2), so that they cannot end the value or the header.
  */
-export function describeApi(apiPath, options = {}) {
-  return new Promise((resolve, reject) => {
-    const { 
-      rawOutput = false, 
-      typeScriptOutput = false,
-      output = console.log,
-      useColors = true,
-      markdownFormat = false
-    } = options;
-    
-    const { printOutput, format } = createFormatter({ useColors, output });
-    
-    // Strip parameters from the path for OPTIONS request
-    const strippedPath = stripParametersFromPath(apiPath);
-    
-    if (markdownFormat) {
-      printOutput(`## Describing API endpoint: \`${apiPath}\``);
-      if (strippedPath !== apiPath) {
-        printOutput(`**Stripped path for OPTIONS:** \`${strippedPath}\``);
-      }
-      printOutput(`**Host:** ${DEFAULT_API_HOST}\n`);
-    } else {
-      printOutput(`\n${format(colors.bright + colors.blue, "Describing API endpoint:")} ${format(colors.green, apiPath)}`);
-      if (strippedPath !== apiPath) {
-        printOutput(`${format(colors.dim, "Stripped path for OPTIONS:")} ${format(colors.cyan, strippedPath)}`);
-      }
-      printOutput(`${format(colors.dim, "Host: " + DEFAULT_API_HOST)}\n`);
+function escapeDispositionValue(value) {
+  return String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * Build the body of a request
+ * 
+ * Data is sent as JSON, or as multipart/form-data when files are uploaded,
+ * non-string values being JSON encoded in their form field.
+ * 
+ * @param {Object|string|null} data - The request data, or a JSON string
+ * @param {Object} files - Local file paths to upload, keyed by field name
+ * @returns {{body: Buffer, contentType: string, preview: string}|null} The body and a printable preview, or null when there is nothing to send
+ */
+function buildRequestBody(data, files = {}) {
+  const fileFields = Object.keys(files);
+  
+  if (fileFields.length === 0) {
+    if (data === null || data === undefined) return null;
+    const json = typeof data === 'string' ? data : JSON.stringify(data);
+    const preview = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    return { body: Buffer.from(json), contentType: 'application/json', preview };
+  }
+  
+  const fields = typeof data === 'string' ? JSON.parse(data) : (data || {});
+  const boundary = `----klbfw-describe-${randomUUID()}`;
+  const parts = [];
+  const preview = [];
+  
+  for (const [name, value] of Object.entries(fields)) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    preview.push(`${name}=${text}`);
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${escapeDispositionValue(name)}"\r\n\r\n${text}\r\n`));
+  }
+  
+  for (const name of fileFields) {
+    const filePath = files[name];
+    let content;
+    try {
+      content = readFileSync(filePath);
+    } catch (e) {
+      throw new Error(`Unable to read upload file ${filePath}: ${e.message}`);
     }
-    
-    const reqUrl = parse(`https://${DEFAULT_API_HOST}${API_PREFIX}${strippedPath}`);
-    
-    const reqOptions = {
-      hostname: reqUrl.hostname,
-      path: reqUrl.path,
-      method: 'OPTIONS',
-      headers: {
-        'Accept': 'application/json'
-      }
-    };
-    
-    const req = https.request(reqOptions, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          if (markdownFormat) {
-            printOutput(`**Status:** ${res.statusCode}`);
-            printOutput(`**Error:** Unable to fetch API information`);
-          } else {
-            printOutput(`${format(colors.bright, "Status:")} ${format(colors.red, res.statusCode.toString())}`);
-            printOutput(`${format(colors.red, "Error: Unable to fetch API information")}`);
-          }
-          resolve();
-          return;
-        }
-        
-        try {
-          // Try to parse as JSON first
-          const jsonData = JSON.parse(data);
-          
-          if (rawOutput) {
-            // Raw JSON output without formatting
-            if (markdownFormat) {
-              printOutput(`\n### Raw Response:\n\`\`\`json\n${JSON.stringify(jsonData, null, 2)}\n\`\`\``);
-            } else {
-              printOutput('\n' + format(colors.bright, 'Raw Response:'));
-              printOutput(JSON.stringify(jsonData, null, 2));
-            }
-          } else if (typeScriptOutput) {
-            // TypeScript definition output
-            generateTypeScriptDefinitions(jsonData, { output: printOutput, useColors, markdownFormat });
-          } else {
-            // Formatted output
-            formatJsonResponse(jsonData, { output: printOutput, useColors, markdownFormat });
-          }
-          resolve();
-        } catch (e) {
-          // If not JSON, output as text
-          if (markdownFormat) {
-            printOutput(`\n### Response (Text):\n\`\`\`\n${data}\n\`\`\``);
-          } else {
-            printOutput(`\n${format(colors.bright, "Response (Text):")}`);
-            printOutput(data);
-          }
-          resolve();
-        }
-      });
-    });
-    
-    req.on('error', (e) => {
-      if (markdownFormat) {
-        printOutput(`**Error:** ${e.message}`);
-      } else {
-        printOutput(`${format(colors.red, "Error:")} ${e.message}`);
-      }
-      reject(e);
-    });
-    
-    req.end();
-  });
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${escapeDispositionValue(name)}"; filename="${escapeDispositionValue(basename(filePath))}"\r\nContent-Type: application/octet-stream\r\n\r\n`));
+    parts.push(content);
+    parts.push(Buffer.from('\r\n'));
+    preview.push(`${name}=@${filePath} (${content.length} bytes)`);
+  }
+  
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}`, preview: preview.join('\n') };
 }
 
 /**
- * Perform a GET request to the specified API endpoint
+ * Prepare a request to an API endpoint: URL, headers, body and credentials
+ * 
+ * @param {string} apiPath - The API path, sent as is once checked by checkApiPath()
+ * @param {Object} options - Connection options plus method, data, params, files and headers
+ * @returns {Object} The request, to pass to sendRequest()
  */
-export function getApiResource(apiPath, options = {}) {
-  return new Promise((resolve, reject) => {
-    const { 
-      rawOutput = false,
-      output = console.log,
-      useColors = true,
-      markdownFormat = false
-    } = options;
-    
-    const { printOutput, format } = createFormatter({ useColors, output });
-    
-    if (markdownFormat) {
-      printOutput(`## GET request to API endpoint: \`${apiPath}\``);
-      printOutput(`**Host:** ${DEFAULT_API_HOST}\n`);
-    } else {
-      printOutput(`\n${format(colors.bright + colors.blue, "GET request to API endpoint:")} ${format(colors.green, apiPath)}`);
-      printOutput(`${format(colors.dim, "Host: " + DEFAULT_API_HOST)}\n`);
+function prepareRequest(apiPath, options = {}) {
+  checkApiPath(apiPath);
+  
+  const {
+    method = 'GET',
+    data = null,
+    params = {},
+    files = {},
+    headers = {}
+  } = options;
+  
+  const target = resolveTarget(options);
+  const credentials = resolveCredentials(target.profile, options);
+  const requestBody = buildRequestBody(data, files);
+  
+  const reqUrl = new URL(buildApiUrl(target, apiPath));
+  const query = new URLSearchParams(params).toString();
+  const path = `${reqUrl.pathname}${reqUrl.search}`;
+  
+  // Only the method, path and headers are needed to sign the request, the
+  // origin comes from reqUrl
+  const reqOptions = {
+    path: query ? `${path}${reqUrl.search ? '&' : '?'}${query}` : path,
+    method,
+    headers: {
+      'Accept': 'application/json',
+      ...headers
     }
-    
-    const reqUrl = parse(`https://${DEFAULT_API_HOST}${API_PREFIX}${apiPath}`);
-    
-    const reqOptions = {
-      hostname: reqUrl.hostname,
-      path: reqUrl.path,
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json'
-      }
-    };
-    
-    const req = https.request(reqOptions, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          if (markdownFormat) {
-            printOutput(`**Status:** ${res.statusCode}`);
-            printOutput(`**Error:** Unable to fetch API resource`);
-          } else {
-            printOutput(`${format(colors.bright, "Status:")} ${format(colors.red, res.statusCode.toString())}`);
-            printOutput(`${format(colors.red, "Error: Unable to fetch API resource")}`);
-          }
-          resolve();
-          return;
-        }
-        
-        try {
-          // Try to parse as JSON first
-          const jsonData = JSON.parse(data);
-          
-          if (rawOutput) {
-            // Raw JSON output without formatting
-            if (markdownFormat) {
-              printOutput(`\n### Raw Response:\n\`\`\`json\n${JSON.stringify(jsonData, null, 2)}\n\`\`\``);
-            } else {
-              printOutput('\n' + format(colors.bright, 'Raw Response:'));
-              printOutput(JSON.stringify(jsonData, null, 2));
-            }
-          } else {
-            // Formatted output
-            formatJsonResponse(jsonData, { output: printOutput, useColors, markdownFormat });
-          }
-          resolve();
-        } catch (e) {
-          // If not JSON, output as text
-          if (markdownFormat) {
-            printOutput(`\n### Response (Text):\n\`\`\`\n${data}\n\`\`\``);
-          } else {
-            printOutput(`\n${format(colors.bright, "Response (Text):")}`);
-            printOutput(data);
-          }
-          resolve();
-        }
-      });
-    });
-    
-    req.on('error', (e) => {
-      if (markdownFormat) {
-        printOutput(`**Error:** ${e.message}`);
-      } else {
-        printOutput(`${format(colors.red, "Error:")} ${e.message}`);
-      }
-      reject(e);
-    });
-    
-    req.end();
-  });
+  };
+  
+  if (requestBody) {
+    reqOptions.headers['Content-Type'] = requestBody.contentType;
+    reqOptions.headers['Content-Length'] = requestBody.body.length;
+  }
+  applyCredentials(reqOptions, credentials, requestBody ? requestBody.body : '');
+  
+  return {
+    target,
+    credentials,
+    reqUrl,
+    reqOptions,
+    requestBody,
+    httpSettings: resolveHttpSettings(options),
+    offline: resolveCacheSettings(options).offline
+  };
 }
 
 /**
- * Fetch raw documentation content from GitHub repository
- * Simplified version that just returns the raw content
+ * Send a prepared request, resolving with its status code and body text
+ * 
+ * Nothing is sent in offline mode.
  */
-export function fetchDocumentation(fileName = 'README.md') {
-  return new Promise((resolve, reject) => {
-    const docUrl = parse(`${DOC_REPO_URL}${fileName}`);
-    
-    const reqOptions = {
-      hostname: docUrl.hostname,
-      path: docUrl.pathname,
-      method: 'GET',
-      headers: {
-        'Accept': 'text/plain, text/markdown'
-      }
-    };
-    
-    const req = https.request(reqOptions, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode !== 200) {
-          resolve(''); // Return empty string on error
-          return;
-        }
-        
-        // Return the raw markdown content
-        resolve(data);
-      });
-    });
-    
-    req.on('error', (e) => {
-      reject(e);
-    });
-    
-    req.end();
+function sendRequest(request) {
+  if (request.offline) {
+    return Promise.reject(new Error(`Offline mode, ${request.reqOptions.method} request to ${request.reqOptions.path} not sent`));
+  }
+  
+  return httpRequest(`${request.reqUrl.origin}${request.reqOptions.path}`, {
+    method: request.reqOptions.method,
+    headers: request.reqOptions.headers,
+    body: request.requestBody ? request.requestBody.body : null,
+    ...request.httpSettings
   });
 }
 
 /**
- * Format JSON API response for display
+ * Send a request to an API endpoint and parse its JSON response
+ * 
+ * Rejects on network errors, invalid JSON and non-200 statuses, the latter
+ * with an ApiError holding the status and the KLB error.
+ * 
+ * @param {string} apiPath - The API path, sent as is
+ * @param {Object} options - Connection options plus method, data, params and files
+ * @returns {Promise<Object>} The parsed response ({result, data, ...})
  */
-export function formatJsonResponse(jsonData, options = {}) {
-  const { 
-    output = console.log,
-    useColors = true,
-    markdownFormat = false,
-    depth = 0
-  } = options;
-  
-  const { printOutput, format } = createFormatter({ useColors, output });
-  
-  if (!jsonData.data) {
-    if (markdownFormat) {
-      printOutput(`**Error:** No API data found in response`);
-    } else {
-      printOutput(`${format(colors.red, "Error: No API data found in response")}`);
-    }
-    return;
+export async function requestApi(apiPath, options = {}) {
+  const { method = 'GET' } = options;
+  const response = await sendRequest(prepareRequest(apiPath, options));
+  return parseApiResponse(apiPath, method, response);
+}
+
+/**
+ * Parse the JSON body of an API response, rejecting non-200 statuses with an
+ * ApiError
+ */
+function parseApiResponse(apiPath, method, response) {
+  if (response.statusCode !== 200) {
+    throw new ApiError(`${method} request to ${apiPath || '/'} failed (status ${response.statusCode})`, response.statusCode, response.body);
   }
   
-  const data = jsonData.data;
-  
-  // Display API path information
-  if (data.Path) {
-    const apiPath = data.Path.join('/');
-    if (markdownFormat) {
-      printOutput(`\n### API Path: \`${apiPath}\``);
-    } else {
-      printOutput(`\n${format(colors.bright + colors.green, "API Path:")} ${format(colors.cyan, apiPath)}`);
+  try {
+    return JSON.parse(response.body);
+  } catch (e) {
+    const error = new Error(`Invalid JSON response for ${apiPath || '/'}`);
+    error.body = response.body;
+    throw error;
+  }
+}
+
+/**
+ * Fetch the OPTIONS description of an API endpoint without printing anything
+ * 
+ * Parameters are stripped from the path like describeApi() does. Resolves
+ * with the parsed JSON response, rejects on network errors, non-200
+ * statuses and invalid JSON.
+ * 
+ * Responses are cached per host, profile, prefix, path and credentials (see
+ * cache.js and credentialsIdentity()). With an
+ * `offlineSnapshot`, the response is built from the snapshot instead.
+ */
+export async function fetchApiDescription(apiPath, options = {}) {
+  checkApiPath(apiPath);
+  const strippedPath = stripParametersFromPath(apiPath);
+  
+  if (options.offlineSnapshot) {
+    const response = snapshotResponse(options.offlineSnapshot, strippedPath);
+    if (!response) {
+      throw new Error(`${strippedPath || '/'} is not in the snapshot (offline mode)`);
     }
+    return response;
   }
   
-  // Display type information if available
-  if (data.type) {
-    if (markdownFormat) {
-      printOutput(`\n### Type: \`${data.type}\``);
-    } else {
-      printOutput(`\n${format(colors.bright, "Type:")} ${format(colors.yellow, data.type)}`);
+  const target = resolveTarget(options);
+  const identity = credentialsIdentity(resolveCredentials(target.profile, options));
+  const key = { type: 'options', host: target.host, profile: target.profile, prefix: target.prefix, path: strippedPath, identity };
+  const fetcher = (headers) => sendRequest(prepareRequest(strippedPath, { ...options, method: 'OPTIONS', data: null, params: {}, files: {}, headers }));
+  
+  try {
+    const response = await cachedFetch(key, options, fetcher, `OPTIONS ${strippedPath || '/'}`);
+    return parseApiResponse(strippedPath, 'OPTIONS', response);
+  } catch (e) {
+    if (e instanceof ApiError) {
+      throw new ApiError(`Unable to fetch API information for ${strippedPath || '/'} (status ${e.statusCode})`, e.statusCode, e.body);
     }
+    throw e;
   }
-  
-  // Display class description if available (from the description field)
-  if (data.description) {
+}
+
+/**
+ * Fetch the description of an API endpoint as an endpoint model
+ * 
+ * @param {string} apiPath - The endpoint path, parameters are stripped
+ * @param {Object} options - Connection options
+ * @returns {Promise<Object>} The endpoint model, see model.js
+ */
+export async function fetchEndpointModel(apiPath, options = {}) {
+  const response = await fetchApiDescription(apiPath, options);
+  return buildEndpointModel(response, stripParametersFromPath(apiPath));
+}
+
+/**
+ * Print a failed request: its status and KLB error, or its body when it was
+ * not JSON
+ * 
+ * The error is flagged as `reported`, so that the CLI and the MCP server do
+ * not repeat it.
+ */
+function printRequestError(e, printOutput, format, markdownFormat) {
+  if (e.statusCode) {
+    const details = [['Token', e.token], ['Request ID', e.requestId]].filter(([, value]) => value);
+    
     if (markdownFormat) {
-      printOutput(`\n### Class Description\n${data.description}`);
+      printOutput(`**Status:** ${e.statusCode}`);
+      printOutput(`**Error:** ${e.message}`);
+      details.forEach(([label, value]) => printOutput(`**${label}:** ${value}`));
     } else {
-      printOutput(`\n${format(colors.bright + colors.blue, "Class Description:")}`);
-      printOutput(data.description);
+      printOutput(`${format(colors.bright, "Status:")} ${format(colors.red, e.statusCode.toString())}`);
+      printOutput(`${format(colors.red, "Error: " + e.message)}`);
+      details.forEach(([label, value]) => printOutput(`${format(colors.bright, label + ":")} ${format(colors.dim, value)}`));
     }
-  } else if (data.desc) {
-    // For backward compatibility, also check the desc field
+  } else if (e.body !== undefined) {
+    // If not JSON, output as text
     if (markdownFormat) {
-      printOutput(`\n### Description\n${data.desc}`);
+      printOutput(`\n### Response (Text):\n\`\`\`\n${e.body}\n\`\`\``);
     } else {
-      printOutput(`\n${format(colors.bright, "Description:")}`);
-      printOutput(data.desc);
+      printOutput(`\n${format(colors.bright, "Response (Text):")}`);
+      printOutput(e.body);
     }
-  }
-  
-  // Display access level if available
-  if (data.access) {
+  } else {
     if (markdownFormat) {
-      printOutput(`\n### Access Level: \`${data.access}\``);
+      printOutput(`**Error:** ${e.message}`);
     } else {
-      printOutput(`\n${format(colors.bright, "Access Level:")} ${format(colors.yellow, data.access)}`);
+      printOutput(`${format(colors.red, "Error:")} ${e.message}`);
     }
   }
   
-  // Display allowed methods if available
-  if (data.allowed_methods && data.allowed_methods.length > 0) {
-    if (markdownFormat) {
-      printOutput(`\n### Allowed Methods: \`${data.allowed_methods.join(', ')}\``);
-    } else {
-      printOutput(`\n${format(colors.bright, "Allowed Methods:")} ${format(colors.cyan, data.allowed_methods.join(', '))}`);
-    }
-  }
+  e.reported = true;
+}
+
+/**
+ * Perform an OPTIONS request to the specified API endpoint
+ * 
+ * Failures are printed, then rejected. With `jsonOutput`, only the JSON
+ * document is written to the output, the banner and errors going to stderr.
+ * 
+ * @returns {Promise<Object>} The endpoint model
+ */
+export async function describeApi(apiPath, options = {}) {
+  const { 
+    rawOutput = false, 
+    typeScriptOutput = false,
+    zodOutput = false,
+    jsonSchemaOutput = false,
+    relationGraph = null,
+    output = console.log,
+    useColors = true,
+    markdownFormat = false,
+    jsonOutput = false
+  } = options;
   
-  // Display allowed object methods if available
-  if (data.allowed_methods_object && data.allowed_methods_object.length > 0) {
-    if (markdownFormat) {
-      printOutput(`\n### Allowed Object Methods: \`${data.allowed_methods_object.join(', ')}\``);
-    } else {
-      printOutput(`\n${format(colors.bright, "Allowed Object Methods:")} ${format(colors.cyan, data.allowed_methods_object.join(', '))}`);
-    }
-  }
+  const target = resolveTarget(options);
+  const credentials = resolveCredentials(target.profile, options);
+  const { printOutput, printJson, format } = createFormatter({ useColors, output, redact: createRedactor(credentials), jsonOutput });
   
-  // Display available prefixes/subresources if available
-  if (data.prefix && data.prefix.length > 0) {
-    if (markdownFormat) {
-      printOutput(`\n### Available Subresources\n`);
-      printOutput(`| Name | Methods |`);
-      printOutput(`| ---- | ------- |`);
-      
-      for (const prefix of data.prefix) {
-        const name = prefix.name || '';
-        const methods = prefix.methods ? prefix.methods.join(', ') : '';
-        
-        printOutput(`| ${name} | ${methods} |`);
-      }
-    } else {
-      printOutput(`\n${format(colors.bright + colors.magenta, "Available Subresources:")}\n`);
-      
-      for (const prefix of data.prefix) {
-        const name = prefix.name || '';
-        const methods = prefix.methods ? prefix.methods.join(', ') : '';
-        
-        printOutput(`  ${format(colors.green, name.padEnd(20))} ${format(colors.cyan, methods)}`);
-      }
-    }
-  }
+  // Strip parameters from the path for OPTIONS request
+  const strippedPath = stripParametersFromPath(apiPath);
   
-  // Display table structure if available
-  if (data.table && data.table.Struct) {
-    if (markdownFormat) {
-      printOutput(`\n### Table Structure\n`);
-      printOutput(`| Field | Type | Size | Required | Validator | Description |`);
-      printOutput(`| ----- | ---- | ---- | -------- | --------- | ----------- |`);
-    } else {
-      printOutput(`\n${format(colors.bright + colors.blue, "Table Structure:")}\n`);
-    }
-    
-    const fields = Object.keys(data.table.Struct).filter(key => !key.startsWith('_'));
-    
-    for (const field of fields) {
-      const info = data.table.Struct[field];
-      const required = info.null === false ? 'Yes' : 'No';
-      const desc = info.desc || '';
-      const size = info.size !== undefined ? info.size.toString() : '';
-      const validator = info.validator || '';
-      const isFK = field.endsWith('__') ? ' (Foreign Key)' : '';
-      const isPK = info.key === 'PRIMARY' ? ' (Primary Key)' : '';
-      const typeInfo = info.type || '';
-      
-      // Add additional type information for ENUMs and SETs
-      let expandedType = typeInfo;
-      if (info.values && Array.isArray(info.values)) {
-        expandedType = `${typeInfo} (${info.values.join(', ')})`;
-      }
-      
-      const fieldDetails = isPK + isFK;
-      const fullDesc = fieldDetails ? (desc ? `${desc} ${fieldDetails}` : fieldDetails) : desc;
-      
-      if (markdownFormat) {
-        printOutput(`| ${field} | ${expandedType} | ${size} | ${required} | ${validator} | ${fullDesc} |`);
-      } else {
-        printOutput(`  ${format(colors.green, field.padEnd(20))} ${expandedType.padEnd(20)} ${size.padEnd(6)} ${required.padEnd(10)} ${validator.padEnd(12)} ${fullDesc}`);
-      }
-    }
-    
-    // Display primary key if available
-    if (data.table.Struct._primary) {
-      const primaryKey = Array.isArray(data.table.Struct._primary) ? data.table.Struct._primary.join(', ') : data.table.Struct._primary;
-      
-      if (markdownFormat) {
-        printOutput(`\n**Primary Key:** ${primaryKey}`);
-      } else {
-        printOutput(`\n  ${format(colors.bright + colors.blue, "Primary Key:")} ${format(colors.green, primaryKey)}`);
-      }
+  if (markdownFormat) {
+    printOutput(`## Describing API endpoint: \`${apiPath || '/'}\``);
+    if (strippedPath !== apiPath) {
+      printOutput(`**Stripped path for OPTIONS:** \`${strippedPath}\``);
     }
-    
-    // Display indexes if available
-    if (data.table.Struct._keys) {
-      const keyInfo = data.table.Struct._keys;
-      const keys = Object.keys(keyInfo);
-      
-      if (keys.length > 0) {
-        if (markdownFormat) {
-          printOutput(`\n**Indexes:**`);
-          for (const key of keys) {
-            const keyValue = keyInfo[key];
-            const keyType = key.startsWith('@') ? 'Unique' : (keyValue === 'FOREIGN' ? 'Foreign Key' : 'Index');
-            const keyFields = Array.isArray(keyValue) ? keyValue.join(', ') : keyValue;
-            printOutput(`- ${key}: ${keyType} (${keyFields})`);
-          }
-        } else {
-          printOutput(`\n  ${format(colors.bright + colors.blue, "Indexes:")}`);
-          for (const key of keys) {
-            const keyValue = keyInfo[key];
-            const keyType = key.startsWith('@') ? 'Unique' : (keyValue === 'FOREIGN' ? 'Foreign Key' : 'Index');
-            const keyFields = Array.isArray(keyValue) ? keyValue.join(', ') : keyValue;
-            printOutput(`    ${format(colors.yellow, key.padEnd(20))} ${keyType.padEnd(15)} ${keyFields}`);
-          }
-        }
-      }
+    printOutput(`**Host:** ${target.host}\n`);
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, "Describing API endpoint:")} ${format(colors.green, apiPath || '/')}`);
+    if (strippedPath !== apiPath) {
+      printOutput(`${format(colors.dim, "Stripped path for OPTIONS:")} ${format(colors.cyan, strippedPath)}`);
     }
+    printOutput(`${format(colors.dim, "Host: " + target.host)}\n`);
   }
   
-  // Display procedure information if available
-  if (data.procedure) {
-    if (markdownFormat) {
-      printOutput(`\n### Procedure: \`${data.procedure.name || ''}\``);
-      
-      if (data.procedure.description) {
-        printOutput(`\n${data.procedure.description}`);
-      } else if (data.procedure.desc) {
-        printOutput(`\n${data.procedure.desc}`);
-      }
-      
-      if (data.procedure.return_description) {
-        printOutput(`\n**Returns:** ${data.procedure.return_description}`);
-      }
-      
-      if (data.procedure.args && data.procedure.args.length > 0) {
-        printOutput(`\n#### Arguments\n`);
-        printOutput(`| Name | Type | Required | Description |`);
-        printOutput(`| ---- | ---- | -------- | ----------- |`);
-        
-        for (const arg of data.procedure.args) {
-          const required = arg.required ? 'Yes' : 'No';
-          const desc = arg.description || arg.desc || '';
-          const type = arg.type || '';
-          
-          printOutput(`| ${arg.name || ''} | ${type} | ${required} | ${desc} |`);
-        }
-      }
-    } else {
-      printOutput(`\n${format(colors.bright + colors.magenta, "Procedure:")} ${format(colors.green, data.procedure.name || '')}`);
-      
-      if (data.procedure.description) {
-        printOutput(`\n${data.procedure.description}`);
-      } else if (data.procedure.desc) {
-        printOutput(`\n${data.procedure.desc}`);
-      }
-      
-      if (data.procedure.return_description) {
-        printOutput(`\n${format(colors.bright, "Returns:")} ${data.procedure.return_description}`);
-      }
-      
-      if (data.procedure.args && data.procedure.args.length > 0) {
-        printOutput(`\n${format(colors.bright, "Arguments:")}\n`);
-        
-        for (const arg of data.procedure.args) {
-          const required = arg.required ? 'Yes' : 'No';
-          const desc = arg.description || arg.desc || '';
-          const type = arg.type || '';
-          
-          printOutput(`  ${format(colors.cyan, (arg.name || '').padEnd(20))} ${type.padEnd(15)} ${required.padEnd(10)} ${desc}`);
-        }
-      }
-    }
+  let model;
+  try {
+    model = await fetchEndpointModel(apiPath, options);
+  } catch (e) {
+    printRequestError(e, printOutput, format, markdownFormat);
+    throw e;
   }
   
-  // Display available methods if available
-  if (data.func && data.func.length > 0) {
-    if (markdownFormat) {
-      printOutput(`\n### Available Methods\n`);
+  const renderOptions = { useColors, markdownFormat };
+  
+  if (jsonOutput) {
+    // JSON document only: the raw response, the JSON Schema document or the
+    // endpoint model
+    if (rawOutput) {
+      printJson(model.raw);
+    } else if (jsonSchemaOutput) {
+      printJson(buildJsonSchemaDocument(model, model.objectPath !== null ? model.objectPath : 'Unknown'));
     } else {
-      printOutput(`\n${format(colors.bright + colors.blue, "Available Methods:")}\n`);
+      printJson(endpointJson(model, { relationGraph }));
     }
-    
-    for (const func of data.func) {
-      const methodName = func.name || '';
-      const isStatic = func.static ? 'static ' : '';
-      
-      if (markdownFormat) {
-        printOutput(`#### \`${isStatic}${methodName}()\``);
-        
-        if (func.description) {
-          printOutput(`\n${func.description}`);
-        } else if (func.desc) {
-          printOutput(`\n${func.desc}`);
-        }
-        
-        if (func.return_description) {
-          printOutput(`\n**Returns:** ${func.return_description}`);
-        }
-        
-        if (func.args && func.args.length > 0) {
-          printOutput(`\n##### Arguments\n`);
-          printOutput(`| Name | Type | Required | Description |`);
-          printOutput(`| ---- | ---- | -------- | ----------- |`);
-          
-          for (const arg of func.args) {
-            const required = arg.required ? 'Yes' : 'No';
-            const desc = arg.description || arg.desc || '';
-            const type = arg.type || '';
-            
-            printOutput(`| ${arg.name || ''} | ${type} | ${required} | ${desc} |`);
-          }
-        }
-      } else {
-        printOutput(`  ${format(colors.bright + colors.green, `${isStatic}${methodName}()`)}`);
-        
-        if (func.description) {
-          printOutput(`    ${func.description}`);
-        } else if (func.desc) {
-          printOutput(`    ${func.desc}`);
-        }
-        
-        if (func.return_description) {
-          printOutput(`    ${format(colors.bright, "Returns:")} ${func.return_description}`);
-        }
-        
-        if (func.args && func.args.length > 0) {
-          printOutput(`    ${format(colors.dim, "Arguments:")}`);
-          
-          for (const arg of func.args) {
-            const required = arg.required ? 'Yes' : 'No';
-            const desc = arg.description || arg.desc || '';
-            const type = arg.type || '';
-            
-            printOutput(`      ${format(colors.cyan, (arg.name || '').padEnd(20))} ${type.padEnd(15)} ${required.padEnd(10)} ${desc}`);
-          }
-        }
-        
-        printOutput(''); // Blank line between methods
-      }
+  } else if (rawOutput) {
+    // Raw JSON output without formatting
+    if (markdownFormat) {
+      printOutput(`\n### Raw Response:\n\`\`\`json\n${formatRaw(model)}\n\`\`\``);
+    } else {
+      printOutput('\n' + format(colors.bright, 'Raw Response:'));
+      printOutput(formatRaw(model));
     }
+  } else if (typeScriptOutput) {
+    // TypeScript definition output
+    printOutput(formatTypeScript(model, renderOptions));
+  } else if (zodOutput) {
+    // Zod schema output
+    printOutput(formatZod(model, renderOptions));
+  } else if (jsonSchemaOutput) {
+    // JSON Schema output
+    printOutput(formatJsonSchema(model, renderOptions));
+  } else {
+    // Formatted output, resolving foreign keys against the relation graph
+    // when one was fetched
+    printOutput(formatEndpoint(model, { ...renderOptions, relationGraph }));
   }
+  
+  return model;
+}
+
+/**
+ * Perform a GET request to the specified API endpoint
+ */
+export function getApiResource(apiPath, options = {}) {
+  return callApi(apiPath, { ...options, method: 'GET' });
 }
 
 /**
- * Generate TypeScript type definitions for API structures
+ * Perform a request to the specified API endpoint and print the response
+ * 
+ * DELETE, PATCH and PUT modify data and are refused unless `confirmed` is
+ * set. With `dryRun`, the request is printed instead of being sent, with
+ * credentials redacted. Failed requests are printed, then rejected with an
+ * ApiError for non-200 statuses. With `jsonOutput`, only the parsed response
+ * (or the request of a dry run) is written to the output, as JSON.
+ * 
+ * @param {string} apiPath - The API path, e.g. User/123 or Misc/Debug:testUpload
+ * @param {Object} options - Connection options plus method, data, params, files, confirmed, dryRun and output options
+ * @returns {Promise<Object|undefined>} The parsed response, undefined for dry runs and non-JSON responses
  */
-export function generateTypeScriptDefinitions(jsonData, options = {}) {
+export async function callApi(apiPath, options = {}) {
   const { 
+    method = 'GET',
+    confirmed = false,
+    dryRun = false,
+    rawOutput = false,
     output = console.log,
     useColors = true,
-    markdownFormat = false
+    markdownFormat = false,
+    jsonOutput = false
   } = options;
   
-  const { printOutput, format } = createFormatter({ useColors, output });
+  if (!CALL_METHODS.includes(method)) {
+    throw new Error(`Unsupported method ${method}, expected one of ${CALL_METHODS.join(', ')}`);
+  }
   
-  if (!jsonData.data) {
-    if (markdownFormat) {
-      printOutput(`**Error:** No API data found in response`);
-    } else {
-      printOutput(`${format(colors.red, "Error: No API data found in response")}`);
-    }
-    return;
+  if (DESTRUCTIVE_METHODS.includes(method) && !confirmed && !dryRun) {
+    throw new Error(`${method} requests modify data and must be explicitly confirmed`);
   }
   
-  const data = jsonData.data;
-  const apiPath = data.Path ? data.Path.join('/') : 'Unknown';
+  const request = prepareRequest(apiPath, options);
+  const { target, credentials, reqUrl, reqOptions, requestBody } = request;
+  const { printOutput, printJson, format } = createFormatter({ useColors, output, redact: createRedactor(credentials), jsonOutput });
   
   if (markdownFormat) {
-    printOutput(`\n## TypeScript definitions for: ${apiPath}\n`);
+    printOutput(`## ${method} request to API endpoint: \`${apiPath}\``);
+    printOutput(`**Host:** ${target.host}\n`);
   } else {
-    printOutput(`\n${format(colors.bright + colors.blue, "TypeScript definitions for:")} ${format(colors.green, apiPath)}\n`);
+    printOutput(`\n${format(colors.bright + colors.blue, `${method} request to API endpoint:`)} ${format(colors.green, apiPath)}`);
+    printOutput(`${format(colors.dim, "Host: " + target.host)}\n`);
   }
   
-  // Check if we need to include KlbDateTime definition
-  let hasDateTimeFields = false;
-  
-  // Check table structure for datetime/timestamp fields
-  if (data.table && data.table.Struct) {
-    const fields = Object.keys(data.table.Struct).filter(key => !key.startsWith('_'));
-    for (const field of fields) {
-      const info = data.table.Struct[field];
-      if (info.type && (info.type.toLowerCase() === 'datetime' || info.type.toLowerCase() === 'timestamp')) {
-        hasDateTimeFields = true;
-        break;
-      }
-    }
+  if (dryRun && jsonOutput) {
+    printJson({
+      method,
+      url: `${reqUrl.origin}${reqOptions.path}`,
+      headers: reqOptions.headers,
+      body: requestBody ? requestBody.preview : null
+    });
+    return;
   }
   
-  // Check procedure args for datetime/timestamp fields
-  if (!hasDateTimeFields && data.procedure && data.procedure.args) {
-    for (const arg of data.procedure.args) {
-      if (arg.type && (arg.type.toLowerCase() === 'datetime' || arg.type.toLowerCase() === 'timestamp')) {
-        hasDateTimeFields = true;
-        break;
-      }
+  if (dryRun) {
+    const lines = [`${method} ${reqUrl.origin}${reqOptions.path}`];
+    for (const [name, value] of Object.entries(reqOptions.headers)) {
+      lines.push(`${name}: ${value}`);
     }
-  }
-  
-  // Check method args for datetime/timestamp fields
-  if (!hasDateTimeFields && data.func) {
-    for (const func of data.func) {
-      if (func.args) {
-        for (const arg of func.args) {
-          if (arg.type && (arg.type.toLowerCase() === 'datetime' || arg.type.toLowerCase() === 'timestamp')) {
-            hasDateTimeFields = true;
-            break;
-          }
-        }
-      }
-      if (hasDateTimeFields) break;
+    if (requestBody) {
+      lines.push('', requestBody.preview);
     }
-  }
-  
-  // Include KlbDateTime definition if needed
-  if (hasDateTimeFields) {
-    const klbDateTime = `/**
- * KLB DateTime object structure
- */
-export interface KlbDateTime {
-  unix: number;    // Unix timestamp (seconds)
-  us: number;      // Microseconds part
-  iso: string;     // ISO formatted date string
-  tz: string;      // Timezone identifier
-  full: string;    // Full timestamp as string (seconds + microseconds)
-  unixms: string;  // Unix timestamp with milliseconds as string
-}
-`;
     
     if (markdownFormat) {
-      printOutput("```typescript\n" + klbDateTime + "```\n");
+      printOutput(`### Dry run, request not sent:\n\`\`\`http\n${lines.join('\n')}\n\`\`\``);
     } else {
-      printOutput(klbDateTime + "\n");
+      printOutput(format(colors.bright + colors.yellow, 'Dry run, request not sent:'));
+      printOutput(lines.join('\n'));
     }
+    return;
   }
   
-  // Generate type definitions for the API
-  let typeScript = '';
-  
-  // Generate main interface
-  if (data.table && data.table.Struct) {
-    const typeName = getTypeName(apiPath);
-    const fields = Object.keys(data.table.Struct).filter(key => !key.startsWith('_'));
-    
-    // Add description from either data.description (new) or data.desc (legacy)
-    const description = data.description || data.desc || typeName + ' object structure';
-    
-    typeScript += `/**
- * ${description}
- */
-export interface ${typeName} {
-`;
-    
-    for (const field of fields) {
-      const info = data.table.Struct[field];
-      const tsType = convertToTypeScriptType(info.type, field, info);
-      const isNullable = info.null !== false;
-      const nullable = isNullable ? ' | null' : '';
-      
-      // Build a comprehensive comment with all relevant field info
-      let commentParts = [];
-      
-      // Add field description if available
-      if (info.desc) {
-        commentParts.push(info.desc);
-      }
-      
-      // Add primary key info
-      if (info.key === 'PRIMARY') {
-        commentParts.push('Primary key');
-      }
-      
-      // Add foreign key info
-      if (field.endsWith('__')) {
-        const refEntity = field.replace(/__$/, '');
-        commentParts.push(`Foreign key to ${refEntity}`);
-      }
-      
-      // Add validator info
-      if (info.validator) {
-        commentParts.push(`Validator: ${info.validator}`);
-      }
-      
-      // Add size info
-      if (info.size !== undefined) {
-        commentParts.push(`Size: ${info.size}`);
-      }
-      
-      // Add enum/set values info
-      if ((info.type === 'ENUM' || info.type === 'SET') && info.values && Array.isArray(info.values)) {
-        commentParts.push(`Values: ${info.values.join(', ')}`);
-      }
-      
-      // Add default value info
-      if (info.default !== undefined && info.default !== null) {
-        commentParts.push(`Default: ${info.default}`);
-      }
-      
-      // Format the final comment
-      const comment = commentParts.length > 0 ? ` // ${commentParts.join('; ')}` : '';
-      
-      typeScript += `  ${field}: ${tsType}${nullable};${comment}\n`;
-    }
-    
-    typeScript += `}\n\n`;
+  let response;
+  try {
+    response = await sendRequest(request);
+  } catch (e) {
+    printRequestError(e, printOutput, format, markdownFormat);
+    throw e;
   }
   
-  // Generate request types for procedures
-  if (data.procedure) {
-    const typeName = getTypeName(apiPath);
-    const procedureName = data.procedure.name;
-    
-    if (data.procedure.args && data.procedure.args.length > 0) {
-      typeScript += `/**
- * Request parameters for ${procedureName || typeName} procedure
- */
-export interface ${typeName}${procedureName ? pascalCase(procedureName) : ''}Params {
-`;
-      
-      for (const arg of data.procedure.args) {
-        const tsType = convertToTypeScriptType(arg.type);
-        const nullable = !arg.required ? '?' : '';
-        const comment = arg.desc ? ` // ${arg.desc}` : '';
-        
-        typeScript += `  ${arg.name}${nullable}: ${tsType};${comment}\n`;
-      }
-      
-      typeScript += `}\n\n`;
-    }
+  if (response.statusCode !== 200) {
+    const error = new ApiError(`${method} request to ${apiPath} failed (status ${response.statusCode})`, response.statusCode, response.body);
+    printRequestError(error, printOutput, format, markdownFormat);
+    throw error;
   }
   
-  // Generate request types for methods
-  if (data.func && data.func.length > 0) {
-    const typeName = getTypeName(apiPath);
+  let jsonData;
+  try {
+    // Try to parse as JSON first
+    jsonData = JSON.parse(response.body);
+  } catch (e) {
+    const error = Object.assign(new Error(`Invalid JSON response for ${apiPath}`), { body: response.body });
+    printRequestError(error, printOutput, format, markdownFormat);
     
-    for (const func of data.func) {
-      const methodName = func.name;
-      
-      if (func.args && func.args.length > 0) {
-        // Add the function description as a comment
-        const description = func.description || func.desc || `Request parameters for ${typeName}.${methodName} method`;
-        const returnDesc = func.return_description ? `\n\n@returns ${func.return_description}` : '';
-        
-        typeScript += `/**
- * ${description}${returnDesc}
- */
-export interface ${typeName}${pascalCase(methodName)}Params {
-`;
-        
-        for (const arg of func.args) {
-          // Try to determine a more specific type based on parameter name patterns
-          let inferredType = 'any';
-          
-          // Get a better description
-          const argDesc = arg.description || arg.desc || '';
-          
-          // Check for common parameter naming patterns
-          if (arg.name === 'id' || arg.name.endsWith('_id')) {
-            inferredType = 'string'; // IDs are likely strings
-          } else if (arg.name.endsWith('__')) {
-            inferredType = 'string'; // Foreign keys are UUIDs/strings
-          } else if (arg.name === 'email') {
-            inferredType = 'string'; // Email is a string
-          } else if (arg.name === 'status' || arg.name === 'type') {
-            inferredType = 'string'; // Status/Type typically strings or enums
-          } else if (arg.name === 'page' || arg.name === 'limit' || arg.name === 'offset') {
-            inferredType = 'number'; // Pagination params are numbers
-          } else if (arg.name === 'options' || arg.name === 'config' || arg.name === 'meta') {
-            inferredType = 'Record<string, any>'; // Options are typically objects
-          } else if (arg.name.startsWith('is_') || arg.name.startsWith('has_') || arg.name === 'active' || arg.name === 'enabled') {
-            inferredType = 'boolean'; // Boolean flags
-          }
-          
-          // If an explicit type was provided, use that instead
-          const tsType = arg.type ? convertToTypeScriptType(arg.type) : inferredType;
-          const nullable = !arg.required ? '?' : '';
-          const comment = argDesc ? ` // ${argDesc}` : '';
-          
-          typeScript += `  ${arg.name}${nullable}: ${tsType};${comment}\n`;
-        }
-        
-        typeScript += `}\n\n`;
-      }
-    }
+    // Only JSON can be written in JSON mode
+    if (jsonOutput) throw error;
+    return;
   }
   
-  if (markdownFormat) {
-    printOutput("```typescript\n" + typeScript + "```");
+  if (jsonOutput) {
+    // The response as is
+    printJson(jsonData);
+  } else if (rawOutput) {
+    // Raw JSON output without formatting
+    if (markdownFormat) {
+      printOutput(`\n### Raw Response:\n\`\`\`json\n${JSON.stringify(jsonData, null, 2)}\n\`\`\``);
+    } else {
+      printOutput('\n' + format(colors.bright, 'Raw Response:'));
+      printOutput(JSON.stringify(jsonData, null, 2));
+    }
   } else {
-    printOutput(typeScript);
+    // Formatted output
+    formatJsonResponse(jsonData, { output: printOutput, useColors, markdownFormat });
   }
+  
+  return jsonData;
 }
 
 /**
- * Convert KLB API type to TypeScript type
+ * Fetch raw documentation content from GitHub repository
+ * Simplified version that just returns the raw content
  */
-function convertToTypeScriptType(type, field = '', info = {}) {
-  if (!type) return 'any';
-  
-  const lowerType = type.toLowerCase();
-  
-  // Special handling for foreign keys (fields ending with __)
-  if (field.endsWith('__') && info.validator === 'uuid') {
-    return 'string'; // UUID foreign key
-  }
-  
-  // Handle ENUM and SET types with literal unions
-  if ((lowerType === 'enum' || lowerType === 'set') && info.values && Array.isArray(info.values)) {
-    // Create a union type of the possible values
-    return info.values.map(v => `'${v}'`).join(' | ');
-  }
-  
-  switch (lowerType) {
-    case 'int':
-    case 'integer':
-    case 'bigint':
-    case 'tinyint':
-    case 'smallint':
-    case 'mediumint':
-    case 'float':
-    case 'double':
-    case 'decimal':
-    case 'number':
-      return 'number';
-    case 'char':
-      if (info.validator === 'uuid') {
-        return 'string'; // UUID
-      }
-      return 'string';
-    case 'string':
-    case 'text':
-    case 'tinytext':
-    case 'mediumtext':
-    case 'longtext':
-    case 'varchar':
-      return 'string';
-    case 'bool':
-    case 'boolean':
-      return 'boolean';
-    case 'datetime':
-    case 'timestamp':
-      return 'KlbDateTime';
-    case 'date':
-      return 'string'; // ISO date string
-    case 'time':
-      return 'string'; // Time string
-    case 'json':
-    case 'array':
-      return 'any[]';
-    case 'object':
-    case 'json_object':
-      return 'Record<string, any>';
-    default:
-      return 'any';
+export async function fetchDocumentation(fileName = 'README.md', options = {}) {
+  const response = await fetchDocFile(fileName, 'text/plain, text/markdown', options);
+  
+  if (response.statusCode !== 200) {
+    return ''; // Return empty string on error
   }
+  
+  // Return the raw markdown content
+  return response.body;
 }
 
 /**
- * Generate a TypeScript interface name from an API path
+ * Print the list of available documentation files with their titles
+ * 
+ * With `jsonOutput`, prints [{file, title}].
  */
-function getTypeName(apiPath) {
-  if (!apiPath) return 'ApiObject';
+export async function listDocumentation(options = {}) {
+  const { output = console.log, useColors = true, jsonOutput = false } = options;
+  const { printOutput, printJson, format } = createFormatter({ useColors, output, jsonOutput });
   
-  // Handle paths like "User", "User/123", "User:create"
-  const parts = apiPath.split('/');
-  const lastPart = parts[parts.length - 1];
+  const resources = await fetchDocFileList(options);
+  const files = resources.map(resource => ({ file: resource.uri.replace('klb://intdoc/', ''), title: resource.title || null }));
   
-  // Check if there's a method call indicated with a colon
-  if (lastPart.includes(':')) {
-    const [entity, method] = lastPart.split(':');
-    return pascalCase(entity);
+  if (jsonOutput) {
+    printJson(files);
+    return;
   }
   
-  // Check if the last part is an ID (contains non-letter characters)
-  if (/[^a-zA-Z]/.test(lastPart)) {
-    return pascalCase(parts[parts.length - 2] || 'ApiObject');
+  printOutput(`\n${format(colors.bright + colors.blue, "Available Integration Documentation:")}\n`);
+  
+  for (const { file, title } of files) {
+    printOutput(`  ${format(colors.green, file.padEnd(30))} ${title || ''}`);
   }
   
-  // If dealing with a nested path like "Content/Cms", combine them
-  if (parts.length > 1) {
-    // Only combine last two parts to avoid overly long names
-    return pascalCase(parts[parts.length - 2] + parts[parts.length - 1]);
+  printOutput(`\n${format(colors.dim, "Use --doc <file> to read a document")}`);
+}
+
+/**
+ * Print a documentation file rendered for the terminal, as is when colors
+ * are disabled
+ * 
+ * With `jsonOutput`, prints {file, content}.
+ */
+export async function showDocumentation(fileName, options = {}) {
+  const { output = console.log, useColors = true, jsonOutput = false } = options;
+  const { printJson } = createFormatter({ useColors, output, jsonOutput });
+  
+  const content = await fetchDocumentation(fileName, options);
+  
+  if (!content) {
+    throw new Error(`Documentation not found: ${fileName}`);
   }
   
-  // Otherwise use the last part
-  return pascalCase(lastPart);
+  if (jsonOutput) {
+    printJson({ file: fileName, content });
+  } else {
+    output(useColors && supportsColor() ? formatMarkdown(content) : content);
+  }
 }
 
 /**
- * Convert a string to PascalCase
+ * Search all documentation files for a term (case insensitive) and print
+ * the matching lines
+ * 
+ * With `jsonOutput`, prints {term, matches: [{file, line, text}]}.
  */
-function pascalCase(str) {
-  if (!str) return '';
-  
-  return str
-    .split(/[^a-zA-Z0-9]+/)
-    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
-    .join('');
-}
\ No newline at end of file
+export async function searchDocumentation(term, options = {}) {
+  const { output = console.log, useColors = true, jsonOutput = false } = options;
+  const { printOutput, printJson, format } = createFormatter({ useColors, output, jsonOutput });
+  
+  const resources = await fetchDocFileList(options);
+  const fileNames = resources.map(resource => resource.uri.replace('klb://intdoc/', ''));
+  const contents = await Promise.all(fileNames.map(fileName => fetchDocumentation(fileName, options)));
+  const needle = term.toLowerCase();
+  const matches = [];
+  
+  fileNames.forEach((fileName, index) => {
+    contents[index].split('\n').forEach((line, lineIndex) => {
+      if (line.toLowerCase().includes(needle)) {
+        matches.push({ file: fileName, line: lineIndex + 1, text: line.trim() });
+      }
+    });
+  });
+  
+  if (jsonOutput) {
+    printJson({ term, matches });
+    return;
+  }
+  
+  printOutput(`\n${format(colors.bright + colors.blue, "Searching documentation for:")} ${format(colors.green, term)}\n`);
+  
+  for (const fileName of fileNames) {
+    const fileMatches = matches.filter(match => match.file === fileName);
+    if (fileMatches.length === 0) continue;
+    
+    printOutput(format(colors.bright + colors.cyan, fileName));
+    
+    for (const match of fileMatches) {
+      printOutput(`  ${format(colors.dim, String(match.line).padStart(5) + ':')} ${match.text}`);
+    }
+    
+    printOutput('');
+  }
+  
+  if (matches.length === 0) {
+    printOutput(format(colors.yellow, "No matches found"));
+  }
+}
@@ -0,0 +1,216 @@
+import { readFileSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { createHash, createPrivateKey, randomUUID, sign } from 'crypto';
+import { getConfigDir } from './config.js';
+
+// Placeholder written in place of secrets in any output
+export const REDACTED = '[REDACTED]';
+
+// DER prefix turning a raw 32 bytes Ed25519 seed into a PKCS#8 private key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Cached content of the credentials file
+let credentialsFileCache = null;
+
+/**
+ * Get the path of the credentials file
+ */
+export function getCredentialsPath() {
+  return process.env.KLBFW_CREDENTIALS || join(getConfigDir(), 'credentials.json');
+}
+
+/**
+ * Load the credentials file
+ * 
+ * The file is keyed by profile name, "default" being used when no profile
+ * is selected:
+ *   {
+ *     "default": { "token": "..." },
+ *     "staging": { "apiKey": "key-...", "apiSecret": "..." }
+ *   }
+ * 
+ * The file is refused when it can be read by other users. The content is
+ * cached, so the MCP server can load it once at startup.
+ */
+export function loadCredentialsFile() {
+  if (credentialsFileCache) return credentialsFileCache;
+  
+  const filePath = getCredentialsPath();
+  if (!existsSync(filePath)) {
+    credentialsFileCache = {};
+    return credentialsFileCache;
+  }
+  
+  if (process.platform !== 'win32' && (statSync(filePath).mode & 0o077) !== 0) {
+    throw new Error(`Credentials file ${filePath} is accessible by other users, run: chmod 600 ${filePath}`);
+  }
+  
+  try {
+    credentialsFileCache = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid credentials file ${filePath}: ${e.message}`);
+  }
+  
+  return credentialsFileCache;
+}
+
+/**
+ * Resolve the credentials to use for a profile
+ * 
+ * Precedence (highest first): explicit options (CLI flags), environment
+ * variables (KLBFW_TOKEN, KLBFW_COOKIE, KLBFW_API_KEY, KLBFW_API_SECRET),
+ * then the profile entry of the credentials file. With `anonymous`, no
+ * credentials are used at all.
+ * 
+ * @param {string|null} profileName - The selected profile, null for default
+ * @param {Object} options - Options containing optional token, cookie, apiKey, apiSecret and anonymous
+ * @returns {{token?: string, cookie?: string, apiKey?: string, apiSecret?: string}} The credentials
+ */
+export function resolveCredentials(profileName, options = {}) {
+  if (options.anonymous) return {};
+  
+  const stored = loadCredentialsFile()[profileName || 'default'] || {};
+  
+  const credentials = {
+    token: options.token || process.env.KLBFW_TOKEN || stored.token,
+    cookie: options.cookie || process.env.KLBFW_COOKIE || stored.cookie,
+    apiKey: options.apiKey || process.env.KLBFW_API_KEY || stored.apiKey,
+    apiSecret: options.apiSecret || process.env.KLBFW_API_SECRET || stored.apiSecret
+  };
+  
+  if (!!credentials.apiKey !== !!credentials.apiSecret) {
+    throw new Error('API key signing requires both an API key and an API secret');
+  }
+  
+  return credentials;
+}
+
+/**
+ * Add authentication to an http(s) request options object
+ * 
+ * Tokens are sent as a bearer Authorization header and cookies as a Cookie
+ * header. API keys sign the request, see signRequest().
+ * 
+ * @param {Object} reqOptions - Request options, path including the query string
+ * @param {Object} credentials - Credentials from resolveCredentials()
+ * @param {string|Buffer} body - Request body, used for the signature
+ */
+export function applyCredentials(reqOptions, credentials = {}, body = '') {
+  if (credentials.token) {
+    reqOptions.headers['Authorization'] = `Bearer ${credentials.token}`;
+  }
+  
+  if (credentials.cookie) {
+    reqOptions.headers['Cookie'] = credentials.cookie;
+  }
+  
+  if (credentials.apiKey && credentials.apiSecret) {
+    signRequest(reqOptions, credentials, body);
+  }
+  
+  return reqOptions;
+}
+
+/**
+ * Sign a request with a KLB API key
+ * 
+ * Adds the _key, _time and _nonce query parameters, then _sign which is the
+ * base64url Ed25519 signature of:
+ *   METHOD \0 path \0 query \0 sha256(body)
+ * The API secret is the base64url encoded Ed25519 seed.
+ */
+function signRequest(reqOptions, credentials, body) {
+  const [pathname, query = ''] = reqOptions.path.split('?');
+  const params = new URLSearchParams(query);
+  
+  params.set('_key', credentials.apiKey);
+  params.set('_time', Math.floor(Date.now() / 1000).toString());
+  params.set('_nonce', randomUUID());
+  
+  const seed = Buffer.from(credentials.apiSecret, 'base64url').subarray(0, 32);
+  if (seed.length !== 32) {
+    throw new Error('Invalid API secret: expected a base64url encoded Ed25519 key');
+  }
+  
+  const privateKey = createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  
+  const bodyHash = createHash('sha256').update(body).digest();
+  const signString = Buffer.concat([
+    Buffer.from(`${reqOptions.method}\0${pathname}\0${params.toString()}\0`),
+    bodyHash
+  ]);
+  
+  params.set('_sign', sign(null, signString, privateKey).toString('base64url'));
+  reqOptions.path = `${pathname}?${params.toString()}`;
+}
+
+/**
+ * Get an identity of credentials, telling them apart without revealing them
+ * 
+ * OPTIONS responses depend on who asks, so cache keys hold this hash of the
+ * token, cookie and API key. Null without credentials.
+ * 
+ * @param {Object} credentials - Credentials from resolveCredentials()
+ * @returns {string|null} The identity
+ */
+export function credentialsIdentity(credentials = {}) {
+  const { token = null, cookie = null, apiKey = null } = credentials;
+  if (!token && !cookie && !apiKey) return null;
+  
+  return createHash('sha256').update(JSON.stringify([token, cookie, apiKey])).digest('hex').slice(0, 32);
+}
+
+/**
+ * Create a function replacing the secrets of a credentials object in text
+ * 
+ * Cookie values are redacted one by one, so they stay hidden when the
+ * server echoes a single cookie back.
+ */
+export function createRedactor(credentials = {}) {
+  const secrets = [credentials.token, credentials.cookie, credentials.apiSecret];
+  
+  if (credentials.cookie) {
+    for (const pair of credentials.cookie.split(';')) {
+      const value = pair.slice(pair.indexOf('=') + 1).trim();
+      secrets.push(value);
+    }
+  }
+  
+  // Replace longest secrets first so that a cookie value does not break
+  // the redaction of the full cookie string
+  const values = secrets
+    .filter(secret => secret && secret.length >= 4)
+    .sort((a, b) => b.length - a.length);
+  
+  return (text) => {
+    let redacted = String(text);
+    for (const value of values) {
+      redacted = redacted.split(value).join(REDACTED);
+    }
+    return redacted;
+  };
+}
+
+/**
+ * Replace the secrets in the strings of a JSON value, keys included
+ * 
+ * @param {*} value - The value to redact
+ * @param {function(string): string} redact - A redactor from createRedactor()
+ * @returns {*} A redacted copy of the value
+ */
+export function redactValue(value, redact) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, redact));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [redact(key), redactValue(item, redact)]));
+  }
+  return value;
+}
@@ -0,0 +1,263 @@
+/**
+ * Batch descriptions of several paths and glob patterns
+ * 
+ * Patterns are expanded against the crawled tree: `*` matches within a
+ * segment, `**` any number of segments (including none) and `?` one
+ * character. A `:name` part matches the procedures and methods of the
+ * endpoints, e.g. `User/*` (the sub-endpoints of User) or `Order/**:create`
+ * (the create procedures of Order and of the endpoints below it).
+ * 
+ * The models are fetched concurrently and printed as one output: the
+ * descriptions one after the other, and the TypeScript, Zod and JSON Schema
+ * definitions merged into one source.
+ */
+
+import { fetchEndpointModel, describeApi } from './api.js';
+import { collectEndpoints, describeFailedNode, DEFAULT_CRAWL_CONCURRENCY } from './crawler.js';
+import { usesDateTime } from './model.js';
+import { formatEndpoint, formatRaw, endpointJson } from './formatters.js';
+import { KLB_DATETIME_DEFINITION, buildTypeScriptInterfaces, assignTypeNames } from './typescript.js';
+import { buildZodSource } from './zod.js';
+import { buildEndpointJsonSchemas } from './jsonschema.js';
+import { resolveTarget } from './config.js';
+import { resolveCredentials, createRedactor } from './auth.js';
+import { colors } from './constants.js';
+import { createFormatter, createLimiter } from './utils.js';
+
+/**
+ * Check whether a path is a glob pattern
+ */
+export function isPathPattern(path) {
+  return /[*?]/.test(path);
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split(/(\/\*\*|\*\*\/|\*\*|\*|\?)/)
+    .map(token => {
+      switch (token) {
+        case '/**': return '(?:/[^:]*)?';
+        case '**/': return '(?:[^:]*/)?';
+        case '**': return '[^:]*';
+        case '*': return '[^/:]*';
+        case '?': return '[^/:]';
+        default: return token.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    })
+    .join('');
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expand a glob pattern against the crawled tree
+ * 
+ * Only the subtree below the segments before the first wildcard is
+ * crawled, and only as deep as the pattern goes unless it has `**`.
+ * Sub-endpoints which cannot be fetched are left out with a warning.
+ */
+async function expandPattern(pattern, options = {}) {
+  const { statusOutput = console.error } = options;
+  
+  const colon = pattern.indexOf(':');
+  const pathPattern = colon >= 0 ? pattern.slice(0, colon) : pattern;
+  const namePattern = colon >= 0 ? patternToRegExp(pattern.slice(colon + 1)) : null;
+  
+  const segments = pathPattern.split('/');
+  const literal = segments.findIndex(segment => isPathPattern(segment));
+  const root = (literal >= 0 ? segments.slice(0, literal) : segments).join('/');
+  
+  const crawlOptions = {
+    ...options,
+    recursive: true,
+    onError: (node) => statusOutput(`Warning: left out ${describeFailedNode(node)}, it could not be fetched`)
+  };
+  if (literal >= 0 && !pathPattern.includes('**')) {
+    crawlOptions.depth = Math.min(segments.length - literal, options.depth || Infinity);
+  }
+  
+  const pathRegExp = patternToRegExp(pathPattern);
+  const endpoints = (await collectEndpoints(root, crawlOptions))
+    .filter(endpoint => endpoint.path && pathRegExp.test(endpoint.path));
+  
+  if (!namePattern) {
+    return endpoints.map(endpoint => endpoint.path);
+  }
+  
+  return endpoints.flatMap(endpoint => endpoint.model.methods
+    .filter(method => namePattern.test(method.name))
+    .map(method => `${endpoint.path}:${method.name}`));
+}
+
+/**
+ * Expand paths and glob patterns into the list of paths they match
+ * 
+ * Paths without wildcards are kept as they are. Each path is listed once,
+ * in the order of the patterns.
+ * 
+ * @param {Array<string>} patterns - Paths and glob patterns
+ * @param {Object} options - Connection options plus depth, concurrency and statusOutput
+ * @returns {Promise<Array<string>>} The matching paths
+ */
+export async function expandApiPaths(patterns, options = {}) {
+  const paths = [];
+  
+  for (const pattern of patterns) {
+    const matches = isPathPattern(pattern) ? await expandPattern(pattern, options) : [pattern];
+    if (matches.length === 0) {
+      throw new Error(`No endpoint matches ${pattern}`);
+    }
+    
+    paths.push(...matches.filter(path => !paths.includes(path)));
+  }
+  
+  return paths;
+}
+
+/**
+ * Get the endpoints of a batch to generate types for, with their type name
+ * 
+ * Names are unique per object and shared by its procedures. Procedures of
+ * an object which is in the batch are left out, their parameters being part
+ * of the object types.
+ */
+function typeEndpoints(entries) {
+  const objectPath = (model) => model.objectPath !== null ? model.objectPath : 'Unknown';
+  const objects = new Set(entries.filter(entry => entry.model.kind !== 'procedure').map(entry => objectPath(entry.model)));
+  const kept = entries.filter(entry => entry.model.kind !== 'procedure' || !objects.has(objectPath(entry.model)));
+  
+  const names = [...new Set(kept.map(entry => objectPath(entry.model)))].map(path => ({ path }));
+  assignTypeNames(names);
+  const typeNames = new Map(names.map(name => [name.path, name.typeName]));
+  
+  return kept
+    .filter(entry => entry.model.raw.data)
+    .map(entry => ({ model: entry.model, path: objectPath(entry.model), typeName: typeNames.get(objectPath(entry.model)) }));
+}
+
+/**
+ * Build the TypeScript source of a batch of endpoints, with the KlbDateTime
+ * definition once
+ * 
+ * @param {Array<{path: string, model: Object}>} entries - The described endpoints
+ * @returns {string} The TypeScript source
+ */
+export function buildBatchTypeScript(entries) {
+  const endpoints = typeEndpoints(entries);
+  const dateTime = endpoints.some(endpoint => usesDateTime(endpoint.model)) ? KLB_DATETIME_DEFINITION + '\n' : '';
+  
+  return dateTime + endpoints.map(endpoint => buildTypeScriptInterfaces(endpoint.model, endpoint.path, endpoint.typeName).trimEnd() + '\n').join('\n');
+}
+
+/**
+ * Build the JSON Schema document of a batch of endpoints, their schemas
+ * merged in its $defs
+ */
+function buildBatchJsonSchema(entries) {
+  const schemas = {};
+  for (const endpoint of typeEndpoints(entries)) {
+    Object.assign(schemas, buildEndpointJsonSchemas(endpoint.model, endpoint.path, endpoint.typeName));
+  }
+  
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: `${entries.map(entry => entry.path || '/').join(', ')} schemas`,
+    $defs: schemas
+  };
+}
+
+/**
+ * Describe several paths and glob patterns in one output
+ * 
+ * A single path without wildcards is described by describeApi(). Failures
+ * of any endpoint are rejected.
+ * 
+ * @param {Array<string>} patterns - Paths and glob patterns
+ * @param {Object} options - The describeApi() options plus depth, concurrency and statusOutput
+ * @returns {Promise<Array<{path: string, model: Object}>>} The described endpoints
+ */
+export async function describeApis(patterns, options = {}) {
+  const {
+    rawOutput = false,
+    typeScriptOutput = false,
+    zodOutput = false,
+    jsonSchemaOutput = false,
+    relationGraph = null,
+    concurrency = DEFAULT_CRAWL_CONCURRENCY,
+    output = console.log,
+    useColors = true,
+    markdownFormat = false,
+    jsonOutput = false
+  } = options;
+  
+  if (patterns.length === 1 && !isPathPattern(patterns[0])) {
+    const model = await describeApi(patterns[0], options);
+    return [{ path: patterns[0], model }];
+  }
+  
+  const target = resolveTarget(options);
+  const credentials = resolveCredentials(target.profile, options);
+  const { printOutput, printJson, format } = createFormatter({ useColors, output, redact: createRedactor(credentials), jsonOutput });
+  const paths = await expandApiPaths(patterns, options);
+  const count = `${paths.length} API endpoint${paths.length === 1 ? '' : 's'}`;
+  
+  if (markdownFormat) {
+    printOutput(`## Describing ${count}`);
+    printOutput(`**Host:** ${target.host}\n`);
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, `Describing ${count}`)}`);
+    printOutput(`${format(colors.dim, "Host: " + target.host)}\n`);
+  }
+  
+  const limit = createLimiter(concurrency);
+  const entries = await Promise.all(paths.map(path => limit(async () => ({ path, model: await fetchEndpointModel(path, options) }))));
+  const title = paths.map(path => path || '/').join(', ');
+  
+  if (jsonOutput) {
+    // One JSON document: the raw responses, the merged JSON Schema document
+    // or the endpoint models
+    if (rawOutput) {
+      printJson(entries.map(entry => entry.model.raw));
+    } else if (jsonSchemaOutput) {
+      printJson(buildBatchJsonSchema(entries));
+    } else {
+      printJson(entries.map(entry => endpointJson(entry.model, { relationGraph })));
+    }
+  } else if (typeScriptOutput || zodOutput || jsonSchemaOutput) {
+    // Definitions merged into one source
+    let heading, language, source;
+    if (typeScriptOutput) {
+      [heading, language, source] = ['TypeScript definitions for:', 'typescript', buildBatchTypeScript(entries)];
+    } else if (zodOutput) {
+      const schemas = buildBatchJsonSchema(entries).$defs;
+      [heading, language, source] = ['Zod schemas for:', 'typescript', buildZodSource(schemas)];
+    } else {
+      [heading, language, source] = ['JSON Schema definitions for:', 'json', JSON.stringify(buildBatchJsonSchema(entries), null, 2) + '\n'];
+    }
+    
+    if (markdownFormat) {
+      printOutput(`## ${heading} ${title}\n`);
+      printOutput("```" + language + "\n" + source + "```");
+    } else {
+      printOutput(`${format(colors.bright + colors.blue, heading)} ${format(colors.green, title)}\n`);
+      printOutput(source);
+    }
+  } else {
+    // Descriptions one after the other
+    for (const { path, model } of entries) {
+      if (rawOutput && markdownFormat) {
+        printOutput(`\n### Raw Response: \`${path || '/'}\`\n\`\`\`json\n${formatRaw(model)}\n\`\`\``);
+      } else if (rawOutput) {
+        printOutput(`\n${format(colors.bright, 'Raw Response:')} ${format(colors.green, path || '/')}`);
+        printOutput(formatRaw(model));
+      } else {
+        printOutput(formatEndpoint(model, { useColors, markdownFormat, relationGraph }));
+      }
+    }
+  }
+  
+  return entries;
+}
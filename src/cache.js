@@ -0,0 +1,209 @@
+/**
+ * On-disk cache of OPTIONS responses and integration docs
+ * 
+ * Entries are JSON files in the cache directory, named after a hash of their
+ * key (host, profile, prefix, path and a hash of the credentials for OPTIONS
+ * responses), readable by the user only. Entries younger
+ * than the TTL are served without any request, older ones are revalidated
+ * with If-None-Match / If-Modified-Since. In offline mode, entries are served
+ * whatever their age and nothing is ever requested.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+import { loadConfig } from './config.js';
+
+// Default time to live of cache entries, in seconds
+export const DEFAULT_CACHE_TTL = 3600;
+
+/**
+ * Get the cache directory
+ * Honors XDG_CACHE_HOME when set
+ */
+export function getCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || join(homedir(), '.cache');
+  return join(base, 'klbfw-describe');
+}
+
+/**
+ * Resolve the cache settings of a request
+ * 
+ * The TTL comes from the cacheTtl option (--cache-ttl), KLBFW_CACHE_TTL, the
+ * `cacheTtl` configuration entry, then DEFAULT_CACHE_TTL. Offline mode is
+ * enabled by the offline option (--offline), an offline snapshot or
+ * KLBFW_OFFLINE=1.
+ * 
+ * @param {Object} options - Options containing optional noCache, offline, offlineSnapshot and cacheTtl
+ * @returns {{enabled: boolean, offline: boolean, ttl: number}} The settings
+ */
+export function resolveCacheSettings(options = {}) {
+  const candidates = [options.cacheTtl, process.env.KLBFW_CACHE_TTL, loadConfig().cacheTtl];
+  const value = candidates.find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+  const ttl = value !== undefined ? Number(value) : DEFAULT_CACHE_TTL;
+  
+  if (!(ttl >= 0)) {
+    throw new Error(`Invalid cache TTL: ${value}`);
+  }
+  
+  return {
+    enabled: !options.noCache,
+    offline: !!(options.offline || options.offlineSnapshot || process.env.KLBFW_OFFLINE === '1'),
+    ttl
+  };
+}
+
+/**
+ * Get the file of a cache entry
+ */
+function entryFile(key) {
+  const hash = createHash('sha256').update(JSON.stringify(key)).digest('hex');
+  return join(getCacheDir(), `${hash.slice(0, 40)}.json`);
+}
+
+/**
+ * Read a cache entry, returning null when there is none
+ */
+function readEntry(key) {
+  try {
+    const entry = JSON.parse(readFileSync(entryFile(key), 'utf8'));
+    return JSON.stringify(entry.key) === JSON.stringify(key) ? entry : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry
+ * 
+ * The cache is best effort: a read-only or full disk only disables it.
+ */
+function writeEntry(entry) {
+  try {
+    mkdirSync(getCacheDir(), { recursive: true, mode: 0o700 });
+    writeFileSync(entryFile(entry.key), JSON.stringify(entry), { mode: 0o600 });
+  } catch (e) {
+    // Not cached
+  }
+}
+
+/**
+ * Fetch a document through the cache
+ * 
+ * `fetcher(headers)` sends the request with the given conditional headers
+ * and resolves with {statusCode, headers, body}. Successful responses are
+ * stored, and a 304 answer to a revalidation serves the stored body.
+ * 
+ * @param {Object} key - The cache key
+ * @param {Object} options - Cache options, see resolveCacheSettings()
+ * @param {Function} fetcher - Sends the request
+ * @param {string} description - What is fetched, for the offline error message
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>} The response
+ */
+export async function cachedFetch(key, options, fetcher, description) {
+  const { enabled, offline, ttl } = resolveCacheSettings(options);
+  const entry = enabled || offline ? readEntry(key) : null;
+  
+  if (entry && (offline || Date.now() - entry.storedAt < ttl * 1000)) {
+    return { statusCode: 200, headers: {}, body: entry.body };
+  }
+  
+  if (offline) {
+    throw new Error(`${description} is not in the cache (offline mode)`);
+  }
+  
+  const conditionalHeaders = {};
+  if (entry && entry.etag) conditionalHeaders['If-None-Match'] = entry.etag;
+  if (entry && entry.lastModified) conditionalHeaders['If-Modified-Since'] = entry.lastModified;
+  
+  const response = await fetcher(conditionalHeaders);
+  
+  if (response.statusCode === 304 && entry) {
+    writeEntry({ ...entry, storedAt: Date.now() });
+    return { statusCode: 200, headers: response.headers, body: entry.body };
+  }
+  
+  if (response.statusCode === 200 && enabled) {
+    writeEntry({
+      key,
+      storedAt: Date.now(),
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      body: response.body
+    });
+  }
+  
+  return response;
+}
+
+/**
+ * Remove all the cache entries
+ * 
+ * @returns {number} The number of removed entries
+ */
+export function clearCache() {
+  const dir = getCacheDir();
+  if (!existsSync(dir)) return 0;
+  
+  const files = readdirSync(dir).filter(file => file.endsWith('.json'));
+  for (const file of files) {
+    rmSync(join(dir, file), { force: true });
+  }
+  
+  return files.length;
+}
+
+/**
+ * Build an OPTIONS response from a snapshot, for offline use
+ * 
+ * Snapshots only keep what matters for compatibility: descriptions, primary
+ * keys and indexes are missing. Returns null when the snapshot does not
+ * hold the path.
+ * 
+ * @param {Object} snapshot - Snapshot from loadSnapshot()
+ * @param {string} apiPath - The stripped endpoint path, possibly Path:name
+ * @returns {Object|null} The response ({result, data})
+ */
+export function snapshotResponse(snapshot, apiPath) {
+  const objectPath = apiPath.replace(/:[^/]*$/, '');
+  const endpoint = snapshot.endpoints[objectPath];
+  if (!endpoint) return null;
+  
+  const toArgs = (args) => Object.entries(args).map(([name, arg]) => ({ name, type: arg.type, required: arg.required }));
+  const data = {
+    Path: objectPath ? objectPath.split('/') : [],
+    allowed_methods: endpoint.allowedMethods,
+    allowed_methods_object: endpoint.objectMethods
+  };
+  
+  if (objectPath !== apiPath) {
+    const name = apiPath.slice(objectPath.length + 1);
+    const procedure = endpoint.functions[name];
+    if (!procedure) return null;
+    
+    data.procedure = { name, args: toArgs(procedure.args) };
+    return { result: 'success', data };
+  }
+  
+  const fields = Object.entries(endpoint.fields);
+  if (fields.length > 0) {
+    data.table = { Struct: {} };
+    for (const [name, field] of fields) {
+      data.table.Struct[name] = { type: field.type, null: field.nullable, size: field.size, values: field.values, validator: field.validator };
+    }
+    
+    // Primary keys are not kept, KLB names them after the object
+    const primary = `${objectPath.replace(/\//g, '_')}__`;
+    if (endpoint.fields[primary]) data.table.Struct._primary = [primary];
+  }
+  
+  data.func = Object.entries(endpoint.functions).map(([name, func]) => ({ name, static: func.static, args: toArgs(func.args) }));
+  
+  // Sub-endpoints are the snapshot paths one level below
+  data.prefix = Object.keys(snapshot.endpoints)
+    .filter(path => path !== objectPath && path.replace(/\/?[^/]*$/, '') === objectPath)
+    .map(path => ({ name: path.split('/').pop(), methods: snapshot.endpoints[path].allowedMethods }));
+  
+  return { result: 'success', data };
+}
@@ -1,5 +1,69 @@
-import { describeApi, getApiResource } from './api.js';
+import { readFileSync } from 'fs';
+import { describeApi, getApiResource, callApi, CALL_METHODS, DESTRUCTIVE_METHODS, listDocumentation, showDocumentation, searchDocumentation } from './api.js';
 import { startMcpServer } from './mcp.js';
+import { startMcpHttpServer } from './mcphttp.js';
+import { describeTree } from './crawler.js';
+import { generateSdk } from './sdk.js';
+import { exportOpenApi } from './openapi.js';
+import { saveSnapshot, compareSnapshots, loadSnapshot } from './snapshot.js';
+import { validateCall } from './validate.js';
+import { ERD_FORMATS, exportErd, fetchRelationGraph } from './erd.js';
+import { clearCache, getCacheDir } from './cache.js';
+import { exitCodeFor, EXIT_CODES } from './errors.js';
+import { startShell } from './shell.js';
+import { printSearchResults, DEFAULT_SEARCH_LIMIT } from './search.js';
+import { generateSite } from './site.js';
+import { describeApis, isPathPattern } from './batch.js';
+
+// Commands, selected by a lowercase first argument (API paths start with an
+// uppercase letter)
+const commands = ['snapshot', 'diff', 'call', 'cache', 'shell', 'search', 'site'];
+
+// Flags taking a value, mapped to the option they set
+const valueFlags = {
+  '--host': 'host',
+  '--prefix': 'prefix',
+  '--profile': 'profile',
+  '--token': 'token',
+  '--cookie': 'cookie',
+  '--api-key': 'apiKey',
+  '--api-secret': 'apiSecret'
+};
+
+/**
+ * Split a repeated `name=value` flag value into an object entry
+ */
+function addKeyValue(target, flag, value) {
+  const index = value ? value.indexOf('=') : -1;
+  if (index <= 0) {
+    console.error(`Error: ${flag} requires a name=value argument`);
+    process.exit(1);
+  }
+  target[value.slice(0, index)] = value.slice(index + 1);
+}
+
+/**
+ * Read the --data argument: inline JSON, @file.json or @- for stdin
+ */
+async function readDataArgument(value) {
+  let json = value;
+  
+  if (value === '@-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    json = Buffer.concat(chunks).toString('utf8');
+  } else if (value.startsWith('@')) {
+    json = readFileSync(value.slice(1), 'utf8');
+  }
+  
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid JSON in --data: ${e.message}`);
+  }
+}
 
 /**
  * Process command-line arguments and execute appropriate function
@@ -8,9 +72,34 @@ export async function processArguments(args) {
   // Default options
   let rawOutput = false;
   let typeScriptOutput = false;
+  let zodOutput = false;
+  let jsonSchemaOutput = false;
   let getMode = false;
   let mcpMode = false;
-  let apiPath = '';
+  const mcpHttp = {};
+  let docMode = false;
+  let treeMode = false;
+  let jsonOutput = false;
+  let ndjsonOutput = false;
+  let markdownFormat = false;
+  let recursive = false;
+  let openApiMode = false;
+  let erdFormat = '';
+  let relationsMode = false;
+  let outPath = '';
+  const crawlOptions = {};
+  let docFile = '';
+  let searchTerm = '';
+  let searchLimit = DEFAULT_SEARCH_LIMIT;
+  let dataArgument = '';
+  let confirmed = false;
+  let dryRun = false;
+  let validate = true;
+  let offlineSnapshotFile = '';
+  const queryParams = {};
+  const uploadFiles = {};
+  const positionals = [];
+  const connection = {};
   
   // Process command-line arguments
   for (let i = 0; i < args.length; i++) {
@@ -20,47 +109,328 @@ export async function processArguments(args) {
       rawOutput = true;
     } else if (arg === '--ts' || arg === '--types') {
       typeScriptOutput = true;
+    } else if (arg === '--zod') {
+      zodOutput = true;
+    } else if (arg === '--jsonschema') {
+      jsonSchemaOutput = true;
     } else if (arg === '--get') {
       getMode = true;
     } else if (arg === '--mcp') {
       mcpMode = true;
-    } else if (!arg.startsWith('--')) {
-      apiPath = arg;
+    } else if (arg === '--http') {
+      const value = args[++i];
+      if (!value || !/^\d+$/.test(value) || Number(value) > 65535) {
+        console.error(`Error: ${arg} requires a port number`);
+        process.exit(1);
+      }
+      mcpHttp.port = Number(value);
+    } else if (arg === '--listen' || arg === '--mcp-token') {
+      const value = args[++i];
+      if (!value) {
+        console.error(`Error: ${arg} requires a value`);
+        process.exit(1);
+      }
+      mcpHttp[arg === '--listen' ? 'listen' : 'token'] = value;
+    } else if (arg === '--cors') {
+      const value = args[++i];
+      if (!value) {
+        console.error(`Error: ${arg} requires an origin (or *)`);
+        process.exit(1);
+      }
+      mcpHttp.cors = [...(mcpHttp.cors || []), ...value.split(',').map(origin => origin.trim()).filter(Boolean)];
+    } else if (arg === '--openapi') {
+      openApiMode = true;
+    } else if (arg === '--erd') {
+      erdFormat = ERD_FORMATS[0];
+      // The diagram format is optional, API paths start with an uppercase letter
+      if (args[i + 1] && /^[a-z]/.test(args[i + 1]) && !commands.includes(args[i + 1])) {
+        erdFormat = args[++i];
+      }
+      if (!ERD_FORMATS.includes(erdFormat)) {
+        console.error(`Error: --erd format must be one of: ${ERD_FORMATS.join(', ')}`);
+        process.exit(1);
+      }
+    } else if (arg === '--relations') {
+      relationsMode = true;
+    } else if (arg === '--tree') {
+      treeMode = true;
+    } else if (arg === '--json') {
+      jsonOutput = true;
+    } else if (arg === '--ndjson') {
+      ndjsonOutput = true;
+    } else if (arg === '--markdown') {
+      markdownFormat = true;
+    } else if (arg === '--recursive' || arg === '-r') {
+      recursive = true;
+    } else if (arg === '--out' || arg === '-o') {
+      outPath = args[++i];
+      if (!outPath) {
+        console.error(`Error: ${arg} requires a path`);
+        process.exit(1);
+      }
+    } else if (arg === '--depth' || arg === '--concurrency') {
+      const value = parseInt(args[++i], 10);
+      if (!(value > 0)) {
+        console.error(`Error: ${arg} requires a positive number`);
+        process.exit(1);
+      }
+      crawlOptions[arg.slice(2)] = value;
+    } else if (arg === '--limit') {
+      const value = parseInt(args[++i], 10);
+      if (!(value > 0)) {
+        console.error(`Error: ${arg} requires a positive number`);
+        process.exit(1);
+      }
+      searchLimit = value;
+    } else if (arg === '--doc') {
+      docMode = true;
+      // The documentation file name is optional
+      if (args[i + 1] && !args[i + 1].startsWith('--')) {
+        docFile = args[++i];
+      }
+    } else if (arg === '--search') {
+      searchTerm = args[++i];
+      if (!searchTerm) {
+        console.error('Error: --search requires a value');
+        process.exit(1);
+      }
+    } else if (arg === '--data' || arg === '-d') {
+      dataArgument = args[++i];
+      if (!dataArgument) {
+        console.error(`Error: ${arg} requires a value`);
+        process.exit(1);
+      }
+    } else if (arg === '--param') {
+      addKeyValue(queryParams, arg, args[++i]);
+    } else if (arg === '--file') {
+      addKeyValue(uploadFiles, arg, args[++i]);
+    } else if (arg === '--yes' || arg === '-y') {
+      confirmed = true;
+    } else if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (arg === '--no-validate') {
+      validate = false;
+    } else if (arg === '--offline') {
+      connection.offline = true;
+      // The snapshot file to serve from is optional
+      if (args[i + 1] && args[i + 1].endsWith('.json')) {
+        offlineSnapshotFile = args[++i];
+      }
+    } else if (arg === '--no-cache') {
+      connection.noCache = true;
+    } else if (arg === '--cache-ttl') {
+      const value = args[++i];
+      if (!value || !(Number(value) >= 0)) {
+        console.error(`Error: ${arg} requires a number of seconds`);
+        process.exit(1);
+      }
+      connection.cacheTtl = Number(value);
+    } else if (arg === '--timeout') {
+      const value = args[++i];
+      if (!value || !(Number(value) > 0)) {
+        console.error(`Error: ${arg} requires a number of seconds`);
+        process.exit(1);
+      }
+      connection.timeout = Number(value);
+    } else if (arg === '--retries') {
+      const value = args[++i];
+      if (!value || !/^\d+$/.test(value)) {
+        console.error(`Error: ${arg} requires a number`);
+        process.exit(1);
+      }
+      connection.retries = Number(value);
+    } else if (arg === '--ca') {
+      const value = args[++i];
+      if (!value) {
+        console.error(`Error: ${arg} requires a file`);
+        process.exit(1);
+      }
+      connection.caFile = value;
+    } else if (valueFlags[arg]) {
+      // Connection flags (host, profile, credentials) take a value
+      const value = args[++i];
+      if (!value) {
+        console.error(`Error: ${arg} requires a value`);
+        process.exit(1);
+      }
+      connection[valueFlags[arg]] = value;
     } else if (arg === '--help' || arg === '-h') {
       printUsage();
       return;
+    } else if (!arg.startsWith('--')) {
+      positionals.push(arg);
     }
   }
   
-  // Check for MCP mode first before any other processing
-  if (mcpMode) {
-    await startMcpServer();
-    return; // MCP server handles its own lifecycle
+  if (jsonOutput && (typeScriptOutput || zodOutput)) {
+    console.error('Error: --json cannot be combined with --ts or --zod');
+    process.exit(1);
   }
   
+  if (Object.keys(mcpHttp).length > 0 && !(mcpMode && mcpHttp.port !== undefined)) {
+    console.error('Error: --http, --listen, --mcp-token and --cors require --mcp --http <port>');
+    process.exit(1);
+  }
+  
+  if (ndjsonOutput && !treeMode) {
+    console.error('Error: --ndjson is only supported with --tree');
+    process.exit(1);
+  }
+  
+  const command = commands.includes(positionals[0]) ? positionals.shift() : null;
+  const method = command === 'call' && CALL_METHODS.includes(positionals[0]) ? positionals.shift() : null;
+  const apiPath = positionals.length > 0 ? positionals[positionals.length - 1] : '';
+  
   try {
-    if (getMode) {
-      // GET request mode
+    if (offlineSnapshotFile) {
+      connection.offlineSnapshot = loadSnapshot(offlineSnapshotFile);
+    }
+    
+    // Check for MCP mode first before any other processing
+    if (mcpMode) {
+      if (mcpHttp.port !== undefined) {
+        await startMcpHttpServer(connection, mcpHttp);
+      } else {
+        await startMcpServer(connection);
+      }
+      return; // MCP server handles its own lifecycle
+    }
+    
+    if (command === 'cache') {
+      // Cache maintenance
+      if (positionals[0] !== 'clear') {
+        console.error('Error: unknown cache command, expected: cache clear');
+        process.exit(1);
+      }
+      
+      const count = clearCache();
+      console.log(`Removed ${count} cache entries from ${getCacheDir()}`);
+    } else if (command === 'shell') {
+      // Interactive explorer, until exit or Ctrl-D
+      await startShell(connection);
+    } else if (command === 'search') {
+      // Full-text search of the crawled metadata, the query being all the
+      // words after the command
+      if (positionals.length === 0) {
+        console.error('Error: search requires a query');
+        printUsage();
+        process.exit(1);
+      }
+      
+      await printSearchResults(positionals.join(' '), { ...connection, ...crawlOptions, limit: searchLimit, jsonOutput, markdownFormat, useColors: !markdownFormat });
+    } else if (command === 'site') {
+      // Static HTML documentation of the subtree (or the whole API)
+      if (!outPath) {
+        console.error('Error: site requires --out <directory>');
+        printUsage();
+        process.exit(1);
+      }
+      
+      await generateSite(apiPath, { ...connection, ...crawlOptions, outDir: outPath, useColors: !markdownFormat });
+    } else if (command === 'snapshot') {
+      // Save the normalized metadata of the path (or the root)
+      await saveSnapshot(apiPath, { ...connection, ...crawlOptions, outFile: outPath, recursive });
+    } else if (command === 'diff') {
+      // Compare two snapshots, or a snapshot with the live API
+      if (positionals.length === 0) {
+        console.error('Error: diff requires a snapshot file');
+        printUsage();
+        process.exit(1);
+      }
+      
+      const changes = await compareSnapshots(positionals[0], positionals[1] || '', { ...connection, ...crawlOptions, jsonOutput, markdownFormat, useColors: !markdownFormat });
+      if (changes.some(change => change.breaking)) {
+        process.exit(EXIT_CODES.breaking);
+      }
+    } else if (command === 'call') {
+      // Request runner, POST by default when sending data
       if (!apiPath) {
-        console.error('Error: API path is required for GET mode');
+        console.error('Error: API path is required for call');
         printUsage();
         process.exit(1);
       }
       
-      await getApiResource(apiPath, { rawOutput });
-    } else {
-      // OPTIONS request mode (default)
+      const data = dataArgument ? await readDataArgument(dataArgument) : null;
+      const hasBody = data !== null || Object.keys(uploadFiles).length > 0;
+      const callMethod = method || (hasBody ? 'POST' : 'GET');
+      
+      // Check procedure and method arguments against their description
+      if (validate) {
+        const errors = await validateCall(apiPath, { ...connection, data, params: queryParams, files: uploadFiles });
+        if (errors.length > 0) {
+          errors.forEach(error => console.error(`Error: ${error}`));
+          process.exit(1);
+        }
+      }
+      
+      if (DESTRUCTIVE_METHODS.includes(callMethod) && !confirmed && !dryRun) {
+        console.error(`Error: ${callMethod} requests modify data, add --yes to confirm`);
+        process.exit(1);
+      }
+      
+      await callApi(apiPath, {
+        ...connection,
+        method: callMethod,
+        data,
+        params: queryParams,
+        files: uploadFiles,
+        confirmed,
+        dryRun,
+        rawOutput,
+        jsonOutput,
+        markdownFormat,
+        useColors: !markdownFormat
+      });
+    } else if (docMode) {
+      // Integration documentation mode
+      if (searchTerm) {
+        await searchDocumentation(searchTerm, { ...connection, jsonOutput });
+      } else if (docFile) {
+        await showDocumentation(docFile, { ...connection, jsonOutput });
+      } else {
+        await listDocumentation({ ...connection, jsonOutput });
+      }
+    } else if (openApiMode) {
+      // OpenAPI 3.1 export, to stdout or a file
+      await exportOpenApi(apiPath, { ...connection, ...crawlOptions, outFile: outPath, recursive });
+    } else if (erdFormat) {
+      // Entity relationship diagram of the subtree, to stdout or a file
+      await exportErd(apiPath, { ...connection, ...crawlOptions, format: erdFormat, outFile: outPath });
+    } else if (typeScriptOutput && outPath) {
+      // TypeScript SDK generation into a directory
+      await generateSdk(apiPath, { ...connection, ...crawlOptions, outDir: outPath, recursive });
+    } else if (treeMode) {
+      // Recursive API tree mode, from the root when no path is given
+      await describeTree(apiPath, { ...connection, ...crawlOptions, jsonOutput, ndjsonOutput, markdownFormat, useColors: !markdownFormat });
+    } else if (getMode) {
+      // GET request mode
       if (!apiPath) {
-        console.error('Error: API path is required');
+        console.error('Error: API path is required for GET mode');
         printUsage();
         process.exit(1);
       }
       
-      await describeApi(apiPath, { rawOutput, typeScriptOutput });
+      await getApiResource(apiPath, { ...connection, rawOutput, jsonOutput, markdownFormat, useColors: !markdownFormat });
+    } else {
+      // OPTIONS request mode (default), listing the root objects when no
+      // path is given. With --relations, the whole API is crawled to find
+      // the endpoints referencing this one.
+      const relationGraph = relationsMode ? await fetchRelationGraph('', { ...connection, ...crawlOptions }) : null;
+      const describeOptions = { ...connection, rawOutput, typeScriptOutput, zodOutput, jsonSchemaOutput, relationGraph, jsonOutput, markdownFormat, useColors: !markdownFormat };
+      
+      // Several paths or glob patterns are described in one output
+      if (positionals.length > 1 || isPathPattern(apiPath)) {
+        await describeApis(positionals, { ...describeOptions, ...crawlOptions });
+      } else {
+        await describeApi(apiPath, describeOptions);
+      }
     }
   } catch (err) {
-    console.error(`Error: ${err.message}`);
-    process.exit(1);
+    // Errors already printed with their details are not repeated
+    if (!err.reported) {
+      console.error(`Error: ${err.message}`);
+    }
+    process.exit(exitCodeFor(err));
   }
 }
 
@@ -72,22 +442,141 @@ export function printUsage() {
 KLB API Describe Tool
 
 Usage:
-  npx @karpeleslab/klbfw-describe [options] <api-path>
+  npx @karpeleslab/klbfw-describe [options] [api-path ...]
+  npx @karpeleslab/klbfw-describe snapshot [api-path] [--recursive] [-o file]
+  npx @karpeleslab/klbfw-describe diff <old.json> [new.json]
+  npx @karpeleslab/klbfw-describe call [METHOD] <api-path> [--data json] [--param k=v]
+  npx @karpeleslab/klbfw-describe cache clear
+  npx @karpeleslab/klbfw-describe shell
+  npx @karpeleslab/klbfw-describe search <query> [--limit n]
+  npx @karpeleslab/klbfw-describe site --out <dir> [api-path]
+
+Commands:
+  snapshot       Save the normalized metadata of the path to a JSON snapshot
+  diff           Compare two snapshots, or a snapshot with the live API, and
+                 report breaking changes (exits with 6 if any)
+  call           Send a GET, POST, PUT, PATCH or DELETE request (POST by
+                 default with --data or --file, GET otherwise)
+  cache clear    Remove all the cached OPTIONS responses and docs
+  shell          Explore the API interactively: cd and ls through the tree,
+                 describe, ts, get and call, with completion and history
+  search         Search endpoint paths, fields, procedures, arguments and
+                 descriptions of the whole API
+  site           Write a static, searchable HTML documentation of the path (or
+                 the whole API) into the --out directory
 
 Options:
   --raw          Show raw JSON output without formatting
   --ts, --types  Generate TypeScript type definitions
+  --zod          Generate Zod validation schemas
+  --jsonschema   Generate JSON Schema definitions
   --get          Perform a GET request instead of OPTIONS
+  --data, -d <json>  With call, JSON body; @file.json reads a file, @- stdin
+  --param <k=v>  With call, add a query parameter (repeatable)
+  --file <name=path>  With call, upload a file as multipart/form-data (repeatable)
+  --yes, -y      With call, confirm a PUT, PATCH or DELETE request
+  --dry-run      With call, print the request instead of sending it
+  --no-validate  With call, skip the client-side argument validation
+  --openapi      Export the endpoint as an OpenAPI 3.1 JSON document
+  --erd [format]  Export the entity relationship diagram of the path (or the
+                 whole API) as mermaid (default), dot or plantuml
+  --relations    Resolve foreign keys against the whole API and list the
+                 endpoints referencing the path
+  --out, -o <path>  With --ts, write a TypeScript SDK module per object into
+                 the <path> directory; with site, write the HTML pages into
+                 the <path> directory; with --openapi or --erd, write to the
+                 <path> file
+  --recursive, -r  With --ts --out, --openapi or snapshot, include all the
+                 endpoints below the path
+  --tree         Recursively list the API tree below the path (or the root)
+  --depth <n>    With --tree, --recursive, --erd, --relations, search, site
+                 or path globs, limit the crawl depth
+  --concurrency <n>  With --tree, --recursive, --erd, --relations, search,
+                 site or several paths, number of parallel requests (default: 4)
+  --json         Write only JSON to stdout (describe, --raw, --jsonschema,
+                 --get, call, --tree, --doc, diff and search), messages go
+                 to stderr
+  --ndjson       With --tree, write one JSON line per endpoint
+  --markdown     Output markdown instead of colored text
+  --doc [file]   List the integration docs, or show one document
+  --search <t>   With --doc, search all integration docs for a term
+  --limit <n>    With search, number of results (default: 20)
   --mcp          Start an MCP server on stdio for programmatic access
+  --http <port>  With --mcp, serve MCP over Streamable HTTP (/mcp) and SSE
+                 (/sse) on <port> instead of stdio, with a /health endpoint
+  --listen <addr>  With --http, address to listen on (default: 127.0.0.1)
+  --mcp-token <t>  With --http, require this bearer token from the clients
+  --cors <origins>  With --http, comma-separated origins allowed to call the
+                 server from a browser (* for all)
+  --offline [snapshot.json]  Only use cached responses, or the given snapshot,
+                 and send no request
+  --no-cache     Do not read or write the response cache
+  --cache-ttl <s>  Serve cached responses younger than <s> seconds without
+                 revalidating them (default: 3600)
+  --timeout <s>  Abort requests taking longer than <s> seconds (default: 30)
+  --retries <n>  Retry failed requests up to <n> times (default: 2)
+  --ca <file>    Trust the CA certificates of a PEM bundle, on top of the
+                 system ones
+  --host <host>  API host to use (default: ws.atonline.com)
+  --prefix <p>   API path prefix (default: /_rest/)
+  --profile <n>  Use a named environment profile from the config files
+  --token <t>    Send a bearer token
+  --cookie <c>   Send a session cookie (e.g. "session=...")
+  --api-key <k>  Sign requests with a KLB API key (requires --api-secret)
+  --api-secret <s>  Secret of the KLB API key
   --help, -h     Show this help message
 
+Environment:
+  KLBFW_HOST, KLBFW_PREFIX, KLBFW_PROFILE override the configured defaults.
+  Profiles are read from ~/.config/klbfw-describe/config.json and the
+  closest .klbfwrc file.
+  KLBFW_TOKEN, KLBFW_COOKIE, KLBFW_API_KEY, KLBFW_API_SECRET set credentials,
+  which can also be stored per profile in ~/.config/klbfw-describe/credentials.json
+  (must be chmod 600). Secrets are redacted from all output.
+  OPTIONS responses and docs are cached in ~/.cache/klbfw-describe (or
+  $XDG_CACHE_HOME); KLBFW_CACHE_TTL sets the TTL and KLBFW_OFFLINE=1 enables
+  offline mode.
+  KLBFW_TIMEOUT, KLBFW_RETRIES and KLBFW_CA_FILE set the network settings;
+  HTTPS_PROXY, HTTP_PROXY and NO_PROXY are honored.
+  KLBFW_MCP_TOKEN sets the bearer token of the MCP HTTP server.
+  Colors are disabled when stdout is not a terminal or NO_COLOR is set, and
+  forced with FORCE_COLOR.
+
+Exit codes:
+  0 success, 1 other errors, 2 not found, 3 authentication or access denied,
+  4 network error, 5 server error, 6 breaking changes found by diff
+
 Examples:
+  npx @karpeleslab/klbfw-describe
   npx @karpeleslab/klbfw-describe User
   npx @karpeleslab/klbfw-describe Misc/Debug
   npx @karpeleslab/klbfw-describe Misc/Debug:testUpload
   npx @karpeleslab/klbfw-describe --raw User
   npx @karpeleslab/klbfw-describe --ts User
+  npx @karpeleslab/klbfw-describe --zod User
+  npx @karpeleslab/klbfw-describe --ts User 'User/*' 'Order/**:create'
   npx @karpeleslab/klbfw-describe --get User/ce8b57ca-8961-49c5-863a-b79ab3e1e4a0
+  npx @karpeleslab/klbfw-describe call POST User:login --data '{"email":"a@b.c","password":"..."}'
+  npx @karpeleslab/klbfw-describe call Misc/Debug:testUpload --file file=photo.jpg --dry-run
+  npx @karpeleslab/klbfw-describe call DELETE User/ce8b57ca-8961-49c5-863a-b79ab3e1e4a0 --yes
+  npx @karpeleslab/klbfw-describe --ts --out src/api --recursive User
+  npx @karpeleslab/klbfw-describe --openapi --recursive -o openapi.json
+  npx @karpeleslab/klbfw-describe snapshot User --recursive -o api.json
+  npx @karpeleslab/klbfw-describe diff api.json
+  npx @karpeleslab/klbfw-describe --tree
+  npx @karpeleslab/klbfw-describe --tree User --depth 2
+  npx @karpeleslab/klbfw-describe --erd dot -o api.dot
+  npx @karpeleslab/klbfw-describe --relations User
+  npx @karpeleslab/klbfw-describe search refund
+  npx @karpeleslab/klbfw-describe site --out docs
+  npx @karpeleslab/klbfw-describe --doc
+  npx @karpeleslab/klbfw-describe --doc apibasics.md
+  npx @karpeleslab/klbfw-describe --doc --search upload
+  npx @karpeleslab/klbfw-describe --profile staging User
+  npx @karpeleslab/klbfw-describe --offline --tree
+  npx @karpeleslab/klbfw-describe --offline api.json --ts User
+  npx @karpeleslab/klbfw-describe --host http://localhost:8080 User
   npx @karpeleslab/klbfw-describe --mcp
+  npx @karpeleslab/klbfw-describe --mcp --http 3000 --listen 0.0.0.0 --mcp-token secret
 `);
 }
\ No newline at end of file
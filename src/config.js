@@ -0,0 +1,159 @@
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { DEFAULT_API_HOST, API_PREFIX } from './constants.js';
+
+// Name of the project-local configuration file
+export const PROJECT_CONFIG_FILE = '.klbfwrc';
+
+/**
+ * Get the directory holding the user configuration files
+ * Honors XDG_CONFIG_HOME when set
+ */
+export function getConfigDir() {
+  const base = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(base, 'klbfw-describe');
+}
+
+/**
+ * Read a JSON configuration file, returning null if it does not exist
+ */
+function readConfigFile(filePath) {
+  if (!existsSync(filePath)) return null;
+  
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid configuration file ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Find the closest project-local configuration file, walking up from the
+ * given directory
+ */
+function findProjectConfig(startDir) {
+  let dir = startDir;
+  
+  while (true) {
+    const candidate = join(dir, PROJECT_CONFIG_FILE);
+    if (existsSync(candidate)) return candidate;
+    
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load the merged configuration
+ * 
+ * The user configuration (~/.config/klbfw-describe/config.json) is loaded
+ * first, then the closest project-local .klbfwrc is merged on top of it.
+ * Profiles with the same name are merged field by field.
+ * 
+ * Example configuration:
+ *   {
+ *     "defaultProfile": "staging",
+ *     "cacheTtl": 600,
+ *     "profiles": {
+ *       "staging": { "host": "staging.example.com" },
+ *       "local": { "host": "http://localhost:8080", "prefix": "/_rest/" }
+ *     }
+ *   }
+ */
+export function loadConfig(cwd = process.cwd()) {
+  const config = { defaultProfile: null, cacheTtl: null, profiles: {} };
+  const files = [join(getConfigDir(), 'config.json'), findProjectConfig(cwd)];
+  
+  for (const file of files) {
+    if (!file) continue;
+    
+    const fileConfig = readConfigFile(file);
+    if (!fileConfig) continue;
+    
+    if (fileConfig.defaultProfile) {
+      config.defaultProfile = fileConfig.defaultProfile;
+    }
+    
+    if (fileConfig.cacheTtl !== undefined) {
+      config.cacheTtl = fileConfig.cacheTtl;
+    }
+    
+    for (const [name, profile] of Object.entries(fileConfig.profiles || {})) {
+      config.profiles[name] = { ...config.profiles[name], ...profile };
+    }
+  }
+  
+  return config;
+}
+
+/**
+ * Resolve the host, prefix and profile to use for API requests
+ * 
+ * Precedence (highest first): explicit options (CLI flags or MCP tool
+ * arguments), environment variables (KLBFW_HOST, KLBFW_PREFIX,
+ * KLBFW_PROFILE), the selected profile, then the built-in defaults.
+ * 
+ * @param {Object} options - Options containing optional host, prefix and profile
+ * @returns {{profile: string|null, host: string, prefix: string}} The resolved target
+ */
+export function resolveTarget(options = {}) {
+  const config = loadConfig();
+  const profileName = options.profile || process.env.KLBFW_PROFILE || config.defaultProfile || null;
+  let profile = {};
+  
+  if (profileName) {
+    profile = config.profiles[profileName];
+    if (!profile) {
+      throw new Error(`Unknown profile: ${profileName}`);
+    }
+  }
+  
+  const host = options.host || process.env.KLBFW_HOST || profile.host || DEFAULT_API_HOST;
+  const prefix = options.prefix || process.env.KLBFW_PREFIX || profile.prefix || API_PREFIX;
+  
+  return {
+    profile: profileName,
+    host,
+    prefix: normalizePrefix(prefix)
+  };
+}
+
+/**
+ * Make sure an API prefix starts and ends with a slash
+ */
+function normalizePrefix(prefix) {
+  let normalized = prefix.startsWith('/') ? prefix : '/' + prefix;
+  if (!normalized.endsWith('/')) normalized += '/';
+  return normalized;
+}
+
+/**
+ * Build the full URL for an API path on a resolved target
+ * 
+ * The host may include a scheme (e.g. http://localhost:8080) for local
+ * deployments; https is used otherwise.
+ */
+export function buildApiUrl(target, apiPath) {
+  const base = target.host.includes('://') ? target.host.replace(/\/+$/, '') : `https://${target.host}`;
+  return `${base}${target.prefix}${apiPath}`;
+}
+
+/**
+ * Check that an API path stays under the prefix
+ * 
+ * URL parsers and servers resolve `.` and `..` segments, encoded or not, and
+ * backslashes, and servers may decode encoded slashes: such paths could
+ * reach URLs outside of the API on the configured host, with its credentials.
+ * 
+ * @param {string} apiPath - The API path, with an optional query string
+ * @throws {Error} When the path may leave the prefix
+ */
+export function checkApiPath(apiPath) {
+  const path = apiPath.split(/[?#]/)[0];
+  
+  if (/\\|%2f|%5c/i.test(path) || path.split('/').some(segment => /^(\.|%2e){1,2}$/i.test(segment))) {
+    throw new Error(`Invalid API path ${apiPath}: . and .. segments, backslashes and encoded slashes are not allowed`);
+  }
+}
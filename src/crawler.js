@@ -0,0 +1,301 @@
+import { fetchEndpointModel } from './api.js';
+import { colors } from './constants.js';
+import { createFormatter, createLimiter, stripParametersFromPath } from './utils.js';
+import { resolveTarget } from './config.js';
+
+// Default number of OPTIONS requests running at the same time while crawling
+export const DEFAULT_CRAWL_CONCURRENCY = 4;
+
+/**
+ * Join an endpoint path and a sub-endpoint name
+ */
+function joinPath(parent, name) {
+  return parent ? `${parent}/${name}` : name;
+}
+
+/**
+ * Recursively crawl the API tree by following data.prefix subresources
+ * 
+ * Each node of the returned tree looks like:
+ *   {
+ *     path: 'User/Wallet', name: 'Wallet', kind: 'resource',
+ *     methods: ['GET', 'POST'], objectMethods: ['GET'],
+ *     procedures: [{ name: 'create', static: true }],
+ *     children: [...]
+ *   }
+ * Nodes that could not be fetched have an `error` message (and the HTTP
+ * `status` when the server answered), nodes not
+ * explored because of the depth limit are `truncated`, and nodes whose
+ * canonical path was already visited are marked with `aliasOf` and not
+ * explored again.
+ * 
+ * @param {string} rootPath - The path to start from ('' for the API root)
+ * @param {Object} options - Connection options plus depth, concurrency and onData(path, model)
+ * @returns {Promise<Object>} The root node of the tree
+ */
+export async function crawlApi(rootPath = '', options = {}) {
+  const {
+    depth = Infinity,
+    concurrency = DEFAULT_CRAWL_CONCURRENCY,
+    onData = null
+  } = options;
+  
+  const limit = createLimiter(concurrency);
+  const visited = new Set();
+  
+  const visit = async (path, name, level) => {
+    const node = { path, name, kind: 'collection', methods: [], objectMethods: [], procedures: [], children: [] };
+    
+    if (visited.has(path)) {
+      node.aliasOf = path;
+      return node;
+    }
+    visited.add(path);
+    
+    let model;
+    try {
+      model = await limit(() => fetchEndpointModel(path, options));
+    } catch (e) {
+      node.error = e.message;
+      if (e.statusCode) node.status = e.statusCode;
+      return node;
+    }
+    
+    if (onData) onData(path, model);
+    
+    node.kind = model.kind;
+    node.methods = model.allowedMethods;
+    node.objectMethods = model.objectMethods;
+    node.procedures = model.methods.map(method => ({ name: method.name, static: method.static }));
+    
+    // The server may answer with another canonical path, which means this
+    // endpoint is an alias of one we already know
+    const canonicalPath = model.objectPath;
+    if (canonicalPath !== path && visited.has(canonicalPath)) {
+      node.aliasOf = canonicalPath;
+      return node;
+    }
+    visited.add(canonicalPath);
+    
+    if (level >= depth) {
+      node.truncated = model.children.length > 0;
+      return node;
+    }
+    
+    node.children = await Promise.all(
+      [...model.children]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(child => visit(joinPath(path, child.name), child.name, level + 1))
+    );
+    
+    return node;
+  };
+  
+  const path = stripParametersFromPath(rootPath);
+  return visit(path, path.split('/').pop(), 0);
+}
+
+/**
+ * Collect the endpoint model of an endpoint, or of a whole subtree when
+ * `recursive` is set
+ * 
+ * Endpoints are returned once per canonical object path, sorted by path.
+ * 
+ * When sub-endpoints of a recursive crawl cannot be fetched, the collection
+ * fails, unless `onError(node)` is given: it is then called with each
+ * failed node of the tree (see crawlApi()) and the other endpoints are
+ * returned. A failed root always fails the collection.
+ * 
+ * @param {string} apiPath - The endpoint (or subtree root) to collect
+ * @param {Object} options - Connection options plus recursive, depth, concurrency and onError(node)
+ * @returns {Promise<Array<{path: string, model: import('./model.js').EndpointModel}>>} The collected endpoints
+ */
+export async function collectEndpoints(apiPath, options = {}) {
+  const {
+    recursive = false,
+    onError = null
+  } = options;
+  
+  const endpoints = [];
+  
+  if (recursive) {
+    const seen = new Set();
+    const root = await crawlApi(apiPath, {
+      ...options,
+      onData: (path, model) => {
+        if (seen.has(model.objectPath)) return;
+        seen.add(model.objectPath);
+        endpoints.push({ path: model.objectPath, model });
+      }
+    });
+    
+    if (root.error) {
+      throw rootError(root);
+    }
+    
+    const failed = flattenTree(root).filter(node => node.error);
+    if (failed.length > 0 && !onError) {
+      throw failedEndpointsError(failed);
+    }
+    failed.forEach(node => onError(node));
+  } else {
+    const model = await fetchEndpointModel(apiPath, options);
+    endpoints.push({ path: model.objectPath, model });
+  }
+  
+  return endpoints.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Count the nodes of a crawled tree
+ */
+export function countTreeNodes(node) {
+  return 1 + node.children.reduce((count, child) => count + countTreeNodes(child), 0);
+}
+
+/**
+ * Format a crawled API tree as an indented list
+ */
+export function formatApiTree(root, options = {}) {
+  const {
+    output = console.log,
+    useColors = true,
+    markdownFormat = false
+  } = options;
+  
+  const { printOutput, format } = createFormatter({ useColors, output });
+  
+  const describeNode = (node) => {
+    const parts = [node.kind];
+    if (node.methods.length > 0) parts.push(node.methods.join(', '));
+    if (node.objectMethods.length > 0) parts.push(`object: ${node.objectMethods.join(', ')}`);
+    if (node.aliasOf) parts.push(`alias of ${node.aliasOf}`);
+    if (node.truncated) parts.push('...');
+    if (node.error) parts.push(`error: ${node.error}`);
+    return parts;
+  };
+  
+  const printNode = (node, level) => {
+    const indent = '  '.repeat(level);
+    const parts = describeNode(node);
+    
+    if (markdownFormat) {
+      printOutput(`${indent}- **${node.name || '/'}** (${parts.join('; ')})`);
+      for (const procedure of node.procedures) {
+        printOutput(`${indent}  - \`:${procedure.name}()\`${procedure.static ? ' static' : ''}`);
+      }
+    } else {
+      const name = (indent + (node.name ? node.name + '/' : '/')).padEnd(32);
+      const details = node.error ? format(colors.red, parts.join('  ')) : format(colors.cyan, parts.join('  '));
+      printOutput(`${format(colors.green, name)} ${details}`);
+      for (const procedure of node.procedures) {
+        const procName = `${indent}  :${procedure.name}()`.padEnd(32);
+        printOutput(`${format(colors.yellow, procName)} ${format(colors.dim, procedure.static ? 'procedure  static' : 'procedure')}`);
+      }
+    }
+    
+    for (const child of node.children) {
+      printNode(child, level + 1);
+    }
+  };
+  
+  printNode(root, 0);
+}
+
+/**
+ * List the nodes of a tree depth first, for NDJSON output
+ * 
+ * Each node has the paths of its `children` instead of the child nodes.
+ */
+export function flattenTree(node) {
+  const { children, ...flat } = node;
+  return [
+    { ...flat, children: children.map(child => child.path) },
+    ...children.flatMap(flattenTree)
+  ];
+}
+
+/**
+ * Build the error of a crawl whose root could not be fetched
+ */
+function rootError(root) {
+  const error = new Error(root.error);
+  if (root.status) error.statusCode = root.status;
+  return error;
+}
+
+/**
+ * Build the error of a crawl where sub-endpoints could not be fetched
+ */
+function failedEndpointsError(failed) {
+  const error = new Error(`Unable to fetch ${failed.length} endpoints of the subtree: ${failed.map(describeFailedNode).join(', ')}`);
+  if (failed[0].status) error.statusCode = failed[0].status;
+  return error;
+}
+
+/**
+ * Describe a node that could not be fetched, for messages
+ * 
+ * @param {Object} node - A node of a crawled tree with an `error`
+ * @returns {string} The path and error of the node
+ */
+export function describeFailedNode(node) {
+  return `${node.path || '/'} (${node.error})`;
+}
+
+/**
+ * Crawl the API tree from a path and print it
+ * 
+ * With `jsonOutput` the tree is printed as one JSON document, with
+ * `ndjsonOutput` as one JSON line per node (see flattenTree()). Rejects
+ * after printing the tree when its root could not be fetched.
+ */
+export async function describeTree(apiPath = '', options = {}) {
+  const {
+    output = console.log,
+    useColors = true,
+    markdownFormat = false,
+    jsonOutput = false,
+    ndjsonOutput = false
+  } = options;
+  
+  const { printOutput, printJson, format } = createFormatter({ useColors, output, jsonOutput: jsonOutput || ndjsonOutput });
+  const target = resolveTarget(options);
+  const root = await crawlApi(apiPath, options);
+  
+  // The failed root is part of the printed tree, the error is only for the
+  // exit code
+  const failure = root.error ? Object.assign(rootError(root), { reported: true }) : null;
+  
+  if (ndjsonOutput) {
+    flattenTree(root).forEach(node => printJson(node, { compact: true }));
+    if (failure) throw failure;
+    return root;
+  }
+  
+  if (jsonOutput) {
+    printJson(root);
+    if (failure) throw failure;
+    return root;
+  }
+  
+  if (markdownFormat) {
+    printOutput(`## API tree: \`${apiPath || '/'}\``);
+    printOutput(`**Host:** ${target.host}\n`);
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, "API tree:")} ${format(colors.green, apiPath || '/')}`);
+    printOutput(`${format(colors.dim, "Host: " + target.host)}\n`);
+  }
+  
+  formatApiTree(root, { output: printOutput, useColors, markdownFormat });
+  
+  const total = countTreeNodes(root);
+  if (markdownFormat) {
+    printOutput(`\n_${total} endpoints_`);
+  } else {
+    printOutput(`\n${format(colors.dim, `${total} endpoints`)}`);
+  }
+  
+  if (failure) throw failure;
+  return root;
+}
@@ -0,0 +1,195 @@
+/**
+ * Entity relationship diagrams of API subtrees
+ * 
+ * The relation graph of the collected endpoints (see relations.js) is
+ * rendered as a Mermaid erDiagram, a Graphviz DOT digraph or a PlantUML
+ * entity diagram.
+ */
+
+import { writeFileSync } from 'fs';
+import { collectEndpoints, describeFailedNode } from './crawler.js';
+import { buildRelationGraph } from './relations.js';
+
+// Supported --erd output formats, the first being the default
+export const ERD_FORMATS = ['mermaid', 'dot', 'plantuml'];
+
+/**
+ * Fetch the relation graph of an endpoint subtree ('' for the whole API)
+ * 
+ * Sub-endpoints which cannot be fetched, often forbidden admin endpoints,
+ * are left out with a warning.
+ * 
+ * @param {string} apiPath - The subtree root
+ * @param {Object} options - Connection options plus depth, concurrency and statusOutput
+ * @returns {Promise<Object>} The relation graph, see buildRelationGraph()
+ */
+export async function fetchRelationGraph(apiPath, options = {}) {
+  const { statusOutput = console.error } = options;
+  
+  const endpoints = await collectEndpoints(apiPath, {
+    ...options,
+    recursive: true,
+    onError: (node) => statusOutput(`Warning: left out ${describeFailedNode(node)}, it could not be fetched`)
+  });
+  return buildRelationGraph(endpoints);
+}
+
+/**
+ * Get a diagram identifier for an entity path (User/Wallet -> User_Wallet)
+ */
+function entityId(path) {
+  return path.replace(/[^A-Za-z0-9_]/g, '_') || 'Root';
+}
+
+/**
+ * Get the key markers of a field (PK, FK)
+ */
+function fieldKeys(field) {
+  const keys = [];
+  if (field.primary) keys.push('PK');
+  if (field.foreignKey) keys.push('FK');
+  return keys;
+}
+
+/**
+ * Render a relation graph as a Mermaid erDiagram
+ */
+function formatMermaid(graph) {
+  const lines = ['erDiagram'];
+  
+  // Entities without fields only appear through their relations
+  for (const entity of graph.entities.filter(entity => entity.fields.length > 0)) {
+    lines.push(`  ${entityId(entity.path)} {`);
+    for (const field of entity.fields) {
+      const keys = fieldKeys(field);
+      const type = (field.type || 'unknown').replace(/[^A-Za-z0-9_]/g, '_');
+      lines.push(`    ${type} ${field.name}${keys.length > 0 ? ' ' + keys.join(', ') : ''}`);
+    }
+    lines.push('  }');
+  }
+  
+  for (const relation of graph.relations) {
+    // Many referencing rows for zero or one (nullable key) referenced row
+    const cardinality = relation.nullable ? '}o--o|' : '}o--||';
+    lines.push(`  ${entityId(relation.from)} ${cardinality} ${entityId(relation.to)} : "${relation.field}"`);
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape a Graphviz record label
+ */
+function escapeRecord(text) {
+  return text.replace(/([{}|<>"\\])/g, '\\$1');
+}
+
+/**
+ * Render a relation graph as a Graphviz DOT digraph
+ */
+function formatDot(graph) {
+  const lines = [
+    'digraph erd {',
+    '  rankdir=LR;',
+    '  node [shape=record, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+  
+  for (const entity of graph.entities) {
+    const rows = entity.fields.map(field => {
+      const keys = fieldKeys(field);
+      return escapeRecord(`${field.name} : ${field.type || 'unknown'}${keys.length > 0 ? ` (${keys.join(', ')})` : ''}`) + '\\l';
+    });
+    const label = rows.length > 0 ? `{${escapeRecord(entity.path)}|${rows.join('')}}` : escapeRecord(entity.path);
+    const style = entity.external ? ', style=dashed' : '';
+    lines.push(`  "${entityId(entity.path)}" [label="${label}"${style}];`);
+  }
+  
+  for (const relation of graph.relations) {
+    const style = relation.nullable ? ', style=dashed' : '';
+    lines.push(`  "${entityId(relation.from)}" -> "${entityId(relation.to)}" [label="${relation.field}"${style}];`);
+  }
+  
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a relation graph as a PlantUML entity diagram
+ */
+function formatPlantUml(graph) {
+  const lines = ['@startuml', 'hide circle', 'skinparam linetype ortho', ''];
+  
+  for (const entity of graph.entities) {
+    lines.push(`entity "${entity.path}" as ${entityId(entity.path)} {`);
+    
+    const primary = entity.fields.filter(field => field.primary);
+    const others = entity.fields.filter(field => !field.primary);
+    const fieldLine = field => {
+      const keys = fieldKeys(field).map(key => ` <<${key}>>`).join('');
+      return `  ${field.nullable ? '' : '* '}${field.name} : ${field.type || 'unknown'}${keys}`;
+    };
+    
+    lines.push(...primary.map(fieldLine));
+    if (primary.length > 0 && others.length > 0) lines.push('  --');
+    lines.push(...others.map(fieldLine));
+    lines.push('}', '');
+  }
+  
+  for (const relation of graph.relations) {
+    const cardinality = relation.nullable ? '}o--o|' : '}o--||';
+    lines.push(`${entityId(relation.from)} ${cardinality} ${entityId(relation.to)} : ${relation.field}`);
+  }
+  
+  lines.push('@enduml');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a relation graph as an entity relationship diagram
+ * 
+ * @param {Object} graph - Relation graph from buildRelationGraph()
+ * @param {string} format - One of ERD_FORMATS
+ * @returns {string} The diagram source
+ */
+export function formatErd(graph, format = ERD_FORMATS[0]) {
+  switch (format) {
+    case 'mermaid':
+      return formatMermaid(graph);
+    case 'dot':
+      return formatDot(graph);
+    case 'plantuml':
+      return formatPlantUml(graph);
+    default:
+      throw new Error(`Unknown ERD format ${format}, expected one of: ${ERD_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Export the entity relationship diagram of an endpoint subtree
+ * 
+ * The diagram is printed, or written to `outFile` when given.
+ * 
+ * @param {string} apiPath - The subtree root ('' for the whole API)
+ * @param {Object} options - Connection options plus format, outFile, depth, concurrency and statusOutput
+ * @returns {Promise<string>} The diagram source
+ */
+export async function exportErd(apiPath, options = {}) {
+  const {
+    format = ERD_FORMATS[0],
+    outFile = '',
+    output = console.log
+  } = options;
+  
+  const graph = await fetchRelationGraph(apiPath, options);
+  const diagram = formatErd(graph, format);
+  
+  if (outFile) {
+    writeFileSync(outFile, diagram);
+    output(`Wrote ${format} diagram with ${graph.entities.length} entities and ${graph.relations.length} relations to ${outFile}`);
+  } else {
+    output(diagram.trimEnd());
+  }
+  
+  return diagram;
+}
@@ -0,0 +1,102 @@
+/**
+ * API errors and exit codes
+ * 
+ * KLB reports failures with a non-200 status and a JSON body holding the
+ * error: {result: 'error', error, token, request, ...}. ApiError keeps that
+ * payload, and exitCodeFor() maps any error to a CLI exit code, so that
+ * scripts can tell a missing endpoint from an authentication, network or
+ * server failure.
+ */
+
+// Exit codes of the CLI, by kind of error, plus the one of a `diff` which
+// found breaking changes
+export const EXIT_CODES = {
+  error: 1,
+  notFound: 2,
+  auth: 3,
+  network: 4,
+  server: 5,
+  breaking: 6
+};
+
+// Error codes of failed connections
+const NETWORK_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// System calls of connections and DNS lookups: other system errors, such as
+// a missing --data file, are not network errors
+const NETWORK_SYSCALLS = ['connect', 'getaddrinfo', 'getnameinfo'];
+
+/**
+ * Parse the KLB error payload of a response body
+ * 
+ * @param {string} body - The response body
+ * @returns {{message: string|null, token: string|null, requestId: string|null, data: Object}|null} The error, null when the body is not a KLB error
+ */
+export function parseKlbError(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (e) {
+    return null;
+  }
+  
+  if (!data || data.result !== 'error') return null;
+  
+  return {
+    message: data.error || null,
+    token: data.token || null,
+    requestId: data.request || data.request_id || null,
+    data
+  };
+}
+
+/**
+ * Error of a request which got a non-200 response
+ * 
+ * The message is the summary followed by the KLB error message when the
+ * body holds one.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} summary - What failed, e.g. "GET request to User failed (status 404)"
+   * @param {number} statusCode - The HTTP status
+   * @param {string} body - The response body
+   */
+  constructor(summary, statusCode, body) {
+    const klbError = parseKlbError(body);
+    super(klbError && klbError.message ? `${summary}: ${klbError.message}` : summary);
+    
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.body = body;
+    this.klbError = klbError;
+    this.token = klbError ? klbError.token : null;
+    this.requestId = klbError ? klbError.requestId : null;
+  }
+}
+
+/**
+ * Get the kind of an error: notFound, auth, network, server or error
+ */
+export function errorKind(error) {
+  const { statusCode } = error;
+  
+  if (statusCode === 404) return 'notFound';
+  if (statusCode === 401 || statusCode === 403) return 'auth';
+  if (statusCode >= 500) return 'server';
+  if (statusCode) return 'error';
+  
+  // Connection and DNS errors, and TLS failures
+  if (NETWORK_ERROR_CODES.includes(error.code) || NETWORK_SYSCALLS.includes(error.syscall) || /CERT|TLS|SSL/.test(error.code || '')) {
+    return 'network';
+  }
+  
+  return 'error';
+}
+
+/**
+ * Get the CLI exit code of an error
+ */
+export function exitCodeFor(error) {
+  return EXIT_CODES[errorKind(error)];
+}
@@ -0,0 +1,466 @@
+/**
+ * Renderers turning endpoint models and API responses into text
+ */
+
+import { colors } from './constants.js';
+import { createFormatter } from './utils.js';
+import { KLB_DATETIME_DEFINITION, buildTypeScriptInterfaces } from './typescript.js';
+import { buildEndpointModel, usesDateTime } from './model.js';
+import { generateJsonSchemaDefinitions } from './jsonschema.js';
+import { generateZodDefinitions } from './zod.js';
+import { endpointRelations } from './relations.js';
+
+// Labels of the index kinds
+const INDEX_KIND_LABELS = {
+  unique: 'Unique',
+  index: 'Index',
+  foreign: 'Foreign Key'
+};
+
+/**
+ * Run a printing renderer and return what it printed
+ */
+function captureOutput(render, model, options) {
+  const lines = [];
+  render(model, { ...options, output: line => lines.push(line) });
+  return lines.join('\n');
+}
+
+/**
+ * Print an endpoint model as colored terminal text, or markdown with
+ * `markdownFormat`
+ */
+function printEndpoint(model, options = {}) {
+  const { 
+    output = console.log,
+    useColors = true,
+    markdownFormat = false,
+    relationGraph = null
+  } = options;
+  
+  const { printOutput, format } = createFormatter({ useColors, output });
+  
+  if (!model.raw.data) {
+    if (markdownFormat) {
+      printOutput(`**Error:** No API data found in response`);
+    } else {
+      printOutput(`${format(colors.red, "Error: No API data found in response")}`);
+    }
+    return;
+  }
+  
+  // Display API path information
+  if (model.objectPath !== null) {
+    if (markdownFormat) {
+      printOutput(`\n### API Path: \`${model.objectPath}\``);
+    } else {
+      printOutput(`\n${format(colors.bright + colors.green, "API Path:")} ${format(colors.cyan, model.objectPath)}`);
+    }
+  }
+  
+  // Display type information if available
+  if (model.type) {
+    if (markdownFormat) {
+      printOutput(`\n### Type: \`${model.type}\``);
+    } else {
+      printOutput(`\n${format(colors.bright, "Type:")} ${format(colors.yellow, model.type)}`);
+    }
+  }
+  
+  // Display class description if available
+  if (model.description) {
+    if (markdownFormat) {
+      printOutput(`\n### Class Description\n${model.description}`);
+    } else {
+      printOutput(`\n${format(colors.bright + colors.blue, "Class Description:")}`);
+      printOutput(model.description);
+    }
+  }
+  
+  // Display access level if available
+  if (model.access) {
+    if (markdownFormat) {
+      printOutput(`\n### Access Level: \`${model.access}\``);
+    } else {
+      printOutput(`\n${format(colors.bright, "Access Level:")} ${format(colors.yellow, model.access)}`);
+    }
+  }
+  
+  // Display allowed methods if available
+  if (model.allowedMethods.length > 0) {
+    if (markdownFormat) {
+      printOutput(`\n### Allowed Methods: \`${model.allowedMethods.join(', ')}\``);
+    } else {
+      printOutput(`\n${format(colors.bright, "Allowed Methods:")} ${format(colors.cyan, model.allowedMethods.join(', '))}`);
+    }
+  }
+  
+  // Display allowed object methods if available
+  if (model.objectMethods.length > 0) {
+    if (markdownFormat) {
+      printOutput(`\n### Allowed Object Methods: \`${model.objectMethods.join(', ')}\``);
+    } else {
+      printOutput(`\n${format(colors.bright, "Allowed Object Methods:")} ${format(colors.cyan, model.objectMethods.join(', '))}`);
+    }
+  }
+  
+  // Display available prefixes/subresources if available
+  if (model.children.length > 0) {
+    if (markdownFormat) {
+      printOutput(`\n### Available Subresources\n`);
+      printOutput(`| Name | Methods |`);
+      printOutput(`| ---- | ------- |`);
+      
+      for (const child of model.children) {
+        printOutput(`| ${child.name} | ${child.methods.join(', ')} |`);
+      }
+    } else {
+      printOutput(`\n${format(colors.bright + colors.magenta, "Available Subresources:")}\n`);
+      
+      for (const child of model.children) {
+        printOutput(`  ${format(colors.green, child.name.padEnd(20))} ${format(colors.cyan, child.methods.join(', '))}`);
+      }
+    }
+  }
+  
+  // Display table structure if available
+  if (model.table) {
+    printTable(model.table, printOutput, format, markdownFormat);
+    printRelations(endpointRelations(model, relationGraph), printOutput, format, markdownFormat);
+  }
+  
+  // Display procedure information if available
+  if (model.procedure) {
+    const procedure = model.procedure;
+    
+    if (markdownFormat) {
+      printOutput(`\n### Procedure: \`${procedure.name}\``);
+      
+      if (procedure.description) {
+        printOutput(`\n${procedure.description}`);
+      }
+      
+      if (procedure.returns) {
+        printOutput(`\n**Returns:** ${procedure.returns}`);
+      }
+      
+      if (procedure.args.length > 0) {
+        printOutput(`\n#### Arguments\n`);
+        printArgumentTable(procedure.args, printOutput);
+      }
+    } else {
+      printOutput(`\n${format(colors.bright + colors.magenta, "Procedure:")} ${format(colors.green, procedure.name)}`);
+      
+      if (procedure.description) {
+        printOutput(`\n${procedure.description}`);
+      }
+      
+      if (procedure.returns) {
+        printOutput(`\n${format(colors.bright, "Returns:")} ${procedure.returns}`);
+      }
+      
+      if (procedure.args.length > 0) {
+        printOutput(`\n${format(colors.bright, "Arguments:")}\n`);
+        
+        for (const arg of procedure.args) {
+          printOutput(`  ${format(colors.cyan, arg.name.padEnd(20))} ${(arg.type || '').padEnd(15)} ${(arg.required ? 'Yes' : 'No').padEnd(10)} ${arg.description || ''}`);
+        }
+      }
+    }
+  }
+  
+  // Display available methods if available
+  if (model.methods.length > 0) {
+    if (markdownFormat) {
+      printOutput(`\n### Available Methods\n`);
+    } else {
+      printOutput(`\n${format(colors.bright + colors.blue, "Available Methods:")}\n`);
+    }
+    
+    for (const method of model.methods) {
+      const isStatic = method.static ? 'static ' : '';
+      
+      if (markdownFormat) {
+        printOutput(`#### \`${isStatic}${method.name}()\``);
+        
+        if (method.description) {
+          printOutput(`\n${method.description}`);
+        }
+        
+        if (method.returns) {
+          printOutput(`\n**Returns:** ${method.returns}`);
+        }
+        
+        if (method.args.length > 0) {
+          printOutput(`\n##### Arguments\n`);
+          printArgumentTable(method.args, printOutput);
+        }
+      } else {
+        printOutput(`  ${format(colors.bright + colors.green, `${isStatic}${method.name}()`)}`);
+        
+        if (method.description) {
+          printOutput(`    ${method.description}`);
+        }
+        
+        if (method.returns) {
+          printOutput(`    ${format(colors.bright, "Returns:")} ${method.returns}`);
+        }
+        
+        if (method.args.length > 0) {
+          printOutput(`    ${format(colors.dim, "Arguments:")}`);
+          
+          for (const arg of method.args) {
+            printOutput(`      ${format(colors.cyan, arg.name.padEnd(20))} ${(arg.type || '').padEnd(15)} ${(arg.required ? 'Yes' : 'No').padEnd(10)} ${arg.description || ''}`);
+          }
+        }
+        
+        printOutput(''); // Blank line between methods
+      }
+    }
+  }
+}
+
+/**
+ * Print the structure, primary key and indexes of a table
+ */
+function printTable(table, printOutput, format, markdownFormat) {
+  if (markdownFormat) {
+    printOutput(`\n### Table Structure\n`);
+    printOutput(`| Field | Type | Size | Required | Validator | Description |`);
+    printOutput(`| ----- | ---- | ---- | -------- | --------- | ----------- |`);
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, "Table Structure:")}\n`);
+  }
+  
+  for (const field of table.fields) {
+    const required = field.nullable ? 'No' : 'Yes';
+    const desc = field.description || '';
+    const size = field.size !== null ? field.size.toString() : '';
+    const validator = field.validator || '';
+    const isFK = field.foreignKey ? ' (Foreign Key)' : '';
+    const isPK = field.primary ? ' (Primary Key)' : '';
+    
+    // Add additional type information for ENUMs and SETs
+    const expandedType = field.values ? `${field.type || ''} (${field.values.join(', ')})` : (field.type || '');
+    
+    const fieldDetails = isPK + isFK;
+    const fullDesc = fieldDetails ? (desc ? `${desc} ${fieldDetails}` : fieldDetails) : desc;
+    
+    if (markdownFormat) {
+      printOutput(`| ${field.name} | ${expandedType} | ${size} | ${required} | ${validator} | ${fullDesc} |`);
+    } else {
+      printOutput(`  ${format(colors.green, field.name.padEnd(20))} ${expandedType.padEnd(20)} ${size.padEnd(6)} ${required.padEnd(10)} ${validator.padEnd(12)} ${fullDesc}`);
+    }
+  }
+  
+  // Display primary key if available
+  if (table.primaryKey.length > 0) {
+    const primaryKey = table.primaryKey.join(', ');
+    
+    if (markdownFormat) {
+      printOutput(`\n**Primary Key:** ${primaryKey}`);
+    } else {
+      printOutput(`\n  ${format(colors.bright + colors.blue, "Primary Key:")} ${format(colors.green, primaryKey)}`);
+    }
+  }
+  
+  // Display indexes if available
+  if (table.indexes.length > 0) {
+    if (markdownFormat) {
+      printOutput(`\n**Indexes:**`);
+    } else {
+      printOutput(`\n  ${format(colors.bright + colors.blue, "Indexes:")}`);
+    }
+    
+    for (const index of table.indexes) {
+      const indexType = INDEX_KIND_LABELS[index.kind];
+      const indexFields = index.fields.join(', ');
+      
+      if (markdownFormat) {
+        printOutput(`- ${index.name}: ${indexType} (${indexFields})`);
+      } else {
+        printOutput(`    ${format(colors.yellow, index.name.padEnd(20))} ${indexType.padEnd(15)} ${indexFields}`);
+      }
+    }
+  }
+}
+
+/**
+ * Print the endpoints referenced by foreign keys, and the endpoints
+ * referencing this one when known
+ */
+function printRelations(relations, printOutput, format, markdownFormat) {
+  const { references, referencedBy } = relations;
+  
+  if (references.length > 0) {
+    if (markdownFormat) {
+      printOutput(`\n### References\n`);
+    } else {
+      printOutput(`\n${format(colors.bright + colors.blue, "References:")}\n`);
+    }
+    
+    for (const reference of references) {
+      const missing = reference.resolved === false ? ' (not found)' : '';
+      
+      if (markdownFormat) {
+        printOutput(`- \`${reference.field}\` -> \`${reference.to}\`${missing}`);
+      } else {
+        printOutput(`  ${format(colors.green, reference.field.padEnd(20))} -> ${format(colors.cyan, reference.to)}${format(colors.dim, missing)}`);
+      }
+    }
+  }
+  
+  if (referencedBy && referencedBy.length > 0) {
+    if (markdownFormat) {
+      printOutput(`\n### Referenced By\n`);
+    } else {
+      printOutput(`\n${format(colors.bright + colors.blue, "Referenced By:")}\n`);
+    }
+    
+    for (const reference of referencedBy) {
+      if (markdownFormat) {
+        printOutput(`- \`${reference.from}\` (\`${reference.field}\`)`);
+      } else {
+        printOutput(`  ${format(colors.cyan, reference.from.padEnd(20))} ${format(colors.dim, `via ${reference.field}`)}`);
+      }
+    }
+  }
+}
+
+/**
+ * Print procedure or method arguments as a markdown table
+ */
+function printArgumentTable(args, printOutput) {
+  printOutput(`| Name | Type | Required | Description |`);
+  printOutput(`| ---- | ---- | -------- | ----------- |`);
+  
+  for (const arg of args) {
+    printOutput(`| ${arg.name} | ${arg.type || ''} | ${arg.required ? 'Yes' : 'No'} | ${arg.description || ''} |`);
+  }
+}
+
+/**
+ * Render an endpoint model as colored terminal text, or markdown with
+ * `markdownFormat`
+ * 
+ * Foreign keys are resolved against `relationGraph` when given (see
+ * relations.js), which also lists the endpoints referencing this one.
+ * 
+ * @param {Object} model - Endpoint model from buildEndpointModel()
+ * @param {Object} options - useColors, markdownFormat and relationGraph
+ * @returns {string} The rendered description
+ */
+export function formatEndpoint(model, options = {}) {
+  const { useColors = true, markdownFormat = false, relationGraph = null } = options;
+  return captureOutput(printEndpoint, model, { useColors, markdownFormat, relationGraph });
+}
+
+/**
+ * Get the JSON structure of an endpoint model, without the raw response
+ * 
+ * This is the documented `--json` structure: the model (see model.js, versioned
+ * by its `version` property), with the `relations` of the endpoint when a
+ * relation graph is given.
+ */
+export function endpointJson(model, options = {}) {
+  const { relationGraph = null } = options;
+  const { raw, ...json } = model;
+  
+  if (relationGraph) {
+    json.relations = endpointRelations(model, relationGraph);
+  }
+  
+  return json;
+}
+
+/**
+ * Render an endpoint model as JSON, see endpointJson()
+ */
+export function formatJson(model, options = {}) {
+  return JSON.stringify(endpointJson(model, options), null, 2);
+}
+
+/**
+ * Render an endpoint model as its raw OPTIONS response JSON
+ */
+export function formatRaw(model) {
+  return JSON.stringify(model.raw, null, 2);
+}
+
+/**
+ * Render the TypeScript definitions of an endpoint model
+ */
+export function formatTypeScript(model, options = {}) {
+  const { useColors = true, markdownFormat = false } = options;
+  return captureOutput(generateTypeScriptDefinitions, model, { useColors, markdownFormat });
+}
+
+/**
+ * Render the Zod schemas of an endpoint model
+ */
+export function formatZod(model, options = {}) {
+  const { useColors = true, markdownFormat = false } = options;
+  return captureOutput(generateZodDefinitions, model, { useColors, markdownFormat });
+}
+
+/**
+ * Render the JSON Schemas of an endpoint model
+ */
+export function formatJsonSchema(model, options = {}) {
+  const { useColors = true, markdownFormat = false } = options;
+  return captureOutput(generateJsonSchemaDefinitions, model, { useColors, markdownFormat });
+}
+
+/**
+ * Format JSON API response for display
+ */
+export function formatJsonResponse(jsonData, options = {}) {
+  printEndpoint(buildEndpointModel(jsonData), options);
+}
+
+/**
+ * Generate TypeScript type definitions for API structures
+ */
+export function generateTypeScriptDefinitions(model, options = {}) {
+  const { 
+    output = console.log,
+    useColors = true,
+    markdownFormat = false
+  } = options;
+  
+  const { printOutput, format } = createFormatter({ useColors, output });
+  
+  if (!model.raw.data) {
+    if (markdownFormat) {
+      printOutput(`**Error:** No API data found in response`);
+    } else {
+      printOutput(`${format(colors.red, "Error: No API data found in response")}`);
+    }
+    return;
+  }
+  
+  const apiPath = model.objectPath !== null ? model.objectPath : 'Unknown';
+  
+  if (markdownFormat) {
+    printOutput(`\n## TypeScript definitions for: ${apiPath}\n`);
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, "TypeScript definitions for:")} ${format(colors.green, apiPath)}\n`);
+  }
+  
+  // Include KlbDateTime definition if needed
+  if (usesDateTime(model)) {
+    if (markdownFormat) {
+      printOutput("```typescript\n" + KLB_DATETIME_DEFINITION + "```\n");
+    } else {
+      printOutput(KLB_DATETIME_DEFINITION + "\n");
+    }
+  }
+  
+  const typeScript = buildTypeScriptInterfaces(model, apiPath);
+  
+  if (markdownFormat) {
+    printOutput("```typescript\n" + typeScript + "```");
+  } else {
+    printOutput(typeScript);
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * Shared HTTP client
+ * 
+ * Every request of the tool goes through httpRequest(), which adds timeouts,
+ * retries with exponential backoff on 429 and 5xx answers, redirect
+ * following, gzip/deflate/br decoding, HTTP_PROXY/HTTPS_PROXY/NO_PROXY
+ * support and custom CA bundles on top of the http and https modules.
+ */
+
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import zlib from 'zlib';
+import { readFileSync } from 'fs';
+
+// Default request timeout, in seconds
+export const DEFAULT_TIMEOUT = 30;
+
+// Default number of retries after the first attempt
+export const DEFAULT_RETRIES = 2;
+
+// Maximum number of redirects followed by a request
+const MAX_REDIRECTS = 5;
+
+// Backoff delays: 500ms, 1s, 2s, ... capped, in milliseconds
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 30000;
+
+// Statuses worth retrying: rate limiting and server-side failures
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+// Network errors worth retrying
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Methods which can be sent twice without side effects; others are only
+// retried on 429, which means the request was not processed
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Redirect statuses, and those switching to a bodyless GET
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loaded CA bundles, by file
+const caBundles = new Map();
+
+/**
+ * Resolve the HTTP settings of a request
+ * 
+ * Each setting comes from its option (--timeout, --retries, --ca), then its
+ * environment variable (KLBFW_TIMEOUT, KLBFW_RETRIES, KLBFW_CA_FILE), then
+ * the default.
+ * 
+ * @param {Object} options - Options containing optional timeout (seconds), retries and caFile
+ * @returns {{timeout: number, retries: number, caFile: string|null}} The settings
+ */
+export function resolveHttpSettings(options = {}) {
+  const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+  const timeout = Number(pick(options.timeout, process.env.KLBFW_TIMEOUT, DEFAULT_TIMEOUT));
+  const retries = Number(pick(options.retries, process.env.KLBFW_RETRIES, DEFAULT_RETRIES));
+  
+  if (!(timeout > 0)) {
+    throw new Error(`Invalid timeout: ${pick(options.timeout, process.env.KLBFW_TIMEOUT)}`);
+  }
+  
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`Invalid retry count: ${pick(options.retries, process.env.KLBFW_RETRIES)}`);
+  }
+  
+  return {
+    timeout,
+    retries,
+    caFile: pick(options.caFile, process.env.KLBFW_CA_FILE) || null
+  };
+}
+
+/**
+ * Load a CA bundle, added to the default root certificates
+ */
+function loadCaBundle(caFile) {
+  if (!caBundles.has(caFile)) {
+    let bundle;
+    try {
+      bundle = readFileSync(caFile, 'utf8');
+    } catch (e) {
+      throw new Error(`Unable to read CA bundle ${caFile}: ${e.message}`);
+    }
+    caBundles.set(caFile, [...tls.rootCertificates, bundle]);
+  }
+  
+  return caBundles.get(caFile);
+}
+
+/**
+ * Get the proxy to use for a URL from the environment, or null
+ */
+function proxyFor(url) {
+  const env = (name) => process.env[name.toLowerCase()] || process.env[name];
+  const noProxy = (env('NO_PROXY') || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  
+  const bypassed = noProxy.some(entry => {
+    if (entry === '*') return true;
+    const domain = entry.replace(/^\*?\./, '').replace(/:\d+$/, '').toLowerCase();
+    return url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+  });
+  if (bypassed) return null;
+  
+  const proxy = url.protocol === 'https:' ? env('HTTPS_PROXY') : env('HTTP_PROXY');
+  if (!proxy) return null;
+  
+  return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+}
+
+/**
+ * Get the Proxy-Authorization header of a proxy URL with credentials
+ */
+function proxyHeaders(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+/**
+ * Open a CONNECT tunnel through a proxy, resolving with the socket
+ */
+function openTunnel(proxy, url, timeout) {
+  return new Promise((resolve, reject) => {
+    const target = `${url.hostname}:${url.port || 443}`;
+    const req = (proxy.protocol === 'https:' ? https : http).request({
+      hostname: proxy.hostname,
+      port: proxy.port,
+      method: 'CONNECT',
+      path: target,
+      headers: { Host: target, ...proxyHeaders(proxy) }
+    });
+    
+    req.setTimeout(timeout * 1000, () => {
+      req.destroy(Object.assign(new Error(`Proxy ${proxy.host} timed out after ${timeout}s`), { code: 'ETIMEDOUT' }));
+    });
+    
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        reject(new Error(`Proxy ${proxy.host} refused the connection to ${target} (status ${res.statusCode})`));
+        return;
+      }
+      resolve(socket);
+    });
+    
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Decode a compressed response body
+ */
+function decodeBody(buffer, encoding) {
+  if (buffer.length === 0) return buffer;
+  
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(buffer);
+    case 'deflate':
+      // Some servers send raw deflate data instead of zlib
+      try {
+        return zlib.inflateSync(buffer);
+      } catch (e) {
+        return zlib.inflateRawSync(buffer);
+      }
+    case 'br':
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+/**
+ * Send one request, without retries nor redirects
+ */
+async function sendOnce(url, options) {
+  const { method, headers, body, timeout, ca } = options;
+  const proxy = proxyFor(url);
+  const isHttps = url.protocol === 'https:';
+  let transport = isHttps ? https : http;
+  
+  const reqOptions = {
+    hostname: url.hostname,
+    port: url.port,
+    path: url.pathname + url.search,
+    method,
+    headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers }
+  };
+  if (isHttps && ca) reqOptions.ca = ca;
+  
+  if (proxy && isHttps) {
+    // HTTPS goes through a CONNECT tunnel, TLS being negotiated with the
+    // target over it
+    const socket = await openTunnel(proxy, url, timeout);
+    reqOptions.createConnection = () => tls.connect({ socket, servername: url.hostname, ca });
+  } else if (proxy) {
+    // Plain HTTP is sent to the proxy with the absolute URL
+    transport = proxy.protocol === 'https:' ? https : http;
+    reqOptions.hostname = proxy.hostname;
+    reqOptions.port = proxy.port;
+    reqOptions.path = url.href;
+    reqOptions.headers = { Host: url.host, ...reqOptions.headers, ...proxyHeaders(proxy) };
+  }
+  
+  return new Promise((resolve, reject) => {
+    const req = transport.request(reqOptions, (res) => {
+      const chunks = [];
+      
+      res.on('data', (chunk) => {
+        chunks.push(chunk);
+      });
+      
+      res.on('end', () => {
+        clearTimeout(timer);
+        try {
+          const decoded = decodeBody(Buffer.concat(chunks), res.headers['content-encoding']);
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: decoded.toString('utf8') });
+        } catch (e) {
+          reject(new Error(`Unable to decode the ${res.headers['content-encoding']} response of ${url.origin}${url.pathname}: ${e.message}`));
+        }
+      });
+      
+      res.on('error', reject);
+    });
+    
+    // The timeout covers the whole exchange, not only socket inactivity
+    const timer = setTimeout(() => {
+      req.destroy(Object.assign(new Error(`Request to ${url.origin}${url.pathname} timed out after ${timeout}s`), { code: 'ETIMEDOUT' }));
+    }, timeout * 1000);
+    
+    req.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    
+    req.end(body || undefined);
+  });
+}
+
+/**
+ * Get the delay before a retry, honoring Retry-After when given
+ */
+function retryDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (delay >= 0) return Math.min(delay, RETRY_MAX_DELAY);
+  }
+  
+  return Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+}
+
+/**
+ * Remove headers by name, case insensitively
+ */
+function withoutHeaders(headers, names) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !names.includes(name.toLowerCase())));
+}
+
+/**
+ * Send an HTTP request
+ * 
+ * Redirects are followed (up to 5), credentials headers being dropped when
+ * leaving the origin. 429 answers are retried for all methods, 5xx answers
+ * and network errors only for idempotent methods, with an exponential
+ * backoff. Responses are decoded when compressed.
+ * 
+ * @param {string} url - The absolute URL
+ * @param {Object} options - method, headers, body (Buffer or string), timeout (seconds), retries and caFile
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>} The response
+ */
+export async function httpRequest(url, options = {}) {
+  const { timeout, retries, caFile } = resolveHttpSettings(options);
+  const ca = caFile ? loadCaBundle(caFile) : undefined;
+  let current = new URL(url);
+  let method = options.method || 'GET';
+  let headers = { ...options.headers };
+  let body = options.body || null;
+  let redirects = 0;
+  let attempt = 0;
+  
+  while (true) {
+    let response;
+    try {
+      response = await sendOnce(current, { method, headers, body, timeout, ca });
+    } catch (e) {
+      if (attempt < retries && IDEMPOTENT_METHODS.includes(method) && RETRY_ERROR_CODES.includes(e.code)) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay(attempt++)));
+        continue;
+      }
+      throw e;
+    }
+    
+    if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+      if (++redirects > MAX_REDIRECTS) {
+        throw new Error(`Too many redirects for ${url}`);
+      }
+      
+      const next = new URL(response.headers.location, current);
+      if (next.origin !== current.origin) {
+        headers = withoutHeaders(headers, ['authorization', 'cookie']);
+      }
+      
+      // 303, and 301/302 after a POST, continue with a GET
+      if (response.statusCode === 303 || ([301, 302].includes(response.statusCode) && method === 'POST')) {
+        method = 'GET';
+        body = null;
+        headers = withoutHeaders(headers, ['content-type', 'content-length']);
+      }
+      
+      current = next;
+      continue;
+    }
+    
+    const retryable = response.statusCode === 429 || IDEMPOTENT_METHODS.includes(method);
+    if (RETRY_STATUSES.includes(response.statusCode) && retryable && attempt < retries) {
+      await new Promise(resolve => setTimeout(resolve, retryDelay(attempt++, response.headers['retry-after'])));
+      continue;
+    }
+    
+    return response;
+  }
+}
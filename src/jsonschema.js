@@ -0,0 +1,284 @@
+/**
+ * JSON Schema mapping of KLB field and argument types
+ */
+
+import { colors } from './constants.js';
+import { createFormatter } from './utils.js';
+import { getTypeName, pascalCase } from './typescript.js';
+import { isDateTimeType } from './model.js';
+
+// JSON Schema of the KLB DateTime object structure
+export const KLB_DATETIME_SCHEMA = {
+  type: 'object',
+  description: 'KLB DateTime object structure',
+  properties: {
+    unix: { type: 'integer', description: 'Unix timestamp (seconds)' },
+    us: { type: 'integer', description: 'Microseconds part' },
+    iso: { type: 'string', description: 'ISO formatted date string' },
+    tz: { type: 'string', description: 'Timezone identifier' },
+    full: { type: 'string', description: 'Full timestamp as string (seconds + microseconds)' },
+    unixms: { type: 'string', description: 'Unix timestamp with milliseconds as string' }
+  },
+  required: ['unix', 'us', 'iso', 'tz', 'full', 'unixms']
+};
+
+// JSON Schema of datetime arguments: requests send date strings or unix
+// timestamps, KlbDateTime objects being only returned
+export const KLB_DATETIME_ARGUMENT_SCHEMA = {
+  anyOf: [
+    { type: 'string', description: 'Date string, e.g. ISO 8601' },
+    { type: 'number', description: 'Unix timestamp (seconds)' }
+  ]
+};
+
+// JSON Schema formats matching KLB validators
+const VALIDATOR_FORMATS = {
+  uuid: 'uuid',
+  email: 'email',
+  url: 'uri',
+  uri: 'uri',
+  ip: 'ipv4',
+  ipv4: 'ipv4',
+  ipv6: 'ipv6'
+};
+
+/**
+ * Convert a KLB type to a JSON Schema
+ * 
+ * @param {string} type - The KLB type (INT, VARCHAR, ENUM, DATETIME, ...)
+ * @param {Object} info - Field or argument model (values, size, validator)
+ * @param {Object} options - dateTimeSchema to use for datetime/timestamp
+ * @returns {Object} The JSON Schema
+ */
+export function klbTypeToJsonSchema(type, info = {}, options = {}) {
+  const { dateTimeSchema = KLB_DATETIME_SCHEMA } = options;
+  const lowerType = (type || '').toLowerCase();
+  let schema;
+  
+  if ((lowerType === 'enum' || lowerType === 'set') && Array.isArray(info.values)) {
+    schema = { type: 'string', enum: [...info.values] };
+  } else {
+    switch (lowerType) {
+      case 'int':
+      case 'integer':
+      case 'bigint':
+      case 'tinyint':
+      case 'smallint':
+      case 'mediumint':
+        schema = { type: 'integer' };
+        break;
+      case 'float':
+      case 'double':
+      case 'decimal':
+      case 'number':
+        schema = { type: 'number' };
+        break;
+      case 'char':
+      case 'string':
+      case 'text':
+      case 'tinytext':
+      case 'mediumtext':
+      case 'longtext':
+      case 'varchar':
+        schema = { type: 'string' };
+        break;
+      case 'bool':
+      case 'boolean':
+        schema = { type: 'boolean' };
+        break;
+      case 'datetime':
+      case 'timestamp':
+        schema = { ...dateTimeSchema };
+        break;
+      case 'date':
+        schema = { type: 'string', format: 'date' };
+        break;
+      case 'time':
+        schema = { type: 'string', format: 'time' };
+        break;
+      case 'json':
+      case 'array':
+        schema = { type: 'array' };
+        break;
+      case 'object':
+      case 'json_object':
+        schema = { type: 'object' };
+        break;
+      default:
+        schema = {};
+    }
+  }
+  
+  if (schema.type === 'string') {
+    if (info.validator && VALIDATOR_FORMATS[info.validator]) {
+      schema.format = VALIDATOR_FORMATS[info.validator];
+    }
+    if (typeof info.size === 'number' && !schema.enum) {
+      schema.maxLength = info.size;
+    }
+  }
+  
+  return schema;
+}
+
+/**
+ * Make a JSON Schema also accept null
+ */
+export function nullableSchema(schema) {
+  if (typeof schema.type === 'string') {
+    return { ...schema, type: [schema.type, 'null'] };
+  }
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+/**
+ * Convert the fields of a table model to an object JSON Schema
+ * 
+ * Fields that are not nullable are required, the others accept null.
+ */
+export function fieldsToJsonSchema(fields, options = {}) {
+  const { description } = options;
+  const schema = { type: 'object' };
+  const properties = {};
+  const required = [];
+  
+  if (description) schema.description = description;
+  
+  for (const field of fields) {
+    let fieldSchema = klbTypeToJsonSchema(field.type, field, options);
+    
+    if (field.description) fieldSchema.description = field.description;
+    if (field.default !== null) fieldSchema.default = field.default;
+    
+    if (field.nullable) {
+      fieldSchema = nullableSchema(fieldSchema);
+    } else {
+      required.push(field.name);
+    }
+    
+    properties[field.name] = fieldSchema;
+  }
+  
+  schema.properties = properties;
+  if (required.length > 0) schema.required = required;
+  
+  return schema;
+}
+
+/**
+ * Convert the argument models of a procedure or method to an object JSON
+ * Schema
+ * 
+ * Datetime arguments accept date strings and unix timestamps, whatever the
+ * dateTimeSchema option.
+ */
+export function argsToJsonSchema(args = [], options = {}) {
+  const { description } = options;
+  const schema = { type: 'object' };
+  const properties = {};
+  const required = [];
+  
+  if (description) schema.description = description;
+  
+  for (const arg of args) {
+    if (!arg.name) continue;
+    
+    const argSchema = klbTypeToJsonSchema(arg.type, arg, { ...options, dateTimeSchema: KLB_DATETIME_ARGUMENT_SCHEMA });
+    if (arg.description) argSchema.description = arg.description;
+    
+    properties[arg.name] = argSchema;
+    if (arg.required) required.push(arg.name);
+  }
+  
+  schema.properties = properties;
+  if (required.length > 0) schema.required = required;
+  
+  return schema;
+}
+
+/**
+ * Build the JSON Schemas of an endpoint: its table structure and the
+ * parameters of its procedure and methods
+ * 
+ * Names match the TypeScript interfaces (User, UserLoginParams, ...).
+ * Datetime fields reference the KlbDateTime definition, which is included
+ * when used; datetime arguments are date strings or unix timestamps.
+ * 
+ * @param {Object} model - The endpoint model
+ * @param {string} apiPath - The object path
+ * @param {string} typeName - The object type name, derived from the path by default
+ * @returns {Object} The schemas, keyed by name
+ */
+export function buildEndpointJsonSchemas(model, apiPath, typeName = getTypeName(apiPath)) {
+  const schemas = {};
+  const schemaOptions = { dateTimeSchema: { $ref: '#/$defs/KlbDateTime' } };
+  
+  if (model.table && model.table.fields.some(field => isDateTimeType(field.type))) {
+    schemas.KlbDateTime = KLB_DATETIME_SCHEMA;
+  }
+  
+  if (model.table) {
+    const description = model.description || typeName + ' object structure';
+    schemas[typeName] = fieldsToJsonSchema(model.table.fields, { ...schemaOptions, description });
+  }
+  
+  if (model.procedure && model.procedure.args.length > 0) {
+    const procedureName = model.procedure.name;
+    const description = model.procedure.description || `Request parameters for ${procedureName || typeName} procedure`;
+    schemas[`${typeName}${procedureName ? pascalCase(procedureName) : ''}Params`] = argsToJsonSchema(model.procedure.args, { ...schemaOptions, description });
+  }
+  
+  for (const method of model.methods) {
+    if (method.args.length === 0) continue;
+    
+    const description = method.description || `Request parameters for ${typeName}.${method.name} method`;
+    schemas[`${typeName}${pascalCase(method.name)}Params`] = argsToJsonSchema(method.args, { ...schemaOptions, description });
+  }
+  
+  return schemas;
+}
+
+/**
+ * Build a JSON Schema document holding all the schemas of an endpoint in
+ * its $defs
+ */
+export function buildJsonSchemaDocument(model, apiPath, typeName = getTypeName(apiPath)) {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: `${apiPath} schemas`,
+    $defs: buildEndpointJsonSchemas(model, apiPath, typeName)
+  };
+}
+
+/**
+ * Print the JSON Schemas of an endpoint model
+ */
+export function generateJsonSchemaDefinitions(model, options = {}) {
+  const { 
+    output = console.log,
+    useColors = true,
+    markdownFormat = false
+  } = options;
+  
+  const { printOutput, format } = createFormatter({ useColors, output });
+  
+  if (!model.raw.data) {
+    if (markdownFormat) {
+      printOutput(`**Error:** No API data found in response`);
+    } else {
+      printOutput(`${format(colors.red, "Error: No API data found in response")}`);
+    }
+    return;
+  }
+  
+  const apiPath = model.objectPath !== null ? model.objectPath : 'Unknown';
+  const json = JSON.stringify(buildJsonSchemaDocument(model, apiPath), null, 2);
+  
+  if (markdownFormat) {
+    printOutput(`\n## JSON Schema definitions for: ${apiPath}\n`);
+    printOutput("```json\n" + json + "\n```");
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, "JSON Schema definitions for:")} ${format(colors.green, apiPath)}\n`);
+    printOutput(json);
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * Type definitions of the klbfw-describe library entry point
+ */
+
+export interface ConnectionOptions {
+  /** API host, may include a scheme (default: ws.atonline.com) */
+  host?: string;
+  /** API path prefix (default: /_rest/) */
+  prefix?: string;
+  /** Named environment profile from the config files */
+  profile?: string;
+  token?: string;
+  cookie?: string;
+  apiKey?: string;
+  apiSecret?: string;
+  /** Request timeout in seconds (default: 30) */
+  timeout?: number;
+  /** Retries of rate-limited and failed requests (default: 2) */
+  retries?: number;
+  /** PEM bundle of additional CA certificates */
+  caFile?: string;
+}
+
+export interface ArgumentModel {
+  name: string;
+  /** KLB type (string, int, ENUM, datetime, file, ...) */
+  type: string | null;
+  required: boolean;
+  description: string | null;
+  /** Allowed values for ENUM arguments */
+  values: string[] | null;
+  /** Maximum length */
+  size: number | null;
+  /** Unknown properties */
+  extra: Record<string, unknown>;
+}
+
+export interface MethodModel {
+  name: string;
+  /** Static methods are called on the collection, others on an object id */
+  static: boolean;
+  description: string | null;
+  /** Description of the returned value */
+  returns: string | null;
+  args: ArgumentModel[];
+  /** Unknown properties */
+  extra: Record<string, unknown>;
+}
+
+export interface FieldModel {
+  name: string;
+  /** KLB type (CHAR, VARCHAR, INT, ENUM, DATETIME, ...) */
+  type: string | null;
+  /** Maximum length, or 'precision,scale' for decimals */
+  size: number | string | null;
+  nullable: boolean;
+  /** Part of the primary key */
+  primary: boolean;
+  /** References another object */
+  foreignKey: boolean;
+  /** KLB validator (uuid, email, url, ...) */
+  validator: string | null;
+  /** Allowed values for ENUM and SET fields */
+  values: string[] | null;
+  default: unknown;
+  description: string | null;
+  /** Unknown properties */
+  extra: Record<string, unknown>;
+}
+
+export interface IndexModel {
+  /** Index name as reported (`@Email`) */
+  name: string;
+  kind: 'unique' | 'index' | 'foreign';
+  fields: string[];
+}
+
+export interface ForeignKeyModel {
+  /** The referencing field (`Realm__`) */
+  field: string;
+  /** Name of the referenced object (`Realm`) */
+  target: string;
+  /** Declared as FOREIGN in _keys, rather than guessed from the `__` suffix */
+  declared: boolean;
+}
+
+export interface TableModel {
+  name: string | null;
+  primaryKey: string[];
+  fields: FieldModel[];
+  indexes: IndexModel[];
+  foreignKeys: ForeignKeyModel[];
+  /** Unknown properties, including unknown `_` structure entries */
+  extra: Record<string, unknown>;
+}
+
+export type EndpointKind = 'procedure' | 'resource' | 'collection';
+
+export interface EndpointModel {
+  /** MODEL_VERSION */
+  version: number;
+  /** Canonical path ('' for the root, Path:name for procedures), null when unknown */
+  path: string | null;
+  /** Path of the object, without the procedure name */
+  objectPath: string | null;
+  /** Last segment of the path */
+  name: string;
+  kind: EndpointKind;
+  type: string | null;
+  description: string | null;
+  access: string | null;
+  /** Methods allowed on the path */
+  allowedMethods: string[];
+  /** Methods allowed on an object of the path */
+  objectMethods: string[];
+  table: TableModel | null;
+  /** The procedure, for Path:name endpoints */
+  procedure: MethodModel | null;
+  /** Procedures and methods of the object */
+  methods: MethodModel[];
+  /** Sub-endpoints */
+  children: { name: string; methods: string[] }[];
+  /** Unknown properties */
+  extra: Record<string, unknown>;
+  /** The raw OPTIONS response */
+  raw: ApiResponse;
+}
+
+export interface ApiResponse<T = any> {
+  result: 'success' | 'error';
+  data?: T;
+  paging?: Record<string, unknown>;
+  time?: number;
+  error?: string;
+  token?: string;
+  [key: string]: unknown;
+}
+
+export interface TreeNode {
+  path: string;
+  name: string;
+  kind: EndpointKind;
+  methods: string[];
+  objectMethods: string[];
+  procedures: { name: string; static: boolean }[];
+  children: TreeNode[];
+  /** Endpoint model of successfully fetched nodes */
+  endpoint?: EndpointModel;
+  /** Error message when the node could not be fetched */
+  error?: string;
+  /** HTTP status of the failed request, when the server answered */
+  status?: number;
+  /** Set when children were not explored because of the depth limit */
+  truncated?: boolean;
+  /** Canonical path of an endpoint already visited */
+  aliasOf?: string;
+}
+
+export type CallMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+
+export interface RequestOptions extends ConnectionOptions {
+  /** Query parameters */
+  params?: Record<string, string>;
+}
+
+export interface CallOptions extends RequestOptions {
+  /** HTTP method (default: POST) */
+  method?: CallMethod;
+  /** Request body, sent as JSON */
+  data?: Record<string, unknown> | null;
+  /** Local file paths to upload as multipart/form-data, keyed by field name */
+  files?: Record<string, string>;
+}
+
+export interface CrawlOptions extends ConnectionOptions {
+  depth?: number;
+  concurrency?: number;
+}
+
+export interface RenderOptions {
+  useColors?: boolean;
+  markdownFormat?: boolean;
+}
+
+export interface KlbError {
+  message: string | null;
+  /** Error token, e.g. error_not_found */
+  token: string | null;
+  requestId: string | null;
+  /** The parsed error body */
+  data: Record<string, unknown>;
+}
+
+/** Error of a request which got a non-200 response */
+export class ApiError extends Error {
+  constructor(summary: string, statusCode: number, body: string);
+  statusCode: number;
+  body: string;
+  klbError: KlbError | null;
+  token: string | null;
+  requestId: string | null;
+}
+
+export function parseKlbError(body: string): KlbError | null;
+
+export const CALL_METHODS: CallMethod[];
+export const MODEL_VERSION: number;
+
+export function describe(apiPath?: string, options?: ConnectionOptions): Promise<EndpointModel>;
+export function get<T = any>(apiPath: string, options?: RequestOptions): Promise<ApiResponse<T>>;
+export function call<T = any>(apiPath: string, options?: CallOptions): Promise<ApiResponse<T>>;
+export function crawl(apiPath?: string, options?: CrawlOptions): Promise<TreeNode>;
+
+export function buildEndpointModel(response: ApiResponse, apiPath?: string): EndpointModel;
+export function endpointKind(data: Record<string, unknown>): EndpointKind;
+/** The procedure and methods of an endpoint, the procedure first */
+export function endpointCallables(model: EndpointModel): MethodModel[];
+/** Whether an endpoint uses datetime fields or arguments */
+export function usesDateTime(model: EndpointModel): boolean;
+export function isDateTimeType(type: string | null): boolean;
+
+export function formatEndpoint(model: EndpointModel, options?: RenderOptions): string;
+/** The model as JSON, without the raw response (the --json output) */
+export function formatJson(model: EndpointModel): string;
+export function formatRaw(model: EndpointModel): string;
+export function formatTypeScript(model: EndpointModel, options?: RenderOptions): string;
+export function formatZod(model: EndpointModel, options?: RenderOptions): string;
+export function formatJsonSchema(model: EndpointModel, options?: RenderOptions): string;
@@ -0,0 +1,93 @@
+/**
+ * Library entry point
+ * 
+ *   import { describe, get, crawl } from '@karpeleslab/klbfw-describe';
+ * 
+ * The functions return data instead of printing it. Endpoints are returned
+ * as endpoint models (see model.js), which the format* renderers turn into
+ * terminal text, markdown, JSON, raw JSON, TypeScript, Zod or JSON Schema.
+ * 
+ * All functions take the same connection options as the CLI: host, prefix,
+ * profile, token, cookie, apiKey and apiSecret, plus the timeout, retries and
+ * caFile network settings. Failed requests reject with an ApiError holding
+ * the HTTP status and the KLB error (message, token and request ID).
+ */
+
+import { fetchEndpointModel, requestApi, CALL_METHODS } from './api.js';
+import { crawlApi } from './crawler.js';
+
+export { buildEndpointModel, endpointKind, endpointCallables, usesDateTime, isDateTimeType, MODEL_VERSION } from './model.js';
+export { formatEndpoint, formatJson, formatRaw, formatTypeScript, formatZod, formatJsonSchema } from './formatters.js';
+export { CALL_METHODS } from './api.js';
+export { ApiError, parseKlbError } from './errors.js';
+
+/**
+ * Describe an API endpoint
+ * 
+ * @param {string} apiPath - The endpoint path ('' for the root), parameters are stripped
+ * @param {Object} options - Connection options
+ * @returns {Promise<import('./model.js').EndpointModel>} The endpoint model
+ */
+export function describe(apiPath = '', options = {}) {
+  return fetchEndpointModel(apiPath, options);
+}
+
+/**
+ * Perform a GET request
+ * 
+ * @param {string} apiPath - The API path, e.g. User/123
+ * @param {Object} options - Connection options plus params (query parameters)
+ * @returns {Promise<Object>} The parsed response ({result, data, paging, ...})
+ */
+export function get(apiPath, options = {}) {
+  return requestApi(apiPath, { ...options, method: 'GET', data: null, files: {} });
+}
+
+/**
+ * Send a request with any method
+ * 
+ * Unlike the CLI, no confirmation is asked for PUT, PATCH and DELETE.
+ * 
+ * @param {string} apiPath - The API path, e.g. User:login or User/123
+ * @param {Object} options - Connection options plus method, data, params and files
+ * @returns {Promise<Object>} The parsed response ({result, data, ...})
+ */
+export async function call(apiPath, options = {}) {
+  const { method = 'POST' } = options;
+  
+  if (!CALL_METHODS.includes(method)) {
+    throw new Error(`Unsupported method ${method}, expected one of ${CALL_METHODS.join(', ')}`);
+  }
+  
+  return requestApi(apiPath, { ...options, method });
+}
+
+/**
+ * Crawl the API tree below a path
+ * 
+ * Returns the crawler tree (see crawlApi()), each successfully fetched node
+ * having its endpoint model in `endpoint`.
+ * 
+ * @param {string} apiPath - The path to start from ('' for the API root)
+ * @param {Object} options - Connection options plus depth and concurrency
+ * @returns {Promise<Object>} The root node of the tree
+ */
+export async function crawl(apiPath = '', options = {}) {
+  const models = new Map();
+  const root = await crawlApi(apiPath, {
+    ...options,
+    onData: (path, model) => {
+      models.set(path, model);
+    }
+  });
+  
+  const attach = (node) => {
+    if (models.has(node.path) && !node.aliasOf) {
+      node.endpoint = models.get(node.path);
+    }
+    node.children.forEach(attach);
+  };
+  attach(root);
+  
+  return root;
+}
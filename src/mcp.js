@@ -1,38 +1,197 @@
 import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
-import { describeApi, getApiResource, fetchDocumentation, fetchDocFileList } from './api.js';
+import { getApiResource, callApi, CALL_METHODS, DESTRUCTIVE_METHODS, fetchDocumentation, fetchDocFileList, fetchEndpointModel } from './api.js';
+import { collectEndpoints } from './crawler.js';
+import { endpointJson, formatEndpoint } from './formatters.js';
+import { endpointCallables } from './model.js';
+import { describeApis, buildBatchTypeScript } from './batch.js';
+import { resolveTarget } from './config.js';
+import { describeOutputSchema, describeRawOutputSchema, typeScriptOutputSchema, getOutputSchema } from './mcpschemas.js';
+import { buildIntegrationPrompt, buildRestCallPrompt, buildDataModelPrompt } from './prompts.js';
 import { stripParametersFromPath } from './utils.js';
+import { loadCredentialsFile, resolveCredentials, createRedactor, redactValue } from './auth.js';
+import { validateCall } from './validate.js';
+import { printSearchResults, DEFAULT_SEARCH_LIMIT } from './search.js';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
+// Optional target selection arguments shared by the API tools
+const targetParams = {
+  host: z.string().optional().describe("API host to use instead of the configured default (e.g. staging.example.com), requests to another host are sent without credentials"),
+  prefix: z.string().optional().describe("API path prefix to use instead of the configured default (e.g. /_rest/)"),
+  profile: z.string().optional().describe("Named environment profile from the klbfw-describe config files")
+};
+
+// Target selection arguments of a remote server: its clients may pick a
+// configured profile or prefix, but not a host of their choice
+const remoteTargetParams = {
+  prefix: targetParams.prefix,
+  profile: targetParams.profile
+};
+
+// Paths described along with apiPath by the describe tools
+const morePathsParam = {
+  apiPaths: z.array(z.string().min(1)).optional().describe("More paths or glob patterns (User/*, Order/**:create) to describe in the same output")
+};
+
+// Annotations of the tools: they all reach the API or the docs over the
+// network, and only call may modify data
+const READ_ONLY_TOOL = { readOnlyHint: true, openWorldHint: true };
+const DESTRUCTIVE_TOOL = { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true };
+
+// URI prefixes of the endpoint description resources, as JSON and as markdown
+const API_RESOURCE_PREFIX = 'klb://api/';
+const API_MARKDOWN_RESOURCE_PREFIX = 'klb://api-md/';
+
+/**
+ * Get the resource URIs of the sub-endpoints and of the procedures and
+ * methods of an endpoint
+ */
+function endpointResourceLinks(model, prefix) {
+  const path = model.objectPath || '';
+  
+  return {
+    children: model.children.map(child => ({ name: child.name, uri: `${prefix}${path ? `${path}/` : ''}${child.name}` })),
+    methods: model.methods.map(method => ({ name: method.name, uri: `${prefix}${path}:${method.name}` }))
+  };
+}
+
+/**
+ * Build the JSON content of an endpoint description resource: the --json
+ * structure, with the resource URIs of the sub-endpoints, procedures and
+ * methods
+ */
+function endpointResourceJson(model, uri) {
+  const links = endpointResourceLinks(model, API_RESOURCE_PREFIX);
+  const json = endpointJson(model);
+  
+  return {
+    uri,
+    ...json,
+    children: json.children.map((child, index) => ({ ...child, uri: links.children[index].uri })),
+    methods: json.methods.map((method, index) => ({ ...method, uri: links.methods[index].uri }))
+  };
+}
+
+/**
+ * Build the markdown content of an endpoint description resource: the
+ * describe output, followed by links to the sub-endpoints, procedures and
+ * methods
+ */
+function endpointResourceMarkdown(model) {
+  const { children, methods } = endpointResourceLinks(model, API_MARKDOWN_RESOURCE_PREFIX);
+  let markdown = formatEndpoint(model, { useColors: false, markdownFormat: true });
+  
+  if (children.length > 0 || methods.length > 0) {
+    markdown += '\n\n### Resources\n\n';
+    markdown += [
+      ...children.map(child => `- [${child.name}](${child.uri})`),
+      ...methods.map(method => `- [${method.name}()](${method.uri})`)
+    ].join('\n');
+  }
+  
+  return markdown + '\n';
+}
+
 /**
- * Start an MCP server for programmatic access to the API description tool
+ * Get the version of the package
  */
-export async function startMcpServer() {
+export function getPackageVersion() {
   // Get package version dynamically from package.json
   const __filename = fileURLToPath(import.meta.url);
   const __dirname = dirname(__filename);
   const packagePath = join(__dirname, '..', 'package.json');
-  const packageJson = JSON.parse(readFileSync(packagePath, 'utf8'));
+  return JSON.parse(readFileSync(packagePath, 'utf8')).version;
+}
+
+/**
+ * Create an MCP server with the API description tools, resources and
+ * prompts, to connect to a transport
+ * 
+ * A remote server, serving the clients of the HTTP transports, has no host
+ * argument and does not upload local files: its clients could otherwise make
+ * it send requests to any host, or read any file it can access.
+ * 
+ * @param {Object} defaults - Default host, prefix, profile and credentials for tool calls
+ * @param {Object} options - remote (serving clients of another machine)
+ * @returns {McpServer} The server
+ */
+export function createMcpServer(defaults = {}, options = {}) {
+  const { remote = false } = options;
+  
+  // Cache and HTTP settings (--offline, --no-cache, --cache-ttl, --timeout,
+  // --retries, --ca) apply to all calls
+  const { offline, offlineSnapshot, noCache, cacheTtl, timeout, retries, caFile } = defaults;
+  const clientOptions = { offline, offlineSnapshot, noCache, cacheTtl, timeout, retries, caFile };
+  
+  // Target arguments accepted by the API tools and prompts
+  const targetArguments = remote ? remoteTargetParams : targetParams;
+  
+  // Merge per-call target arguments with the server defaults. Selecting a
+  // profile in the call replaces the server defaults entirely, including
+  // credentials given on the command line. Credentials belong to the host
+  // and prefix of the configuration: calls sent anywhere else are anonymous,
+  // so that a client cannot get them sent to a host of its choice.
+  const targetFor = (params) => {
+    const base = params.profile ? { ...clientOptions, profile: params.profile } : defaults;
+    const call = {
+      ...base,
+      host: (!remote && params.host) || base.host,
+      prefix: params.prefix || base.prefix
+    };
+    
+    const configured = resolveTarget(base);
+    const target = resolveTarget(call);
+    call.anonymous = target.host !== configured.host || target.prefix !== configured.prefix;
+    
+    return call;
+  };
+  
+  // Paths and glob patterns given to the describe tools
+  const pathsFor = (params) => [params.apiPath, ...(params.apiPaths || [])];
+  
+  // Host the API tools query, reported in their structured content
+  const hostFor = (params) => resolveTarget(targetFor(params)).host;
+  
+  // Hide the credentials of a call in structured content, as in the text
+  // output
+  const redactFor = (params, value) => {
+    const call = targetFor(params);
+    return redactValue(value, createRedactor(resolveCredentials(resolveTarget(call).profile, call)));
+  };
+  
+  // Result of a failed tool call: the output printed before the failure,
+  // which holds the error details when they were reported, and the error
+  const errorResult = (error, output = '') => ({
+    content: [{ type: "text", text: error.reported ? output : `${output}Error: ${error.message}` }],
+    isError: true
+  });
   
   // Create an MCP server
   const server = new McpServer({
     name: "klbfw-describe",
-    version: packageJson.version
+    version: getPackageVersion()
   }, {
     capabilities: {
-      resources: {}
+      resources: {},
+      prompts: {}
     }
   });
   
   // Add describe tool with explicit schema
-  server.tool(
+  server.registerTool(
     "describe",
-    "Describe an API endpoint by its path with formatted output. Automatically strips parameters (segments not starting with uppercase) for OPTIONS request.",
     {
-      apiPath: z.string().min(1).describe("The API endpoint path to describe (parameters will be auto-stripped for OPTIONS)")
+      description: "Describe an API endpoint by its path with formatted output, and as structured content (endpoint model, fields and methods). Automatically strips parameters (segments not starting with uppercase) for OPTIONS request.",
+      inputSchema: {
+        apiPath: z.string().min(1).describe("The API endpoint path to describe (parameters will be auto-stripped for OPTIONS), or a glob pattern such as User/* or Order/**:create"),
+        ...morePathsParam,
+        ...targetArguments
+      },
+      outputSchema: describeOutputSchema,
+      annotations: READ_ONLY_TOOL
     },
     async (params) => {
       let output = '';
@@ -40,24 +199,47 @@ export async function startMcpServer() {
         output += text + '\n';
       };
       
-      await describeApi(params.apiPath, {
-        rawOutput: false,
-        typeScriptOutput: false,
-        output: appendOutput,
-        useColors: false,
-        markdownFormat: true
-      });
+      let entries;
+      try {
+        entries = await describeApis(pathsFor(params), {
+          ...targetFor(params),
+          rawOutput: false,
+          typeScriptOutput: false,
+          output: appendOutput,
+          statusOutput: appendOutput,
+          useColors: false,
+          markdownFormat: true
+        });
+      } catch (error) {
+        return errorResult(error, output);
+      }
       
-      return { content: [{ type: "text", text: output }] };
+      return {
+        content: [{ type: "text", text: output }],
+        structuredContent: {
+          host: hostFor(params),
+          endpoints: redactFor(params, entries.map(({ model }) => ({
+            endpoint: endpointJson(model),
+            fields: model.table ? model.table.fields : [],
+            methods: endpointCallables(model).filter(callable => callable.name)
+          })))
+        }
+      };
     }
   );
   
   // Add describe_raw tool with explicit schema
-  server.tool(
+  server.registerTool(
     "describe_raw",
-    "Obtain the raw json output description of an API. Automatically strips parameters (segments not starting with uppercase) for OPTIONS request.",
     {
-      apiPath: z.string().min(1).describe("The API endpoint path to describe (parameters will be auto-stripped for OPTIONS)")
+      description: "Obtain the raw json output description of an API. Automatically strips parameters (segments not starting with uppercase) for OPTIONS request.",
+      inputSchema: {
+        apiPath: z.string().min(1).describe("The API endpoint path to describe (parameters will be auto-stripped for OPTIONS), or a glob pattern such as User/* or Order/**:create"),
+        ...morePathsParam,
+        ...targetArguments
+      },
+      outputSchema: describeRawOutputSchema,
+      annotations: READ_ONLY_TOOL
     },
     async (params) => {
       let output = '';
@@ -65,24 +247,43 @@ export async function startMcpServer() {
         output += text + '\n';
       };
       
-      await describeApi(params.apiPath, {
-        rawOutput: true,
-        typeScriptOutput: false,
-        output: appendOutput,
-        useColors: false,
-        markdownFormat: true
-      });
+      let entries;
+      try {
+        entries = await describeApis(pathsFor(params), {
+          ...targetFor(params),
+          rawOutput: true,
+          typeScriptOutput: false,
+          output: appendOutput,
+          statusOutput: appendOutput,
+          useColors: false,
+          markdownFormat: true
+        });
+      } catch (error) {
+        return errorResult(error, output);
+      }
       
-      return { content: [{ type: "text", text: output }] };
+      return {
+        content: [{ type: "text", text: output }],
+        structuredContent: {
+          host: hostFor(params),
+          responses: entries.map(({ path, model }) => ({ path, response: redactFor(params, model.raw) }))
+        }
+      };
     }
   );
   
   // Add produce_ts tool with explicit schema
-  server.tool(
+  server.registerTool(
     "produce_ts",
-    "Generate TypeScript definitions for an API endpoint. Automatically strips parameters (segments not starting with uppercase) for OPTIONS request.",
     {
-      apiPath: z.string().min(1).describe("The API endpoint path to generate TypeScript for (parameters will be auto-stripped for OPTIONS)")
+      description: "Generate TypeScript definitions for an API endpoint, also returned as plain source in structured content. Automatically strips parameters (segments not starting with uppercase) for OPTIONS request.",
+      inputSchema: {
+        apiPath: z.string().min(1).describe("The API endpoint path to generate TypeScript for (parameters will be auto-stripped for OPTIONS), or a glob pattern such as User/*"),
+        ...morePathsParam,
+        ...targetArguments
+      },
+      outputSchema: typeScriptOutputSchema,
+      annotations: READ_ONLY_TOOL
     },
     async (params) => {
       let output = '';
@@ -90,25 +291,150 @@ export async function startMcpServer() {
         output += text + '\n';
       };
       
-      await describeApi(params.apiPath, {
-        rawOutput: false,
-        typeScriptOutput: true,
-        output: appendOutput,
-        useColors: false,
-        markdownFormat: true
-      });
+      let entries;
+      try {
+        entries = await describeApis(pathsFor(params), {
+          ...targetFor(params),
+          rawOutput: false,
+          typeScriptOutput: true,
+          output: appendOutput,
+          statusOutput: appendOutput,
+          useColors: false,
+          markdownFormat: true
+        });
+      } catch (error) {
+        return errorResult(error, output);
+      }
       
-      return { content: [{ type: "text", text: output }] };
+      // The source printed in the text, without the heading and code fences
+      return {
+        content: [{ type: "text", text: output }],
+        structuredContent: {
+          host: hostFor(params),
+          paths: entries.map(entry => entry.path),
+          typeScript: redactFor(params, buildBatchTypeScript(entries))
+        }
+      };
     }
   );
   
   // Add get tool with explicit schema
-  server.tool(
+  server.registerTool(
     "get",
-    "Perform a GET request to an API endpoint and return the result",
     {
-      apiPath: z.string().min(1).describe("The API endpoint path to request"),
-      raw: z.boolean().optional().default(false).describe("Whether to show raw JSON output")
+      description: "Perform a GET request to an API endpoint and return the result, also as structured content",
+      inputSchema: {
+        apiPath: z.string().min(1).describe("The API endpoint path to request"),
+        raw: z.boolean().optional().default(false).describe("Whether to show raw JSON output"),
+        ...targetArguments
+      },
+      outputSchema: getOutputSchema,
+      annotations: READ_ONLY_TOOL
+    },
+    async (params) => {
+      let output = '';
+      const appendOutput = (text) => {
+        output += text + '\n';
+      };
+      
+      let response;
+      try {
+        response = await getApiResource(params.apiPath, {
+          ...targetFor(params),
+          rawOutput: params.raw,
+          output: appendOutput,
+          useColors: false,
+          markdownFormat: true
+        });
+      } catch (error) {
+        return errorResult(error, output);
+      }
+      
+      // Responses which are not JSON were printed as errors
+      if (response === undefined) {
+        return { content: [{ type: "text", text: output }], isError: true };
+      }
+      
+      return {
+        content: [{ type: "text", text: output }],
+        structuredContent: { host: hostFor(params), path: params.apiPath, response: redactFor(params, response) }
+      };
+    }
+  );
+  
+  // Add call tool to send any request
+  server.registerTool(
+    "call",
+    {
+      description: `Send a request to an API endpoint and return the result. Procedures and methods (Path:name) are called with POST, their arguments being validated against their description first. ${DESTRUCTIVE_METHODS.join(', ')} modify data and require confirm: true.`,
+      inputSchema: {
+        apiPath: z.string().min(1).describe("The API endpoint path to request, e.g. User/123 or User:login"),
+        method: z.enum(CALL_METHODS).optional().describe("HTTP method, POST by default when data or files are given, GET otherwise"),
+        data: z.record(z.any()).optional().describe("Request body, sent as JSON"),
+        params: z.record(z.string()).optional().describe("Query parameters"),
+        ...(remote ? {} : { files: z.record(z.string()).optional().describe("Local file paths to upload as multipart/form-data, keyed by field name") }),
+        confirm: z.boolean().optional().default(false).describe(`Confirm a ${DESTRUCTIVE_METHODS.join(', ')} request`),
+        dryRun: z.boolean().optional().default(false).describe("Return the request that would be sent without sending it"),
+        validate: z.boolean().optional().default(true).describe("Validate procedure and method arguments before sending"),
+        raw: z.boolean().optional().default(false).describe("Whether to show raw JSON output"),
+        ...targetArguments
+      },
+      annotations: DESTRUCTIVE_TOOL
+    },
+    async (params) => {
+      let output = '';
+      const appendOutput = (text) => {
+        output += text + '\n';
+      };
+      
+      const files = (!remote && params.files) || {};
+      const hasBody = params.data !== undefined || Object.keys(files).length > 0;
+      
+      try {
+        if (params.validate) {
+          const errors = await validateCall(params.apiPath, {
+            ...targetFor(params),
+            data: params.data,
+            params: params.params,
+            files
+          });
+          if (errors.length > 0) {
+            return { content: [{ type: "text", text: `Invalid arguments:\n${errors.map(error => `- ${error}`).join('\n')}` }], isError: true };
+          }
+        }
+        
+        await callApi(params.apiPath, {
+          ...targetFor(params),
+          method: params.method || (hasBody ? 'POST' : 'GET'),
+          data: params.data !== undefined ? params.data : null,
+          params: params.params || {},
+          files,
+          confirmed: params.confirm,
+          dryRun: params.dryRun,
+          rawOutput: params.raw,
+          output: appendOutput,
+          useColors: false,
+          markdownFormat: true
+        });
+      } catch (error) {
+        return errorResult(error, output);
+      }
+      
+      return { content: [{ type: "text", text: output }] };
+    }
+  );
+  
+  // Add search_api tool to find endpoints without knowing their path
+  server.registerTool(
+    "search_api",
+    {
+      description: "Search the whole API for endpoints, fields, procedures, methods and arguments by name or description (e.g. \"refund\", \"wallet\", \"avatar\"). Returns ranked paths to pass to describe or call.",
+      inputSchema: {
+        query: z.string().min(1).describe("Words to search for, all of them must match"),
+        limit: z.number().int().positive().optional().default(DEFAULT_SEARCH_LIMIT).describe("Maximum number of results"),
+        ...targetArguments
+      },
+      annotations: READ_ONLY_TOOL
     },
     async (params) => {
       let output = '';
@@ -116,26 +442,34 @@ export async function startMcpServer() {
         output += text + '\n';
       };
       
-      await getApiResource(params.apiPath, {
-        rawOutput: params.raw,
-        output: appendOutput,
-        useColors: false,
-        markdownFormat: true
-      });
+      try {
+        await printSearchResults(params.query, {
+          ...targetFor(params),
+          limit: params.limit,
+          output: appendOutput,
+          useColors: false,
+          markdownFormat: true
+        });
+      } catch (error) {
+        return errorResult(error, output);
+      }
       
       return { content: [{ type: "text", text: output }] };
     }
   );
   
   // Add intdoc_list tool to list available documentation resources
-  server.tool(
+  server.registerTool(
     "intdoc_list",
-    "List available KLBFW backend integration documentation resources",
-    {},
+    {
+      description: "List available KLBFW backend integration documentation resources",
+      inputSchema: {},
+      annotations: READ_ONLY_TOOL
+    },
     async () => {
       try {
         // Fetch documentation resource list
-        const resources = await fetchDocFileList();
+        const resources = await fetchDocFileList(clientOptions);
         
         // Format the resources for display
         let output = '## Available KLBFW Backend Integration Documentation\n\n';
@@ -150,30 +484,33 @@ export async function startMcpServer() {
         
         return { content: [{ type: "text", text: output }] };
       } catch (error) {
-        return { content: [{ type: "text", text: `Error retrieving documentation list: ${error.message}` }] };
+        return { content: [{ type: "text", text: `Error retrieving documentation list: ${error.message}` }], isError: true };
       }
     }
   );
   
   // Add intdoc_get tool to fetch a specific documentation resource
-  server.tool(
+  server.registerTool(
     "intdoc_get",
-    "Fetch a specific KLBFW backend integration documentation resource by filename",
     {
-      filename: z.string().min(1).describe("The documentation filename to retrieve from the integration docs")
+      description: "Fetch a specific KLBFW backend integration documentation resource by filename",
+      inputSchema: {
+        filename: z.string().min(1).describe("The documentation filename to retrieve from the integration docs")
+      },
+      annotations: READ_ONLY_TOOL
     },
     async (params) => {
       try {
         // Fetch the documentation content
-        const content = await fetchDocumentation(params.filename);
+        const content = await fetchDocumentation(params.filename, clientOptions);
         
         if (!content) {
-          return { content: [{ type: "text", text: `Resource not found: ${params.filename}` }] };
+          return { content: [{ type: "text", text: `Resource not found: ${params.filename}` }], isError: true };
         }
         
         return { content: [{ type: "text", text: content }] };
       } catch (error) {
-        return { content: [{ type: "text", text: `Error retrieving documentation: ${error.message}` }] };
+        return { content: [{ type: "text", text: `Error retrieving documentation: ${error.message}` }], isError: true };
       }
     }
   );
@@ -186,7 +523,7 @@ export async function startMcpServer() {
         try {
           // Fetch the list of available documentation resources
           // These come in MCP resource format with klb://intdoc/ prefixes
-          const resources = await fetchDocFileList();
+          const resources = await fetchDocFileList(clientOptions);
           return { resources };
         } catch (error) {
           // In case of error, return an empty list
@@ -202,7 +539,7 @@ export async function startMcpServer() {
         }
         
         // For regular documentation files, fetch and return the raw content
-        const content = await fetchDocumentation(filename);
+        const content = await fetchDocumentation(filename, clientOptions);
         
         return {
           contents: [{
@@ -218,6 +555,122 @@ export async function startMcpServer() {
     }
   );
   
+  // Read an endpoint description resource, with the server defaults
+  const readEndpointResource = async (uri, path, markdown) => {
+    try {
+      const model = await fetchEndpointModel(decodeURIComponent(path), defaults);
+      
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: markdown ? "text/markdown" : "application/json",
+          text: markdown ? endpointResourceMarkdown(model) : JSON.stringify(endpointResourceJson(model, uri.href), null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch API resource: ${error.message}`);
+    }
+  };
+  
+  // Set up the endpoint description resources: klb://api/ as JSON, listing
+  // the crawled endpoints, and klb://api-md/ as markdown
+  server.resource(
+    "api",
+    new ResourceTemplate(`${API_RESOURCE_PREFIX}{+path}`, {
+      list: async () => {
+        try {
+          // The crawl goes through the cache, so only the first listing
+          // fetches the whole tree
+          // Endpoints which cannot be fetched are not listed
+          const endpoints = await collectEndpoints('', { ...defaults, recursive: true, onError: () => {} });
+          const resources = endpoints
+            .filter(endpoint => endpoint.path)
+            .map(endpoint => ({
+              uri: `${API_RESOURCE_PREFIX}${endpoint.path}`,
+              name: endpoint.path,
+              ...(endpoint.model.description ? { description: endpoint.model.description } : {})
+            }));
+          return { resources };
+        } catch (error) {
+          // In case of error, return an empty list
+          return { resources: [] };
+        }
+      }
+    }),
+    { mimeType: "application/json" },
+    async (uri, { path }) => readEndpointResource(uri, path, false)
+  );
+  
+  server.resource(
+    "api_markdown",
+    new ResourceTemplate(`${API_MARKDOWN_RESOURCE_PREFIX}{+path}`, { list: undefined }),
+    { mimeType: "text/markdown" },
+    async (uri, { path }) => readEndpointResource(uri, path, true)
+  );
+  
+  // Prompt result holding one user message, failing with the reason the
+  // context could not be gathered
+  const promptResult = async (description, build) => {
+    try {
+      const text = await build();
+      return { description, messages: [{ role: "user", content: { type: "text", text } }] };
+    } catch (error) {
+      throw new Error(`Unable to build the prompt: ${error.message}`);
+    }
+  };
+  
+  // Add prompts for the common integration workflows, pre-filled with the
+  // endpoint descriptions, TypeScript types and integration docs
+  server.prompt(
+    "integrate_endpoint",
+    "Integrate an API endpoint into a React component",
+    {
+      apiPath: z.string().min(1).describe("The API endpoint path to integrate, e.g. User/Wallet"),
+      component: z.string().optional().describe("Name of the React component"),
+      ...targetArguments
+    },
+    async (params) => promptResult(`Integrate ${params.apiPath} into a React component`,
+      () => buildIntegrationPrompt(params.apiPath, { ...targetFor(params), component: params.component }))
+  );
+  
+  server.prompt(
+    "write_rest_call",
+    "Write a klbfw rest() call for a procedure",
+    {
+      apiPath: z.string().min(1).describe("The procedure to call, e.g. User:login"),
+      goal: z.string().optional().describe("What the call is used for"),
+      ...targetArguments
+    },
+    async (params) => promptResult(`Write a rest() call for ${params.apiPath}`,
+      () => buildRestCallPrompt(params.apiPath, { ...targetFor(params), goal: params.goal }))
+  );
+  
+  server.prompt(
+    "explain_data_model",
+    "Explain the data model of the API under a path, with its relations",
+    {
+      apiPath: z.string().optional().describe("The subtree to explain, e.g. User (the whole API by default)"),
+      ...targetArguments
+    },
+    async (params) => promptResult(`Explain the data model under ${params.apiPath || '/'}`,
+      () => buildDataModelPrompt(params.apiPath || '', targetFor(params)))
+  );
+  
+  return server;
+}
+
+/**
+ * Start an MCP server on stdio for programmatic access to the API
+ * description tool
+ * 
+ * @param {Object} defaults - Default host, prefix, profile and credentials for tool calls
+ */
+export async function startMcpServer(defaults = {}) {
+  // Read the credentials once at startup, failing early on an unsafe file
+  loadCredentialsFile();
+  
+  const server = createMcpServer(defaults);
+  
   // Start receiving messages on stdin and sending messages on stdout
   const transport = new StdioServerTransport();
   await server.connect(transport);
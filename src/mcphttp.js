@@ -0,0 +1,260 @@
+/**
+ * HTTP transports of the MCP server
+ * 
+ * `--mcp --http <port>` serves the tools, resources and prompts over HTTP,
+ * so that one instance, with its cache and credentials, is shared by several
+ * clients:
+ * 
+ * - `/mcp` is the Streamable HTTP endpoint (POST, GET and DELETE)
+ * - `/sse` and `/messages` are the legacy HTTP+SSE endpoints
+ * - `/health` reports the server status, without authentication
+ * 
+ * Each session gets its own MCP server, created with the same defaults. As
+ * clients may be on other machines, it has no host argument and does not
+ * upload local files.
+ */
+
+import http from 'http';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer, getPackageVersion } from './mcp.js';
+import { loadCredentialsFile } from './auth.js';
+
+// Default address the server listens on, only reachable from this machine
+export const DEFAULT_MCP_LISTEN = '127.0.0.1';
+
+// Addresses only reachable from this machine, and the host names requests
+// to them may carry
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', 'localhost'];
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Maximum size of a request body
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+// Headers browsers may send and read, for CORS
+const CORS_ALLOW_HEADERS = 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID';
+const CORS_EXPOSE_HEADERS = 'Mcp-Session-Id, Mcp-Protocol-Version, WWW-Authenticate';
+
+/**
+ * Send a JSON-RPC error response, the format MCP clients expect
+ */
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * Read and parse the JSON body of a request
+ * 
+ * Errors have the HTTP `status` to answer with.
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (e) {
+    throw Object.assign(new Error(`Invalid JSON body: ${e.message}`), { status: 400 });
+  }
+}
+
+/**
+ * Check that the Host header of a request names this machine
+ */
+function isLoopbackHost(header) {
+  try {
+    return LOOPBACK_HOSTNAMES.includes(new URL(`http://${header}`).hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Compare a bearer token in constant time
+ */
+function tokenMatches(header, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) return false;
+  
+  // Hashing gives buffers of the same length whatever the token sent
+  const hash = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(hash(match[1].trim()), hash(token));
+}
+
+/**
+ * Start the MCP server on HTTP
+ * 
+ * Browsers may only call the server from the `cors` origins: requests with
+ * another Origin header are rejected. A server listening on a loopback
+ * address also rejects requests whose Host header is not localhost,
+ * 127.0.0.1 or [::1], which protects it from DNS rebinding: the pages of
+ * another site may reach it under their own host name, sending no Origin
+ * header on simple requests.
+ * 
+ * @param {Object} defaults - Default host, prefix, profile and credentials for tool calls
+ * @param {Object} options - port, listen (address), token (bearer token
+ *   required from clients, KLBFW_MCP_TOKEN by default) and cors (allowed
+ *   origins, `*` for all)
+ * @returns {Promise<http.Server>} The listening HTTP server
+ */
+export async function startMcpHttpServer(defaults = {}, options = {}) {
+  const {
+    port,
+    listen = DEFAULT_MCP_LISTEN,
+    token = process.env.KLBFW_MCP_TOKEN || '',
+    cors = []
+  } = options;
+  
+  const loopback = LOOPBACK_ADDRESSES.includes(listen);
+  
+  // Read the credentials once at startup, failing early on an unsafe file
+  loadCredentialsFile();
+  
+  const version = getPackageVersion();
+  
+  // Transports of the open sessions, Streamable HTTP and SSE, by session ID
+  const sessions = new Map();
+  
+  const setCorsHeaders = (req, res) => {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (!cors.includes('*') && !cors.includes(origin)) return false;
+    
+    res.setHeader('Access-Control-Allow-Origin', cors.includes('*') ? '*' : origin);
+    res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSE_HEADERS);
+    res.setHeader('Vary', 'Origin');
+    return true;
+  };
+  
+  // Streamable HTTP: a session starts with an initialize request, and the
+  // following requests carry its ID in the Mcp-Session-Id header
+  const handleStreamable = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    let transport = sessionId ? sessions.get(sessionId) : null;
+    
+    if (sessionId && !(transport instanceof StreamableHTTPServerTransport)) {
+      sendError(res, 404, 'Session not found');
+      return;
+    }
+    
+    if (!transport) {
+      if (!isInitializeRequest(body)) {
+        sendError(res, 400, 'No session, send an initialize request first');
+        return;
+      }
+      
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => sessions.set(id, transport)
+      });
+      transport.onclose = () => sessions.delete(transport.sessionId);
+      await createMcpServer(defaults, { remote: true }).connect(transport);
+    }
+    
+    await transport.handleRequest(req, res, body);
+  };
+  
+  // Legacy SSE: the client keeps a GET /sse stream open and posts its
+  // messages to /messages?sessionId=...
+  const handleSse = async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, transport);
+    res.on('close', () => sessions.delete(transport.sessionId));
+    await createMcpServer(defaults, { remote: true }).connect(transport);
+  };
+  
+  const handleSseMessage = async (req, res, url) => {
+    const transport = sessions.get(url.searchParams.get('sessionId'));
+    if (!(transport instanceof SSEServerTransport)) {
+      sendError(res, 404, 'Session not found');
+      return;
+    }
+    
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  };
+  
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    
+    if (loopback && !isLoopbackHost(req.headers.host)) {
+      sendError(res, 403, 'Host not allowed');
+      return;
+    }
+    
+    if (!setCorsHeaders(req, res)) {
+      sendError(res, 403, 'Origin not allowed');
+      return;
+    }
+    
+    // CORS preflight, sent by browsers without credentials
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': CORS_ALLOW_HEADERS,
+        'Access-Control-Max-Age': '86400'
+      });
+      res.end();
+      return;
+    }
+    
+    if (url.pathname === '/health' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', name: 'klbfw-describe', version, sessions: sessions.size }));
+      return;
+    }
+    
+    if (token && !tokenMatches(req.headers.authorization, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendError(res, 401, 'Missing or invalid bearer token');
+      return;
+    }
+    
+    if (url.pathname === '/mcp' && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+      await handleStreamable(req, res);
+    } else if (url.pathname === '/sse' && req.method === 'GET') {
+      await handleSse(req, res);
+    } else if (url.pathname === '/messages' && req.method === 'POST') {
+      await handleSseMessage(req, res, url);
+    } else {
+      sendError(res, 404, `Not found: ${req.method} ${url.pathname}`);
+    }
+  };
+  
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      if (!res.headersSent) {
+        sendError(res, error.status || 500, error.message);
+      } else {
+        res.end();
+      }
+    });
+  });
+  
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, listen, resolve);
+  });
+  
+  // stdout is free in HTTP mode, but messages go to stderr like in the
+  // other modes
+  const address = server.address();
+  const base = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+  console.error(`klbfw-describe MCP server listening on ${base}/mcp (SSE: ${base}/sse)`);
+  if (!token && !loopback) {
+    console.error('Warning: the server is reachable from the network without a token, set --mcp-token or KLBFW_MCP_TOKEN');
+  }
+  
+  return server;
+}
@@ -0,0 +1,126 @@
+/**
+ * Output schemas of the MCP tools
+ * 
+ * Besides their markdown text, the describe, describe_raw, produce_ts and get
+ * tools return their result as `structuredContent` following these schemas,
+ * so that clients use the fields directly instead of parsing tables. The
+ * endpoint schemas mirror the endpoint model (see model.js).
+ */
+
+import { z } from "zod";
+
+// Unknown properties of the model parts
+const extra = z.record(z.any()).describe("Unknown properties");
+
+// Sizes are numbers, or "precision,scale" strings for decimals
+const size = z.union([z.number(), z.string()]).nullable();
+
+const argumentSchema = z.object({
+  name: z.string(),
+  type: z.string().nullable().describe("KLB type (string, int, ENUM, datetime, file, ...)"),
+  required: z.boolean(),
+  description: z.string().nullable(),
+  values: z.array(z.any()).nullable().describe("Allowed values for ENUM arguments"),
+  size: size.describe("Maximum length"),
+  extra
+});
+
+const methodSchema = z.object({
+  name: z.string(),
+  static: z.boolean().describe("Static methods are called on the collection, others on an object id"),
+  description: z.string().nullable(),
+  returns: z.string().nullable().describe("Description of the returned value"),
+  args: z.array(argumentSchema),
+  extra
+});
+
+const fieldSchema = z.object({
+  name: z.string(),
+  type: z.string().nullable().describe("KLB type (CHAR, VARCHAR, INT, ENUM, DATETIME, ...)"),
+  size: size.describe("Maximum length, or \"precision,scale\" for decimals"),
+  nullable: z.boolean(),
+  primary: z.boolean().describe("Part of the primary key"),
+  foreignKey: z.boolean().describe("References another object"),
+  validator: z.string().nullable().describe("KLB validator (uuid, email, url, ...)"),
+  values: z.array(z.any()).nullable().describe("Allowed values for ENUM and SET fields"),
+  default: z.any().describe("Default value, null when there is none"),
+  description: z.string().nullable(),
+  extra
+});
+
+const tableSchema = z.object({
+  name: z.string().nullable(),
+  primaryKey: z.array(z.string()),
+  fields: z.array(fieldSchema),
+  indexes: z.array(z.object({
+    name: z.string(),
+    kind: z.enum(['unique', 'index', 'foreign']),
+    fields: z.array(z.string())
+  })),
+  foreignKeys: z.array(z.object({
+    field: z.string().describe("The referencing field"),
+    target: z.string().describe("Name of the referenced object"),
+    declared: z.boolean().describe("Declared as FOREIGN, rather than guessed from the __ suffix")
+  })),
+  extra
+});
+
+const endpointSchema = z.object({
+  version: z.number().describe("Version of the model structure"),
+  path: z.string().nullable().describe("Path of the endpoint, Path:name for procedures"),
+  objectPath: z.string().nullable().describe("Path of the object, without the procedure name"),
+  name: z.string(),
+  kind: z.enum(['procedure', 'resource', 'collection']),
+  type: z.string().nullable(),
+  description: z.string().nullable(),
+  access: z.string().nullable(),
+  allowedMethods: z.array(z.string()).describe("Methods allowed on the path"),
+  objectMethods: z.array(z.string()).describe("Methods allowed on an object of the path"),
+  table: tableSchema.nullable(),
+  procedure: methodSchema.nullable().describe("The procedure, for Path:name endpoints"),
+  methods: z.array(methodSchema).describe("Procedures and methods of the object"),
+  children: z.array(z.object({ name: z.string(), methods: z.array(z.string()) })).describe("Sub-endpoints"),
+  extra
+});
+
+const host = z.string().describe("API host the result comes from");
+
+// describe: per described endpoint, the endpoint model, with its fields
+// and callables at the top
+export const describeOutputSchema = {
+  host,
+  endpoints: z.array(z.object({
+    endpoint: endpointSchema,
+    fields: z.array(fieldSchema).describe("Fields of the object, empty without a table"),
+    methods: z.array(methodSchema).describe("The procedure of a Path:name endpoint, or the procedures and methods of the object")
+  })).describe("The described endpoints, in the order of the paths")
+};
+
+// describe_raw: per described endpoint, the OPTIONS response as sent by the
+// server
+export const describeRawOutputSchema = {
+  host,
+  responses: z.array(z.object({
+    path: z.string(),
+    response: z.record(z.any()).describe("The raw OPTIONS response")
+  })).describe("The described endpoints, in the order of the paths")
+};
+
+// produce_ts: the TypeScript source of all the described endpoints, without
+// markdown
+export const typeScriptOutputSchema = {
+  host,
+  paths: z.array(z.string()).describe("The described paths, globs expanded"),
+  typeScript: z.string().describe("TypeScript source of the interfaces")
+};
+
+// get: the parsed response
+export const getOutputSchema = {
+  host,
+  path: z.string(),
+  response: z.object({
+    result: z.string().optional().describe("success or error, missing from responses of other servers"),
+    data: z.any(),
+    paging: z.record(z.any()).optional()
+  }).passthrough().describe("The parsed response")
+};
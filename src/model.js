@@ -0,0 +1,300 @@
+/**
+ * Normalized endpoint model built from OPTIONS responses
+ * 
+ * This is the only place reading the raw OPTIONS metadata. Legacy and current
+ * conventions (description vs desc, _primary as an array or a string, the
+ * `@` prefix and FOREIGN values of _keys, `__` foreign-key suffixes) are
+ * resolved here into explicit properties, so the renderers, generators and
+ * MCP tools only deal with the model. Properties the model does not know
+ * about are kept in the `extra` object of each part.
+ * 
+ * The model is versioned with MODEL_VERSION, to be bumped on incompatible
+ * changes.
+ */
+
+// Version of the model structure
+export const MODEL_VERSION = 1;
+
+/**
+ * @typedef {Object} ArgumentModel
+ * @property {string} name
+ * @property {string|null} type - KLB type (string, int, ENUM, datetime, file, ...)
+ * @property {boolean} required
+ * @property {string|null} description
+ * @property {Array<string>|null} values - Allowed values for ENUM arguments
+ * @property {number|null} size - Maximum length
+ * @property {Object} extra - Unknown properties
+ */
+
+/**
+ * @typedef {Object} MethodModel
+ * @property {string} name
+ * @property {boolean} static - Static methods are called on the collection, others on an object id
+ * @property {string|null} description
+ * @property {string|null} returns - Description of the returned value
+ * @property {Array<ArgumentModel>} args
+ * @property {Object} extra - Unknown properties
+ */
+
+/**
+ * @typedef {Object} FieldModel
+ * @property {string} name
+ * @property {string|null} type - KLB type (CHAR, VARCHAR, INT, ENUM, DATETIME, ...)
+ * @property {number|string|null} size - Maximum length, or 'precision,scale' for decimals
+ * @property {boolean} nullable
+ * @property {boolean} primary - Part of the primary key
+ * @property {boolean} foreignKey - References another object
+ * @property {string|null} validator - KLB validator (uuid, email, url, ...)
+ * @property {Array<string>|null} values - Allowed values for ENUM and SET fields
+ * @property {*} default - Default value, null when there is none
+ * @property {string|null} description
+ * @property {Object} extra - Unknown properties
+ */
+
+/**
+ * @typedef {Object} IndexModel
+ * @property {string} name - Index name as reported (`@Email`)
+ * @property {'unique'|'index'|'foreign'} kind
+ * @property {Array<string>} fields
+ */
+
+/**
+ * @typedef {Object} ForeignKeyModel
+ * @property {string} field - The referencing field (`Realm__`)
+ * @property {string} target - Name of the referenced object (`Realm`)
+ * @property {boolean} declared - Declared as FOREIGN in _keys, rather than guessed from the `__` suffix
+ */
+
+/**
+ * @typedef {Object} TableModel
+ * @property {string|null} name
+ * @property {Array<string>} primaryKey
+ * @property {Array<FieldModel>} fields
+ * @property {Array<IndexModel>} indexes
+ * @property {Array<ForeignKeyModel>} foreignKeys
+ * @property {Object} extra - Unknown properties, including unknown `_` structure entries
+ */
+
+/**
+ * @typedef {Object} EndpointModel
+ * @property {number} version - MODEL_VERSION
+ * @property {string|null} path - Path of the endpoint ('' for the root, Path:name for procedures), null when unknown
+ * @property {string|null} objectPath - Path of the object, without the procedure name
+ * @property {string} name - Last segment of the path
+ * @property {'procedure'|'resource'|'collection'} kind
+ * @property {string|null} type - Type reported by the server
+ * @property {string|null} description
+ * @property {string|null} access - Access level reported by the server
+ * @property {Array<string>} allowedMethods - Methods allowed on the path
+ * @property {Array<string>} objectMethods - Methods allowed on an object of the path
+ * @property {TableModel|null} table
+ * @property {MethodModel|null} procedure - The procedure, for Path:name endpoints
+ * @property {Array<MethodModel>} methods - Procedures and methods of the object
+ * @property {Array<{name: string, methods: Array<string>}>} children - Sub-endpoints
+ * @property {Object} extra - Unknown properties
+ * @property {Object} raw - The raw OPTIONS response
+ */
+
+/**
+ * Copy the properties of `source` not listed in `known`
+ */
+function extraProperties(source, known) {
+  const extra = {};
+  
+  for (const [key, value] of Object.entries(source || {})) {
+    if (!known.includes(key)) extra[key] = value;
+  }
+  
+  return extra;
+}
+
+/**
+ * Determine the kind of an endpoint from its OPTIONS data
+ */
+export function endpointKind(data) {
+  if (data.procedure) return 'procedure';
+  if (data.table && data.table.Struct) return 'resource';
+  return 'collection';
+}
+
+/**
+ * Check if a KLB type is a datetime type
+ */
+export function isDateTimeType(type) {
+  const lowerType = (type || '').toLowerCase();
+  return lowerType === 'datetime' || lowerType === 'timestamp';
+}
+
+/**
+ * Build the model of a procedure or method argument
+ */
+function buildArgumentModel(arg) {
+  return {
+    name: arg.name || '',
+    type: arg.type || null,
+    required: !!arg.required,
+    description: arg.description || arg.desc || null,
+    values: Array.isArray(arg.values) ? [...arg.values] : null,
+    size: typeof arg.size === 'number' ? arg.size : null,
+    extra: extraProperties(arg, ['name', 'type', 'required', 'description', 'desc', 'values', 'size'])
+  };
+}
+
+/**
+ * Build the model of a procedure or method
+ */
+function buildMethodModel(func, isStatic = !!func.static) {
+  return {
+    name: func.name || '',
+    static: isStatic,
+    description: func.description || func.desc || null,
+    returns: func.return_description || null,
+    args: (func.args || []).filter(arg => arg.name).map(buildArgumentModel),
+    extra: extraProperties(func, ['name', 'static', 'description', 'desc', 'return_description', 'args'])
+  };
+}
+
+/**
+ * Build the index models of a table from its _keys entry
+ * 
+ * Names starting with `@` are unique indexes, FOREIGN values foreign keys on
+ * the field named like the index, other values list the indexed fields.
+ */
+function buildIndexModels(keys = {}) {
+  return Object.entries(keys).map(([name, value]) => {
+    if (value === 'FOREIGN') {
+      return { name, kind: 'foreign', fields: [name] };
+    }
+    
+    return {
+      name,
+      kind: name.startsWith('@') ? 'unique' : 'index',
+      fields: Array.isArray(value) ? [...value] : [value]
+    };
+  });
+}
+
+/**
+ * Build the model of a table from its structure
+ */
+function buildTableModel(table) {
+  const struct = table.Struct;
+  const primary = struct._primary;
+  const primaryKey = Array.isArray(primary) ? [...primary] : (primary ? [primary] : []);
+  const indexes = buildIndexModels(struct._keys);
+  const declaredForeign = indexes.filter(index => index.kind === 'foreign').map(index => index.name);
+  const fieldNames = Object.keys(struct).filter(key => !key.startsWith('_'));
+  
+  const fields = fieldNames.map(name => {
+    const info = struct[name];
+    const isPrimary = primaryKey.includes(name) || info.key === 'PRIMARY';
+    
+    return {
+      name,
+      type: info.type || null,
+      size: info.size !== undefined ? info.size : null,
+      nullable: info.null !== false,
+      primary: isPrimary,
+      foreignKey: declaredForeign.includes(name) || (name.endsWith('__') && !isPrimary),
+      validator: info.validator || null,
+      values: Array.isArray(info.values) ? [...info.values] : null,
+      default: info.default !== undefined ? info.default : null,
+      description: info.description || info.desc || null,
+      extra: extraProperties(info, ['type', 'size', 'null', 'key', 'validator', 'values', 'default', 'description', 'desc'])
+    };
+  });
+  
+  const foreignKeys = fields.filter(field => field.foreignKey).map(field => ({
+    field: field.name,
+    target: field.name.replace(/__$/, ''),
+    declared: declaredForeign.includes(field.name)
+  }));
+  
+  const extra = extraProperties(table, ['Name', 'Struct']);
+  for (const key of Object.keys(struct).filter(key => key.startsWith('_') && key !== '_primary' && key !== '_keys')) {
+    extra[key] = struct[key];
+  }
+  
+  return {
+    name: table.Name || null,
+    primaryKey,
+    fields,
+    indexes,
+    foreignKeys,
+    extra
+  };
+}
+
+/**
+ * Build the model of an endpoint from an OPTIONS response
+ * 
+ * @param {Object} response - The parsed OPTIONS response ({result, data, ...})
+ * @param {string|null} apiPath - The requested path, used when the response has no Path
+ * @returns {EndpointModel} The endpoint model
+ */
+export function buildEndpointModel(response, apiPath = null) {
+  const data = response.data || {};
+  let objectPath = data.Path ? data.Path.join('/') : apiPath;
+  let path = objectPath;
+  
+  // Procedures are described on their Path:name path, but Path only holds
+  // the object part
+  if (data.procedure && data.procedure.name && objectPath !== null) {
+    objectPath = objectPath.replace(/:[^/]*$/, '');
+    path = `${objectPath}:${data.procedure.name}`;
+  }
+  
+  return {
+    version: MODEL_VERSION,
+    path,
+    objectPath,
+    name: (path || '').split('/').pop().replace(/^.*:/, ''),
+    kind: endpointKind(data),
+    type: data.type || null,
+    description: data.description || data.desc || null,
+    access: data.access || null,
+    allowedMethods: [...(data.allowed_methods || [])],
+    objectMethods: [...(data.allowed_methods_object || [])],
+    table: data.table && data.table.Struct ? buildTableModel(data.table) : null,
+    procedure: data.procedure ? buildMethodModel(data.procedure, true) : null,
+    methods: (data.func || []).filter(func => func.name).map(func => buildMethodModel(func)),
+    children: (data.prefix || []).filter(prefix => prefix.name).map(prefix => ({
+      name: prefix.name,
+      methods: [...(prefix.methods || [])]
+    })),
+    extra: extraProperties(data, [
+      'Path', 'type', 'description', 'desc', 'access', 'allowed_methods',
+      'allowed_methods_object', 'table', 'procedure', 'func', 'prefix'
+    ]),
+    raw: response
+  };
+}
+
+/**
+ * Get the procedure and methods of an endpoint, the procedure first
+ */
+export function endpointCallables(model) {
+  return [...(model.procedure ? [model.procedure] : []), ...model.methods];
+}
+
+/**
+ * Check if the objects of an endpoint have a primary key of several fields
+ * 
+ * Such objects cannot be addressed by a single id (Path/id), so the
+ * generated code leaves out the operations on an object.
+ */
+export function hasCompositePrimaryKey(model) {
+  return Boolean(model.table && model.table.primaryKey.length > 1);
+}
+
+/**
+ * Check if an endpoint uses datetime/timestamp fields or arguments, and so
+ * needs the KlbDateTime definition
+ */
+export function usesDateTime(model) {
+  if (model.table && model.table.fields.some(field => isDateTimeType(field.type))) {
+    return true;
+  }
+  
+  return endpointCallables(model).some(method => method.args.some(arg => isDateTimeType(arg.type)));
+}
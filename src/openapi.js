@@ -0,0 +1,278 @@
+import { writeFileSync } from 'fs';
+import { collectEndpoints, describeFailedNode } from './crawler.js';
+import { resolveTarget, buildApiUrl } from './config.js';
+import { fieldsToJsonSchema, argsToJsonSchema, KLB_DATETIME_SCHEMA } from './jsonschema.js';
+import { assignTypeNames, camelCase, pascalCase } from './typescript.js';
+import { endpointCallables, hasCompositePrimaryKey } from './model.js';
+
+// Schema names used by the shared component schemas
+const RESERVED_NAMES = ['KlbDateTime', 'KlbError'];
+
+// Reference to the shared KlbDateTime component schema
+const DATETIME_REF = { $ref: '#/components/schemas/KlbDateTime' };
+
+// Shared component schema of KLB error responses
+const KLB_ERROR_SCHEMA = {
+  type: 'object',
+  description: 'KLB error response',
+  properties: {
+    result: { type: 'string', const: 'error' },
+    error: { type: 'string', description: 'Error message' },
+    token: { type: 'string', description: 'Error token, e.g. error_not_found' },
+    code: { type: 'integer', description: 'HTTP status code' },
+    request: { type: 'string', description: 'Request ID' }
+  },
+  required: ['result', 'error']
+};
+
+/**
+ * Wrap a data schema in the KLB success response envelope
+ */
+function responseSchema(dataSchema) {
+  return {
+    type: 'object',
+    properties: {
+      result: { type: 'string', const: 'success' },
+      data: dataSchema,
+      paging: { type: 'object' },
+      time: { type: 'number' }
+    },
+    required: ['result', 'data']
+  };
+}
+
+/**
+ * Build the responses object of an operation
+ */
+function operationResponses(dataSchema, description = 'Successful response') {
+  return {
+    '200': {
+      description,
+      content: { 'application/json': { schema: responseSchema(dataSchema) } }
+    },
+    default: {
+      description: 'Error response',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/KlbError' } } }
+    }
+  };
+}
+
+/**
+ * Build a JSON request body from a schema
+ */
+function requestBody(schema, required = true) {
+  return {
+    required,
+    content: { 'application/json': { schema } }
+  };
+}
+
+/**
+ * Get the primary key name of an endpoint, used as path parameter name
+ */
+function primaryKeyName(model) {
+  return model.table && model.table.primaryKey.length > 0 ? model.table.primaryKey[0] : 'id';
+}
+
+/**
+ * Add the path items and component schemas of one endpoint to a document
+ */
+function addEndpoint(document, endpoint) {
+  const { path, model, typeName } = endpoint;
+  const tag = path.split('/')[0];
+  const description = model.description;
+  const schemaOptions = { dateTimeSchema: DATETIME_REF };
+  const functionBase = camelCase(typeName);
+  let objectSchema = {};
+  let inputSchema = { type: 'object' };
+  
+  if (model.table) {
+    const structSchema = fieldsToJsonSchema(model.table.fields, { ...schemaOptions, description });
+    document.components.schemas[typeName] = structSchema;
+    objectSchema = { $ref: `#/components/schemas/${typeName}` };
+    
+    // Create and update requests may only send some of the fields
+    const { required, ...partialSchema } = structSchema;
+    inputSchema = partialSchema;
+  }
+  
+  const pkName = primaryKeyName(model);
+  const pkParameter = {
+    name: pkName,
+    in: 'path',
+    required: true,
+    description: `${path} object id`,
+    schema: { type: 'string' }
+  };
+  
+  // Objects with a composite primary key have no single id for the path
+  const composite = hasCompositePrimaryKey(model);
+  const collectionItem = {};
+  const objectItem = { parameters: [pkParameter] };
+  const methods = model.allowedMethods;
+  const objectMethods = composite ? [] : model.objectMethods;
+  
+  if (composite) {
+    const note = `Objects have a composite primary key (${model.table.primaryKey.join(', ')}), the operations on an object are left out.`;
+    collectionItem.description = description ? `${description}\n\n${note}` : note;
+  } else if (description) {
+    collectionItem.description = description;
+  }
+  
+  if (methods.includes('GET')) {
+    collectionItem.get = {
+      operationId: `list${typeName}`,
+      tags: [tag],
+      summary: `List ${path} objects`,
+      responses: operationResponses({ type: 'array', items: objectSchema })
+    };
+  }
+  
+  if (methods.includes('POST')) {
+    collectionItem.post = {
+      operationId: `create${typeName}`,
+      tags: [tag],
+      summary: `Create a ${path} object`,
+      requestBody: requestBody(inputSchema),
+      responses: operationResponses(objectSchema)
+    };
+  }
+  
+  if (objectMethods.includes('GET')) {
+    objectItem.get = {
+      operationId: `get${typeName}`,
+      tags: [tag],
+      summary: `Fetch a ${path} object`,
+      responses: operationResponses(objectSchema)
+    };
+  }
+  
+  if (objectMethods.includes('PATCH')) {
+    objectItem.patch = {
+      operationId: `update${typeName}`,
+      tags: [tag],
+      summary: `Update a ${path} object`,
+      requestBody: requestBody(inputSchema),
+      responses: operationResponses(objectSchema)
+    };
+  }
+  
+  if (objectMethods.includes('DELETE')) {
+    objectItem.delete = {
+      operationId: `delete${typeName}`,
+      tags: [tag],
+      summary: `Delete a ${path} object`,
+      responses: operationResponses({})
+    };
+  }
+  
+  if (Object.keys(collectionItem).some(key => key !== 'description')) {
+    document.paths[`/${path}`] = collectionItem;
+  }
+  
+  if (Object.keys(objectItem).length > 1) {
+    document.paths[`/${path}/{${pkName}}`] = objectItem;
+  }
+  
+  // Procedures and methods are called with POST, instance methods on an object id
+  for (const callable of endpointCallables(model).filter(callable => callable.name && (callable.static || !composite))) {
+    const operation = {
+      operationId: `${functionBase}${pascalCase(callable.name)}`,
+      tags: [tag],
+      summary: callable.description || `Call ${path}:${callable.name}`,
+      responses: operationResponses({}, callable.returns || 'Successful response')
+    };
+    
+    if (callable.args.length > 0) {
+      const hasRequired = callable.args.some(arg => arg.required);
+      operation.requestBody = requestBody(argsToJsonSchema(callable.args, schemaOptions), hasRequired);
+    }
+    
+    if (callable.static) {
+      document.paths[`/${path}:${callable.name}`] = { post: operation };
+    } else {
+      document.paths[`/${path}/{${pkName}}:${callable.name}`] = { parameters: [pkParameter], post: operation };
+    }
+  }
+}
+
+/**
+ * Build an OpenAPI 3.1 document from collected endpoints
+ * 
+ * Table structures become component schemas, allowed_methods operations on
+ * the collection path, allowed_methods_object operations on the object path
+ * (with the primary key as path parameter), and procedures and methods POST
+ * operations on their `Path:name` path. Objects with a composite primary key
+ * only get their collection operations and static procedures.
+ * 
+ * @param {Array<{path: string, model: Object}>} endpoints - Endpoints from collectEndpoints()
+ * @param {Object} target - Resolved target, for the server URL
+ * @returns {Object} The OpenAPI document
+ */
+export function buildOpenApiDocument(endpoints, target) {
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: 'KLB API',
+      version: '1.0.0',
+      description: `Generated by klbfw-describe from ${target.host}`
+    },
+    servers: [{ url: buildApiUrl(target, '').replace(/\/$/, '') }],
+    paths: {},
+    components: {
+      schemas: {
+        KlbDateTime: KLB_DATETIME_SCHEMA,
+        KlbError: KLB_ERROR_SCHEMA
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        sessionCookie: { type: 'apiKey', in: 'cookie', name: 'session' }
+      }
+    },
+    // Authentication is optional, anonymous calls are allowed
+    security: [{}, { bearerAuth: [] }, { sessionCookie: [] }]
+  };
+  
+  const described = endpoints.filter(endpoint => endpoint.path);
+  assignTypeNames(described, RESERVED_NAMES);
+  
+  for (const endpoint of described) {
+    addEndpoint(document, endpoint);
+  }
+  
+  return document;
+}
+
+/**
+ * Export an endpoint, or a whole subtree, as an OpenAPI 3.1 document
+ * 
+ * The JSON document is printed, or written to `outFile` when given.
+ * 
+ * @param {string} apiPath - The endpoint (or subtree root) to export
+ * @param {Object} options - Connection options plus outFile, recursive, depth and concurrency
+ * @returns {Promise<Object>} The OpenAPI document
+ */
+export async function exportOpenApi(apiPath, options = {}) {
+  const {
+    outFile = '',
+    output = console.log,
+    statusOutput = console.error
+  } = options;
+  
+  const target = resolveTarget(options);
+  const endpoints = await collectEndpoints(apiPath, {
+    ...options,
+    onError: (node) => statusOutput(`Warning: left out ${describeFailedNode(node)}, it could not be fetched`)
+  });
+  const document = buildOpenApiDocument(endpoints, target);
+  const json = JSON.stringify(document, null, 2);
+  
+  if (outFile) {
+    writeFileSync(outFile, json + '\n');
+    output(`Wrote OpenAPI document with ${Object.keys(document.paths).length} paths to ${outFile}`);
+  } else {
+    output(json);
+  }
+  
+  return document;
+}
@@ -0,0 +1,148 @@
+/**
+ * MCP prompt templates for common API integration workflows
+ * 
+ * Each prompt is an instruction followed by the context a developer would
+ * otherwise paste by hand: the endpoint description, its TypeScript types and
+ * the integration docs relevant to the task.
+ */
+
+import { fetchEndpointModel, fetchDocFileList, fetchDocumentation } from './api.js';
+import { collectEndpoints, describeFailedNode } from './crawler.js';
+import { endpointCallables } from './model.js';
+import { formatEndpoint, formatTypeScript } from './formatters.js';
+import { buildRelationGraph } from './relations.js';
+import { formatErd } from './erd.js';
+
+// Integration doc always included, explaining rest() and the responses
+const BASE_DOC = 'apibasics.md';
+
+// Maximum number of integration docs included in a prompt
+const MAX_PROMPT_DOCS = 3;
+
+/**
+ * Render the description and TypeScript types of an endpoint as markdown
+ */
+function endpointSection(model, relationGraph = null) {
+  const description = formatEndpoint(model, { useColors: false, markdownFormat: true, relationGraph });
+  const typeScript = formatTypeScript(model, { useColors: false, markdownFormat: true });
+  
+  return `## Endpoint description: \`${model.objectPath || '/'}\`\n${description}\n\n${typeScript}`;
+}
+
+/**
+ * Get the keywords selecting the integration docs of an endpoint: its path
+ * segments and procedure names, plus `upload` when files are sent
+ */
+function endpointKeywords(model) {
+  const keywords = (model.objectPath || '').split('/').filter(Boolean);
+  const callables = endpointCallables(model);
+  
+  keywords.push(...callables.map(callable => callable.name).filter(Boolean));
+  if (callables.some(callable => callable.args.some(arg => (arg.type || '').toLowerCase() === 'file'))) {
+    keywords.push('upload');
+  }
+  
+  return keywords;
+}
+
+/**
+ * Render the integration docs relevant to keywords
+ * 
+ * The base doc comes first, then the docs whose file name or title contains
+ * one of the keywords. Docs which cannot be fetched are left out.
+ */
+async function docsSection(keywords, options = {}) {
+  const resources = await fetchDocFileList(options).catch(() => []);
+  const needles = keywords.map(keyword => keyword.toLowerCase());
+  const files = resources
+    .map(resource => ({ file: resource.uri.replace('klb://intdoc/', ''), title: resource.title || '' }))
+    .filter(doc => doc.file === BASE_DOC || needles.some(needle => `${doc.file} ${doc.title}`.toLowerCase().includes(needle)))
+    .sort((a, b) => (b.file === BASE_DOC) - (a.file === BASE_DOC))
+    .slice(0, MAX_PROMPT_DOCS);
+  
+  const docs = await Promise.all(files.map(async (doc) => ({ ...doc, content: await fetchDocumentation(doc.file, options) })));
+  
+  return docs
+    .filter(doc => doc.content)
+    .map(doc => `## Integration documentation: ${doc.file}\n\n${doc.content.trim()}`)
+    .join('\n\n');
+}
+
+/**
+ * Assemble a prompt from its instruction and context sections
+ */
+function assemblePrompt(instruction, sections) {
+  return [instruction, ...sections.filter(Boolean)].join('\n\n') + '\n';
+}
+
+/**
+ * Build the prompt integrating an endpoint into a React component
+ * 
+ * @param {string} apiPath - The endpoint to integrate
+ * @param {Object} options - Connection options plus component (name of the component)
+ * @returns {Promise<string>} The prompt text
+ */
+export async function buildIntegrationPrompt(apiPath, options = {}) {
+  const { component = '' } = options;
+  const model = await fetchEndpointModel(apiPath, options);
+  const name = component ? ` named \`${component}\`` : '';
+  
+  const instruction = `Integrate the KLB API endpoint \`${apiPath}\` into a React component${name}.
+
+Use \`rest()\` from \`@karpeleslab/klbfw\` for the requests and the TypeScript types below for the data. Handle the loading and error states (KLB errors come with a message and a token), and the paging of lists. Only use the fields, methods and arguments listed in the description.`;
+  
+  return assemblePrompt(instruction, [
+    endpointSection(model),
+    await docsSection(['react', 'component', ...endpointKeywords(model)], options)
+  ]);
+}
+
+/**
+ * Build the prompt writing a rest() call for a procedure
+ * 
+ * @param {string} apiPath - The procedure, e.g. User:login
+ * @param {Object} options - Connection options plus goal (what the call is for)
+ * @returns {Promise<string>} The prompt text
+ */
+export async function buildRestCallPrompt(apiPath, options = {}) {
+  const { goal = '' } = options;
+  const model = await fetchEndpointModel(apiPath, options);
+  const purpose = goal ? `\n\nThe call is used to: ${goal}` : '';
+  
+  const instruction = `Write a call to the KLB API procedure \`${apiPath}\` with \`rest()\` from \`@karpeleslab/klbfw\`.
+
+Type the arguments and the result with the TypeScript types below, pass all the required arguments, and handle the error response (\`result: 'error'\`, with \`error\` and \`token\`).${purpose}`;
+  
+  return assemblePrompt(instruction, [
+    endpointSection(model),
+    await docsSection(['rest', ...endpointKeywords(model)], options)
+  ]);
+}
+
+/**
+ * Build the prompt explaining the data model of a subtree
+ * 
+ * The endpoints below the path are crawled, and described with their
+ * relations, followed by the entity relationship diagram. Sub-endpoints
+ * which cannot be fetched are listed as left out.
+ * 
+ * @param {string} apiPath - The subtree root ('' for the whole API)
+ * @param {Object} options - Connection options plus depth and concurrency
+ * @returns {Promise<string>} The prompt text
+ */
+export async function buildDataModelPrompt(apiPath, options = {}) {
+  const failed = [];
+  const endpoints = await collectEndpoints(apiPath, { ...options, recursive: true, onError: (node) => failed.push(node) });
+  const graph = buildRelationGraph(endpoints);
+  
+  const instruction = `Explain the data model of the KLB API under \`${apiPath || '/'}\`.
+
+Describe each object and what it represents, its key fields, how the objects relate to each other through their foreign keys, and what their procedures and methods do. Base the explanation on the descriptions and the diagram below only.`;
+  
+  return assemblePrompt(instruction, [
+    ...endpoints.map(endpoint => endpointSection(endpoint.model, graph)),
+    graph.entities.length > 0 ? `## Entity relationship diagram\n\n\`\`\`mermaid\n${formatErd(graph).trimEnd()}\n\`\`\`` : '',
+    failed.length > 0 ? `## Endpoints left out\n\nThese endpoints could not be fetched, their objects are not described:\n\n${failed.map(node => `- ${describeFailedNode(node)}`).join('\n')}` : '',
+    await docsSection(endpoints.flatMap(endpoint => endpointKeywords(endpoint.model)), options)
+  ]);
+}
@@ -0,0 +1,104 @@
+/**
+ * Foreign-key resolution between endpoints
+ * 
+ * KLB foreign keys are named after the referenced object, with `_` in place
+ * of `/` and a `__` suffix: `User_Wallet__` references `User/Wallet`. The
+ * relation graph links collected endpoints through these keys, for the
+ * References / Referenced By sections and the ER diagrams (see erd.js).
+ */
+
+/**
+ * Get the path of the endpoint referenced by a foreign key
+ * 
+ * Without `knownPaths`, the path is derived from the key name. With it, the
+ * first candidate path found in the set is returned, or null.
+ * 
+ * @param {Object} foreignKey - Foreign key model ({field, target, declared})
+ * @param {Set<string>|null} knownPaths - Paths of the known endpoints
+ * @returns {string|null} The referenced path
+ */
+export function foreignKeyPath(foreignKey, knownPaths = null) {
+  const candidates = [...new Set([foreignKey.target.replace(/_/g, '/'), foreignKey.target])];
+  
+  if (!knownPaths) return candidates[0];
+  return candidates.find(path => knownPaths.has(path)) || null;
+}
+
+/**
+ * Build the relation graph of collected endpoints
+ * 
+ * Entities are the endpoints having a table. Each foreign key becomes a
+ * relation to the endpoint it references; referenced endpoints missing from
+ * the collected ones are added as `external` entities without fields.
+ * 
+ * @param {Array<{path: string, model: Object}>} endpoints - Endpoints from collectEndpoints()
+ * @returns {{entities: Array<Object>, relations: Array<Object>}} The graph
+ */
+export function buildRelationGraph(endpoints) {
+  const tables = endpoints.filter(endpoint => endpoint.path && endpoint.model.table);
+  const knownPaths = new Set(tables.map(endpoint => endpoint.path));
+  const entities = tables.map(endpoint => ({
+    path: endpoint.path,
+    primaryKey: endpoint.model.table.primaryKey,
+    fields: endpoint.model.table.fields,
+    external: false
+  }));
+  const relations = [];
+  
+  for (const endpoint of tables) {
+    const { fields, foreignKeys } = endpoint.model.table;
+    
+    for (const foreignKey of foreignKeys) {
+      const resolved = foreignKeyPath(foreignKey, knownPaths);
+      const field = fields.find(field => field.name === foreignKey.field);
+      
+      relations.push({
+        from: endpoint.path,
+        field: foreignKey.field,
+        to: resolved || foreignKeyPath(foreignKey),
+        resolved: resolved !== null,
+        nullable: field.nullable,
+        declared: foreignKey.declared
+      });
+    }
+  }
+  
+  for (const relation of relations.filter(relation => !relation.resolved)) {
+    if (!entities.some(entity => entity.path === relation.to)) {
+      entities.push({ path: relation.to, primaryKey: [], fields: [], external: true });
+    }
+  }
+  
+  return { entities, relations };
+}
+
+/**
+ * Get the relations of an endpoint model
+ * 
+ * References are resolved against the graph when given, from the key names
+ * otherwise. Referencing endpoints are only known from a graph, and are null
+ * without one.
+ * 
+ * @param {Object} model - The endpoint model
+ * @param {Object|null} graph - Relation graph from buildRelationGraph()
+ * @returns {{references: Array<{field: string, to: string, resolved: boolean|null}>, referencedBy: Array<{from: string, field: string}>|null}}
+ */
+export function endpointRelations(model, graph = null) {
+  const foreignKeys = model.table ? model.table.foreignKeys : [];
+  
+  if (!graph) {
+    return {
+      references: foreignKeys.map(foreignKey => ({ field: foreignKey.field, to: foreignKeyPath(foreignKey), resolved: null })),
+      referencedBy: null
+    };
+  }
+  
+  return {
+    references: graph.relations
+      .filter(relation => relation.from === model.objectPath)
+      .map(({ field, to, resolved }) => ({ field, to, resolved })),
+    referencedBy: graph.relations
+      .filter(relation => relation.resolved && relation.to === model.objectPath)
+      .map(({ from, field }) => ({ from, field }))
+  };
+}
@@ -0,0 +1,120 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { collectEndpoints } from './crawler.js';
+import { colors } from './constants.js';
+import { createFormatter } from './utils.js';
+import { resolveTarget } from './config.js';
+import { usesDateTime, endpointCallables } from './model.js';
+import {
+  KLB_DATETIME_DEFINITION,
+  buildTypeScriptInterfaces,
+  buildRestWrappers,
+  assignTypeNames
+} from './typescript.js';
+
+// Shared response wrapper type used by the generated rest() wrappers
+const KLB_API_RESPONSE_DEFINITION = `/**
+ * KLB API response structure
+ */
+export interface KlbApiResponse<T> {
+  result: 'success' | 'redirect' | 'error';
+  data: T;
+  paging?: {
+    page_no: number;
+    count: number;
+    page_max: number;
+    results_per_page: number;
+  };
+  time?: number;
+}
+`;
+
+// Module names used by the shared modules and the barrel
+const RESERVED_NAMES = ['KlbDateTime', 'KlbApiResponse', 'index'];
+
+/**
+ * Check if an endpoint has anything to generate
+ */
+function hasDefinitions(model) {
+  return !!(model.table || endpointCallables(model).length > 0 ||
+    model.allowedMethods.length > 0 || model.objectMethods.length > 0);
+}
+
+/**
+ * Build the source of the module generated for an endpoint
+ */
+function buildModule(endpoint, host) {
+  const { path, model, typeName } = endpoint;
+  let source = `// Generated by klbfw-describe from ${host}, API path: ${path}\n`;
+  source += `// Do not edit, regenerate instead.\n\n`;
+  source += `import { rest } from '@karpeleslab/klbfw';\n`;
+  source += `import type { KlbApiResponse } from './KlbApiResponse';\n`;
+  
+  if (usesDateTime(model)) {
+    source += `import type { KlbDateTime } from './KlbDateTime';\n`;
+  }
+  
+  source += '\n';
+  source += buildTypeScriptInterfaces(model, path, typeName);
+  source += buildRestWrappers(model, path, typeName);
+  
+  return source.trimEnd() + '\n';
+}
+
+/**
+ * Generate a TypeScript SDK for an endpoint, or a whole subtree, into a
+ * directory
+ * 
+ * One module is written per object, named after its type, plus the shared
+ * KlbDateTime and KlbApiResponse modules and an index barrel re-exporting
+ * everything.
+ * 
+ * @param {string} apiPath - The endpoint (or subtree root) to generate
+ * @param {Object} options - Connection options plus outDir, recursive, depth and concurrency
+ * @returns {Promise<string[]>} The written file names
+ */
+export async function generateSdk(apiPath, options = {}) {
+  const {
+    outDir,
+    output = console.log,
+    useColors = true
+  } = options;
+  
+  const { printOutput, format } = createFormatter({ useColors, output });
+  const target = resolveTarget(options);
+  const endpoints = await collectEndpoints(apiPath, options);
+  
+  const generated = endpoints.filter(endpoint => endpoint.path && hasDefinitions(endpoint.model));
+  
+  if (generated.length === 0) {
+    throw new Error(`No TypeScript definitions to generate for ${apiPath || '/'}`);
+  }
+  
+  assignTypeNames(generated, RESERVED_NAMES);
+  mkdirSync(outDir, { recursive: true });
+  
+  const files = {
+    'KlbDateTime.ts': KLB_DATETIME_DEFINITION,
+    'KlbApiResponse.ts': KLB_API_RESPONSE_DEFINITION
+  };
+  
+  for (const endpoint of generated) {
+    files[`${endpoint.typeName}.ts`] = buildModule(endpoint, target.host);
+  }
+  
+  files['index.ts'] = Object.keys(files)
+    .map(fileName => `export * from './${fileName.replace(/\.ts$/, '')}';`)
+    .join('\n') + '\n';
+  
+  for (const [fileName, content] of Object.entries(files)) {
+    writeFileSync(join(outDir, fileName), content);
+  }
+  
+  printOutput(`${format(colors.green, "Generated TypeScript SDK:")} ${generated.length} endpoints, ${Object.keys(files).length} files in ${format(colors.cyan, outDir)}`);
+  
+  for (const endpoint of generated) {
+    printOutput(`  ${format(colors.dim, endpoint.path.padEnd(30))} ${endpoint.typeName}.ts`);
+  }
+  
+  return Object.keys(files);
+}
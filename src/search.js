@@ -0,0 +1,230 @@
+/**
+ * Full-text search over the API metadata
+ * 
+ * The index has one entry per searchable item of the crawled endpoints: the
+ * endpoint itself, its fields, procedures and methods, and their arguments,
+ * each with its name and description. The crawl goes through the cache, so
+ * the index is built locally once the cache is warm, and `--offline api.json`
+ * searches a snapshot.
+ */
+
+import { collectEndpoints, describeFailedNode } from './crawler.js';
+import { endpointCallables } from './model.js';
+import { resolveTarget } from './config.js';
+import { colors } from './constants.js';
+import { createFormatter } from './utils.js';
+
+// Default number of results
+export const DEFAULT_SEARCH_LIMIT = 20;
+
+// Weight of a match by kind of entry, names of endpoints and procedures
+// being the most likely targets of a search
+const KIND_WEIGHTS = {
+  endpoint: 10,
+  procedure: 8,
+  method: 8,
+  field: 6,
+  argument: 4
+};
+
+// Characters of description kept around a match
+const CONTEXT_SIZE = 40;
+
+/**
+ * Build the search index of collected endpoints
+ * 
+ * Each entry has the `path` it belongs to (`Path:name` for arguments), its
+ * `kind` (endpoint, field, procedure, method or argument), its `name`, a
+ * `detail` (type or signature) and its `description`.
+ * 
+ * @param {Array<{path: string, model: Object}>} endpoints - Endpoints from collectEndpoints()
+ * @returns {Array<Object>} The index entries
+ */
+export function buildSearchIndex(endpoints) {
+  const entries = [];
+  const add = (path, kind, name, detail, description) => {
+    entries.push({ path, kind, name, detail, description: description || null });
+  };
+  
+  for (const { path, model } of endpoints) {
+    add(path, 'endpoint', path.split('/').pop() || '/', model.kind, model.description);
+    
+    for (const field of model.table ? model.table.fields : []) {
+      add(path, 'field', field.name, field.type, field.description);
+    }
+    
+    for (const callable of endpointCallables(model).filter(callable => callable.name)) {
+      const callablePath = `${path}:${callable.name}`;
+      add(callablePath, callable.static ? 'procedure' : 'method', callable.name,
+        `${callable.name}(${callable.args.map(arg => arg.name).join(', ')})`, callable.description);
+      
+      for (const arg of callable.args) {
+        add(callablePath, 'argument', arg.name, arg.type, arg.description);
+      }
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Split a query into lowercase terms
+ */
+function queryTerms(query) {
+  return query.toLowerCase().split(/[^a-z0-9_]+/).filter(Boolean);
+}
+
+// Score factor of a term only found in the path of an entry
+const PATH_FACTOR = 0.5;
+
+/**
+ * Score one term against an entry, 0 when it does not match
+ * 
+ * Exact names score above name prefixes, name substrings, descriptions and
+ * finally paths.
+ */
+function scoreTerm(entry, term) {
+  const name = entry.name.toLowerCase();
+  const weight = KIND_WEIGHTS[entry.kind];
+  
+  if (name === term) return weight * 3;
+  if (name.startsWith(term)) return weight * 2;
+  if (name.includes(term)) return weight * 1.5;
+  if (entry.description && entry.description.toLowerCase().includes(term)) return weight;
+  if (entry.path.toLowerCase().includes(term)) return weight * PATH_FACTOR;
+  return 0;
+}
+
+/**
+ * Get the part of a description around the first matching term
+ */
+function descriptionContext(description, terms) {
+  const lower = description.toLowerCase();
+  const index = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0));
+  if (!isFinite(index) || description.length <= CONTEXT_SIZE * 2) return description;
+  
+  const start = Math.max(0, index - CONTEXT_SIZE);
+  const end = Math.min(description.length, index + CONTEXT_SIZE);
+  return `${start > 0 ? '...' : ''}${description.slice(start, end)}${end < description.length ? '...' : ''}`;
+}
+
+/**
+ * Search an index
+ * 
+ * Entries must match all the terms of the query, in their name, description
+ * or path, and at least one in their name or description: the fields of an
+ * endpoint do not all match its name. Results are sorted by score, then by
+ * path, and have a `context` describing the match.
+ * 
+ * @param {Array<Object>} index - Entries from buildSearchIndex()
+ * @param {string} query - Words to search for
+ * @param {Object} options - limit (number of results)
+ * @returns {{total: number, results: Array<Object>}} The number of matching entries and the best ones
+ */
+export function searchIndex(index, query, options = {}) {
+  const { limit = DEFAULT_SEARCH_LIMIT } = options;
+  const terms = queryTerms(query);
+  const matches = [];
+  
+  if (terms.length === 0) {
+    return { total: 0, results: [] };
+  }
+  
+  for (const entry of index) {
+    const scores = terms.map(term => scoreTerm(entry, term));
+    if (scores.includes(0) || scores.every(score => score <= KIND_WEIGHTS[entry.kind] * PATH_FACTOR)) continue;
+    
+    const context = [entry.detail, entry.description && descriptionContext(entry.description, terms)].filter(Boolean).join(' - ');
+    matches.push({
+      path: entry.path,
+      kind: entry.kind,
+      name: entry.name,
+      context,
+      score: scores.reduce((total, score) => total + score, 0)
+    });
+  }
+  
+  matches.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path) || a.name.localeCompare(b.name));
+  
+  return { total: matches.length, results: matches.slice(0, limit) };
+}
+
+/**
+ * Crawl the API and search its metadata
+ * 
+ * Endpoints that could not be fetched are not searched, they are listed in
+ * `failed` with their error.
+ * 
+ * @param {string} query - Words to search for
+ * @param {Object} options - Connection options plus limit, depth and concurrency
+ * @returns {Promise<{total: number, results: Array<Object>, failed: Array<{path: string, error: string}>}>} The matches
+ */
+export async function searchApi(query, options = {}) {
+  const failed = [];
+  const endpoints = await collectEndpoints('', {
+    ...options,
+    recursive: true,
+    onError: (node) => failed.push({ path: node.path, error: node.error })
+  });
+  
+  return { ...searchIndex(buildSearchIndex(endpoints), query, options), failed };
+}
+
+/**
+ * Search the API metadata and print the results
+ */
+export async function printSearchResults(query, options = {}) {
+  const {
+    output = console.log,
+    useColors = true,
+    markdownFormat = false,
+    jsonOutput = false
+  } = options;
+  
+  const { printOutput, printJson, format } = createFormatter({ useColors, output, jsonOutput });
+  const target = resolveTarget(options);
+  const { total, results, failed } = await searchApi(query, options);
+  
+  if (failed.length > 0) {
+    const warning = `Not searched, could not be fetched: ${failed.map(describeFailedNode).join(', ')}`;
+    printOutput(markdownFormat ? `_${warning}_\n` : format(colors.yellow, warning));
+  }
+  
+  if (jsonOutput) {
+    printJson({ query, total, results, failed });
+    return results;
+  }
+  
+  if (markdownFormat) {
+    printOutput(`## API search: \`${query}\``);
+    printOutput(`**Host:** ${target.host}\n`);
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, "Searching API for:")} ${format(colors.green, query)}`);
+    printOutput(`${format(colors.dim, "Host: " + target.host)}\n`);
+  }
+  
+  if (results.length === 0) {
+    printOutput(markdownFormat ? 'No matches found' : format(colors.yellow, 'No matches found'));
+    return results;
+  }
+  
+  if (markdownFormat) {
+    printOutput('| Path | Kind | Name | Context |');
+    printOutput('| ---- | ---- | ---- | ------- |');
+    for (const result of results) {
+      printOutput(`| \`${result.path || '/'}\` | ${result.kind} | \`${result.name}\` | ${result.context.replace(/\|/g, '\\|')} |`);
+    }
+  } else {
+    for (const result of results) {
+      printOutput(`${format(colors.green, (result.path || '/').padEnd(32))} ${format(colors.cyan, result.kind.padEnd(10))} ${format(colors.bright, result.name)}`);
+      if (result.context) {
+        printOutput(`  ${format(colors.dim, result.context)}`);
+      }
+    }
+  }
+  
+  const summary = total > results.length ? `${results.length} of ${total} matches` : `${total} matches`;
+  printOutput(markdownFormat ? `\n_${summary}_` : `\n${format(colors.dim, summary)}`);
+  
+  return results;
+}
@@ -0,0 +1,324 @@
+/**
+ * Interactive explorer shell
+ * 
+ * `klbfw-describe shell` keeps a current path in the API tree, navigated with
+ * cd and ls, and runs describe, ts, get and call relative to it. Endpoint
+ * names are completed from the sub-endpoints (prefix) and procedures (func)
+ * of the nodes, fetched through the cache and kept for the session. The
+ * history is saved in the configuration directory.
+ */
+
+import readline from 'readline';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { colors } from './constants.js';
+import { createFormatter } from './utils.js';
+import { getConfigDir, resolveTarget } from './config.js';
+import { fetchEndpointModel, describeApi, getApiResource, callApi, CALL_METHODS, DESTRUCTIVE_METHODS } from './api.js';
+import { validateCall } from './validate.js';
+
+// Commands of the shell with their usage, in help order
+const SHELL_COMMANDS = {
+  ls: 'ls [path]                 List the sub-endpoints and procedures',
+  cd: 'cd [path]                 Change the current path (/ for the root, .. for the parent)',
+  pwd: 'pwd                       Show the current path',
+  describe: 'describe [path]           Describe an endpoint (also: desc)',
+  ts: 'ts [path]                 Show the TypeScript definitions of an endpoint',
+  get: 'get <path> [k=v ...]      Perform a GET request with query parameters',
+  call: 'call [METHOD] <path> [json|@file]  Send a request, POST by default with data',
+  help: 'help                      Show this help',
+  exit: 'exit                      Leave the shell (also: quit, Ctrl-D)'
+};
+
+// Commands taking a path, completed with endpoint names
+const PATH_COMMANDS = ['ls', 'cd', 'describe', 'desc', 'ts', 'get', 'call'];
+
+// Number of history entries kept
+const HISTORY_SIZE = 500;
+
+/**
+ * Get the file of the shell history
+ */
+function getHistoryFile() {
+  return join(getConfigDir(), 'history');
+}
+
+/**
+ * Load the history, most recent entry first
+ */
+function loadHistory() {
+  try {
+    return readFileSync(getHistoryFile(), 'utf8').split('\n').filter(Boolean).slice(0, HISTORY_SIZE);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Save the history
+ * 
+ * Calls may hold secrets, the file is only readable by the user. Like the
+ * cache, the history is best effort.
+ */
+function saveHistory(history) {
+  try {
+    mkdirSync(getConfigDir(), { recursive: true });
+    writeFileSync(getHistoryFile(), history.join('\n') + '\n', { mode: 0o600 });
+  } catch (e) {
+    // Not saved
+  }
+}
+
+/**
+ * Resolve a path typed in the shell against the current path
+ * 
+ * Absolute paths start with `/`, `..` goes up one level and `:name` is a
+ * procedure of the current path.
+ * 
+ * @param {string} cwd - The current path ('' for the root)
+ * @param {string} input - The typed path
+ * @returns {string} The API path
+ */
+function resolveShellPath(cwd, input = '') {
+  if (input.startsWith(':')) return `${cwd}${input}`;
+  
+  const segments = input.startsWith('/') || !cwd ? [] : cwd.split('/');
+  for (const segment of input.split('/')) {
+    if (!segment || segment === '.') continue;
+    if (segment === '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  
+  return segments.join('/');
+}
+
+/**
+ * Start the interactive shell
+ * 
+ * Resolves when the shell is left.
+ * 
+ * @param {Object} options - Connection options, plus input and output streams
+ * @returns {Promise<void>}
+ */
+export async function startShell(options = {}) {
+  const { input = process.stdin, output = process.stdout, ...connection } = options;
+  const target = resolveTarget(connection);
+  const { printOutput, format } = createFormatter({ output: (text) => output.write(text + '\n') });
+  const models = new Map();
+  let cwd = '';
+  
+  // Endpoint models are fetched once per session, the cache avoiding
+  // requests across sessions
+  const fetchModel = async (path) => {
+    if (!models.has(path)) {
+      models.set(path, await fetchEndpointModel(path, connection));
+    }
+    return models.get(path);
+  };
+  
+  // Complete a path from the sub-endpoints and procedures of its parent
+  const completePath = async (word, childrenOnly) => {
+    const colon = word.lastIndexOf(':');
+    const slash = word.lastIndexOf('/');
+    
+    if (colon > slash) {
+      if (childrenOnly) return [];
+      const base = word.slice(0, colon);
+      const model = await fetchModel(resolveShellPath(cwd, base));
+      return model.methods.map(method => `${base}:${method.name}`);
+    }
+    
+    const dir = word.slice(0, slash + 1);
+    const model = await fetchModel(resolveShellPath(cwd, dir));
+    const children = model.children.map(child => `${dir}${child.name}/`);
+    if (childrenOnly) return children;
+    
+    return [...children, ...model.methods.map(method => `${dir.replace(/\/$/, '')}:${method.name}`)];
+  };
+  
+  const complete = async (line) => {
+    const words = line.split(/\s+/);
+    const word = words[words.length - 1];
+    
+    if (words.length === 1) {
+      return [[...Object.keys(SHELL_COMMANDS), 'desc', 'quit'].filter(name => name.startsWith(word)), word];
+    }
+    
+    if (!PATH_COMMANDS.includes(words[0])) {
+      return [[], word];
+    }
+    
+    const candidates = await completePath(word, words[0] === 'cd');
+    if (words[0] === 'call' && words.length === 2) {
+      candidates.unshift(...CALL_METHODS);
+    }
+    
+    return [candidates.filter(candidate => candidate.startsWith(word)), word];
+  };
+  
+  const rl = readline.createInterface({
+    input,
+    output,
+    history: loadHistory(),
+    historySize: HISTORY_SIZE,
+    removeHistoryDuplicates: true,
+    completer: (line, callback) => {
+      // Fetch failures only mean no completion
+      complete(line).then(result => callback(null, result), () => callback(null, [[], line]));
+    }
+  });
+  rl.on('history', saveHistory);
+  
+  // Commands and confirmations are read from the same lines, so that piped
+  // input works too
+  const lines = rl[Symbol.asyncIterator]();
+  let exited = false;
+  
+  const ask = async (question) => {
+    rl.setPrompt(question);
+    rl.prompt();
+    const { value, done } = await lines.next();
+    return done ? '' : value;
+  };
+  
+  const prompt = () => {
+    const profile = target.profile ? `${format(colors.yellow, target.profile)} ` : '';
+    rl.setPrompt(`${profile}${format(colors.dim, target.host)} ${format(colors.cyan, '/' + cwd)}> `);
+    rl.prompt();
+  };
+  
+  const list = async (path) => {
+    const model = await fetchModel(path);
+    
+    for (const child of model.children) {
+      printOutput(`  ${format(colors.green, (child.name + '/').padEnd(30))} ${format(colors.cyan, child.methods.join(', '))}`);
+    }
+    for (const method of model.methods) {
+      printOutput(`  ${format(colors.bright + colors.green, (':' + method.name).padEnd(30))} ${format(colors.dim, method.static ? 'static' : 'method')}`);
+    }
+    
+    if (model.children.length === 0 && model.methods.length === 0) {
+      printOutput(format(colors.dim, `  No sub-endpoints nor procedures (${model.kind})`));
+    }
+  };
+  
+  // Arguments of call: an optional method, the path, then the JSON data
+  // with its spaces kept
+  const call = async (text) => {
+    const [, method, path, json] = text.match(/^(?:([A-Z]+)\s+)?(\S*)\s*([\s\S]*)$/);
+    if (!path) {
+      throw new Error('call requires a path');
+    }
+    
+    let data = null;
+    if (json) {
+      try {
+        data = JSON.parse(json.startsWith('@') ? readFileSync(json.slice(1), 'utf8') : json);
+      } catch (e) {
+        throw new Error(`Invalid JSON data: ${e.message}`);
+      }
+    }
+    
+    const apiPath = resolveShellPath(cwd, path);
+    const callMethod = method || (data !== null ? 'POST' : 'GET');
+    
+    const errors = await validateCall(apiPath, { ...connection, data });
+    if (errors.length > 0) {
+      errors.forEach(error => printOutput(`${format(colors.red, 'Error:')} ${error}`));
+      return;
+    }
+    
+    if (DESTRUCTIVE_METHODS.includes(callMethod)) {
+      const answer = await ask(`Send ${callMethod} ${apiPath}? [y/N] `);
+      if (!/^y(es)?$/i.test(answer.trim())) {
+        printOutput('Cancelled');
+        return;
+      }
+    }
+    
+    await callApi(apiPath, { ...connection, method: callMethod, data, confirmed: true, output: printOutput });
+  };
+  
+  const run = async (line) => {
+    const [command, ...args] = line.trim().split(/\s+/);
+    
+    switch (command) {
+      case '':
+        break;
+      case 'ls':
+        await list(resolveShellPath(cwd, args[0]));
+        break;
+      case 'cd': {
+        const path = resolveShellPath(cwd, args[0] || '/');
+        const model = await fetchModel(path);
+        if (model.kind === 'procedure') {
+          throw new Error(`${path} is a procedure`);
+        }
+        cwd = path;
+        break;
+      }
+      case 'pwd':
+        printOutput(`/${cwd}`);
+        break;
+      case 'describe':
+      case 'desc':
+        await describeApi(resolveShellPath(cwd, args[0]), { ...connection, output: printOutput });
+        break;
+      case 'ts':
+        await describeApi(resolveShellPath(cwd, args[0]), { ...connection, typeScriptOutput: true, output: printOutput });
+        break;
+      case 'get': {
+        if (!args[0]) {
+          throw new Error('get requires a path');
+        }
+        const params = {};
+        for (const pair of args.slice(1)) {
+          const index = pair.indexOf('=');
+          if (index <= 0) throw new Error(`Invalid query parameter ${pair}, expected name=value`);
+          params[pair.slice(0, index)] = pair.slice(index + 1);
+        }
+        await getApiResource(resolveShellPath(cwd, args[0]), { ...connection, params, output: printOutput });
+        break;
+      }
+      case 'call':
+        await call(line.trim().slice(command.length).trim());
+        break;
+      case 'help':
+        printOutput(`\n${format(colors.bright + colors.blue, 'Commands:')}`);
+        Object.values(SHELL_COMMANDS).forEach(usage => printOutput(`  ${usage}`));
+        printOutput(`\n${format(colors.dim, 'Paths are relative to the current path, absolute with a leading /; :name is a procedure of the current path. Tab completes commands and endpoint names.')}\n`);
+        break;
+      case 'exit':
+      case 'quit':
+        exited = true;
+        break;
+      default:
+        throw new Error(`Unknown command ${command}, type help for the list`);
+    }
+  };
+  
+  printOutput(`${format(colors.bright + colors.blue, 'KLB API shell')} ${format(colors.dim, `on ${target.host}, type help for the commands`)}`);
+  prompt();
+  
+  while (!exited) {
+    const { value: line, done } = await lines.next();
+    if (done) break;
+    
+    try {
+      await run(line);
+    } catch (e) {
+      // Errors already printed with their details are not repeated
+      if (!e.reported) {
+        printOutput(`${format(colors.red, 'Error:')} ${e.message}`);
+      }
+    }
+    
+    if (!exited) prompt();
+  }
+  
+  rl.close();
+  output.write('\n');
+}
@@ -0,0 +1,424 @@
+/**
+ * Static HTML documentation site
+ * 
+ * The subtree is crawled and written as one page per endpoint, with the same
+ * sections as the terminal description (fields, indexes, relations, methods
+ * and arguments), links to the referenced endpoints and sub-endpoints, and
+ * code samples. The index of search.js is shipped as a script, so the site
+ * can be searched without a server.
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { collectEndpoints, describeFailedNode } from './crawler.js';
+import { endpointCallables } from './model.js';
+import { buildRelationGraph, endpointRelations } from './relations.js';
+import { buildSearchIndex } from './search.js';
+import { resolveTarget, buildApiUrl } from './config.js';
+import { colors } from './constants.js';
+import { createFormatter } from './utils.js';
+
+// Labels of the index kinds
+const INDEX_KIND_LABELS = {
+  unique: 'Unique',
+  index: 'Index',
+  foreign: 'Foreign Key'
+};
+
+// Stylesheet of the site
+const SITE_STYLE = `* { box-sizing: border-box; }
+body { margin: 0; font: 15px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2328; }
+header { position: sticky; top: 0; display: flex; gap: 1em; align-items: center; padding: .6em 1.2em; background: #24292f; z-index: 1; }
+header > a { color: #fff; font-weight: 600; text-decoration: none; white-space: nowrap; }
+#search { flex: 1; max-width: 32em; padding: .35em .6em; border: 0; border-radius: 4px; font-size: 1em; }
+#search-results { position: absolute; top: 100%; left: 1.2em; width: 40em; max-width: calc(100% - 2.4em); max-height: 70vh; overflow: auto; margin: 0; padding: 0; list-style: none; background: #fff; box-shadow: 0 4px 12px rgba(0, 0, 0, .2); }
+#search-results a { display: block; padding: .4em .8em; color: inherit; text-decoration: none; border-bottom: 1px solid #eee; }
+#search-results a:hover { background: #f6f8fa; }
+#search-results small { display: block; color: #656d76; }
+.layout { display: flex; }
+nav { flex: 0 0 16em; max-height: calc(100vh - 3em); position: sticky; top: 3em; overflow: auto; padding: 1em; border-right: 1px solid #d0d7de; font-size: .9em; }
+nav a { display: block; color: #0969da; text-decoration: none; white-space: nowrap; }
+nav a.current { font-weight: 600; color: #1f2328; }
+main { flex: 1; min-width: 0; padding: 1em 2em 3em; }
+h1 { font-family: monospace; font-size: 1.6em; }
+h3 { font-family: monospace; }
+table { border-collapse: collapse; margin: .5em 0 1em; }
+th, td { padding: .3em .7em; border: 1px solid #d0d7de; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+code, pre { font-family: monospace; background: #f6f8fa; }
+pre { padding: .8em; overflow: auto; }
+.badge { display: inline-block; padding: 0 .5em; border-radius: 1em; background: #ddf4ff; font-size: .85em; }
+.description { white-space: pre-line; }
+.muted { color: #656d76; }
+`;
+
+// Client side search over window.KLB_SEARCH_INDEX, ranking like the search
+// command: exact names, name prefixes, parts of names, descriptions, paths
+const SITE_SEARCH_SCRIPT = `(() => {
+  const input = document.getElementById('search');
+  const list = document.getElementById('search-results');
+  const index = window.KLB_SEARCH_INDEX || [];
+  const weights = { endpoint: 10, procedure: 8, method: 8, field: 6, argument: 4 };
+  const escape = (text) => String(text).replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+  const score = (entry, term) => {
+    const name = entry.name.toLowerCase();
+    const weight = weights[entry.kind];
+    if (name === term) return weight * 3;
+    if (name.startsWith(term)) return weight * 2;
+    if (name.includes(term)) return weight * 1.5;
+    if ((entry.description || '').toLowerCase().includes(term)) return weight;
+    if (entry.path.toLowerCase().includes(term)) return weight * 0.5;
+    return 0;
+  };
+  input.addEventListener('input', () => {
+    const terms = input.value.toLowerCase().split(/[^a-z0-9_]+/).filter(Boolean);
+    const results = [];
+    for (const entry of terms.length > 0 ? index : []) {
+      const scores = terms.map(term => score(entry, term));
+      if (scores.includes(0) || scores.every(value => value <= weights[entry.kind] * 0.5)) continue;
+      results.push({ entry, total: scores.reduce((a, b) => a + b, 0) });
+    }
+    results.sort((a, b) => b.total - a.total || a.entry.path.localeCompare(b.entry.path));
+    list.innerHTML = results.slice(0, 30).map(({ entry }) =>
+      '<li><a href="' + escape(entry.url) + '"><strong>' + escape(entry.name) + '</strong> <span class="badge">' + entry.kind + '</span>' +
+      '<small>' + escape(entry.path || '/') + (entry.description ? ' - ' + escape(entry.description) : '') + '</small></a></li>').join('');
+  });
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      input.value = '';
+      list.innerHTML = '';
+    }
+  });
+})();
+`;
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Get the page file of an endpoint
+ * 
+ * Pages are written in one directory, path segments being joined with dots
+ * (KLB names have none): User/Wallet is User.Wallet.html.
+ */
+export function sitePageName(path) {
+  return path ? `${path.split('/').join('.')}.html` : 'root.html';
+}
+
+/**
+ * Get the URL of an entry of the search index, relative to the site
+ */
+function searchEntryUrl(entry) {
+  const [path, callable] = entry.path.split(':');
+  const page = sitePageName(path);
+  
+  if (callable) return `${page}#fn-${callable}`;
+  if (entry.kind === 'field') return `${page}#field-${entry.name}`;
+  return page;
+}
+
+/**
+ * Get a sample value of an argument or field, for the code samples
+ */
+function sampleValue(arg) {
+  const type = (arg.type || '').toLowerCase();
+  
+  if (arg.values && arg.values.length > 0) return arg.values[0];
+  if (['int', 'integer', 'float', 'number', 'decimal'].includes(type)) return 0;
+  if (['bool', 'boolean'].includes(type)) return false;
+  if (type === 'array') return [];
+  if (type === 'object' || type === 'json') return {};
+  return '';
+}
+
+/**
+ * Build the code samples of an endpoint: the calls of its allowed methods,
+ * procedures and methods, with @karpeleslab/klbfw and as HTTP requests
+ * 
+ * Creations are sent the required fields, procedures and methods their
+ * required arguments.
+ */
+function buildCodeSamples(path, model, target) {
+  const samples = [];
+  const add = (method, callPath, data) => {
+    const body = data && Object.keys(data).length > 0 ? `, ${JSON.stringify(data)}` : '';
+    samples.push(`// ${method} ${buildApiUrl(target, callPath)}\nawait rest('${callPath}', '${method}'${body});`);
+  };
+  
+  if (model.allowedMethods.includes('GET')) add('GET', path, { results_per_page: 20 });
+  if (model.allowedMethods.includes('POST') && model.table) {
+    const data = {};
+    for (const field of model.table.fields.filter(field => !field.nullable && !field.primary)) {
+      data[field.name] = sampleValue(field);
+    }
+    add('POST', path, data);
+  }
+  if (model.objectMethods.includes('GET')) add('GET', `${path}/<id>`, null);
+  
+  for (const callable of endpointCallables(model).filter(callable => callable.name)) {
+    const data = {};
+    for (const arg of callable.args.filter(arg => arg.required)) {
+      data[arg.name] = sampleValue(arg);
+    }
+    add('POST', `${path}${callable.static ? '' : '/<id>'}:${callable.name}`, data);
+  }
+  
+  if (samples.length === 0) return '';
+  
+  return `<h2>Code Samples</h2>
+<pre><code>import { rest } from '@karpeleslab/klbfw';
+
+${escapeHtml(samples.join('\n\n'))}</code></pre>
+`;
+}
+
+/**
+ * Render the arguments of a procedure or method as a table
+ */
+function renderArguments(args) {
+  const rows = args.map(arg => {
+    const type = arg.values ? `${arg.type || ''} (${arg.values.join(', ')})` : (arg.type || '');
+    return `<tr><td><code>${escapeHtml(arg.name)}</code></td><td>${escapeHtml(type)}</td><td>${arg.required ? 'Yes' : 'No'}</td><td class="description">${escapeHtml(arg.description || '')}</td></tr>`;
+  });
+  
+  return `<table>
+<tr><th>Name</th><th>Type</th><th>Required</th><th>Description</th></tr>
+${rows.join('\n')}
+</table>
+`;
+}
+
+/**
+ * Render the page content of an endpoint
+ * 
+ * @param {{path: string, model: Object}} endpoint - A collected endpoint
+ * @param {Object} context - The documented paths (Set), the relation graph and the target
+ * @returns {string} The HTML of the page content
+ */
+function renderEndpoint({ path, model }, context) {
+  const { paths, graph, target } = context;
+  const link = (linkPath, label = linkPath || '/') => paths.has(linkPath)
+    ? `<a href="${sitePageName(linkPath)}"><code>${escapeHtml(label)}</code></a>`
+    : `<code>${escapeHtml(label)}</code>`;
+  let html = `<h1>${escapeHtml(path || '/')}</h1>\n`;
+  
+  const meta = [`<span class="badge">${model.kind}</span>`];
+  if (model.type) meta.push(`Type: <code>${escapeHtml(model.type)}</code>`);
+  if (model.access) meta.push(`Access: <code>${escapeHtml(model.access)}</code>`);
+  html += `<p>${meta.join(' ')}</p>\n`;
+  
+  if (model.description) {
+    html += `<p class="description">${escapeHtml(model.description)}</p>\n`;
+  }
+  
+  if (model.allowedMethods.length > 0 || model.objectMethods.length > 0) {
+    html += '<ul>\n';
+    if (model.allowedMethods.length > 0) html += `<li>Allowed methods: <code>${model.allowedMethods.join(', ')}</code></li>\n`;
+    if (model.objectMethods.length > 0) html += `<li>Allowed object methods: <code>${model.objectMethods.join(', ')}</code></li>\n`;
+    html += '</ul>\n';
+  }
+  
+  if (model.children.length > 0) {
+    html += '<h2>Subresources</h2>\n<table>\n<tr><th>Name</th><th>Methods</th></tr>\n';
+    for (const child of model.children) {
+      const childPath = path ? `${path}/${child.name}` : child.name;
+      html += `<tr><td>${link(childPath, child.name)}</td><td>${child.methods.join(', ')}</td></tr>\n`;
+    }
+    html += '</table>\n';
+  }
+  
+  if (model.table) {
+    const { fields, primaryKey, indexes } = model.table;
+    const { references, referencedBy } = endpointRelations(model, graph);
+    
+    html += '<h2>Table Structure</h2>\n<table>\n<tr><th>Field</th><th>Type</th><th>Size</th><th>Required</th><th>Validator</th><th>Description</th></tr>\n';
+    for (const field of fields) {
+      const type = field.values ? `${field.type || ''} (${field.values.join(', ')})` : (field.type || '');
+      const reference = references.find(reference => reference.field === field.name);
+      const notes = [
+        field.primary ? 'Primary Key' : '',
+        reference ? `Foreign Key to ${link(reference.to)}` : (field.foreignKey ? 'Foreign Key' : '')
+      ].filter(Boolean);
+      const description = [escapeHtml(field.description || ''), ...notes.map(note => `<span class="muted">(${note})</span>`)].filter(Boolean).join(' ');
+      
+      html += `<tr id="field-${escapeHtml(field.name)}"><td><code>${escapeHtml(field.name)}</code></td><td>${escapeHtml(type)}</td><td>${field.size !== null ? field.size : ''}</td><td>${field.nullable ? 'No' : 'Yes'}</td><td>${escapeHtml(field.validator || '')}</td><td class="description">${description}</td></tr>\n`;
+    }
+    html += '</table>\n';
+    
+    if (primaryKey.length > 0) {
+      html += `<p><strong>Primary Key:</strong> <code>${escapeHtml(primaryKey.join(', '))}</code></p>\n`;
+    }
+    
+    if (indexes.length > 0) {
+      html += '<p><strong>Indexes:</strong></p>\n<ul>\n';
+      for (const index of indexes) {
+        html += `<li><code>${escapeHtml(index.name)}</code>: ${INDEX_KIND_LABELS[index.kind]} (${escapeHtml(index.fields.join(', '))})</li>\n`;
+      }
+      html += '</ul>\n';
+    }
+    
+    if (references.length > 0) {
+      html += '<h2>References</h2>\n<ul>\n';
+      for (const reference of references) {
+        html += `<li><code>${escapeHtml(reference.field)}</code> &rarr; ${link(reference.to)}${reference.resolved === false ? ' <span class="muted">(not found)</span>' : ''}</li>\n`;
+      }
+      html += '</ul>\n';
+    }
+    
+    if (referencedBy && referencedBy.length > 0) {
+      html += '<h2>Referenced By</h2>\n<ul>\n';
+      for (const reference of referencedBy) {
+        html += `<li>${link(reference.from)} <span class="muted">via <code>${escapeHtml(reference.field)}</code></span></li>\n`;
+      }
+      html += '</ul>\n';
+    }
+  }
+  
+  const callables = endpointCallables(model).filter(callable => callable.name);
+  if (callables.length > 0) {
+    html += `<h2>${model.procedure ? 'Procedure' : 'Available Methods'}</h2>\n`;
+    
+    for (const callable of callables) {
+      html += `<h3 id="fn-${escapeHtml(callable.name)}">${callable.static ? 'static ' : ''}${escapeHtml(callable.name)}()</h3>\n`;
+      
+      if (callable.description) {
+        html += `<p class="description">${escapeHtml(callable.description)}</p>\n`;
+      }
+      
+      if (callable.returns) {
+        html += `<p><strong>Returns:</strong> ${escapeHtml(callable.returns)}</p>\n`;
+      }
+      
+      if (callable.args.length > 0) {
+        html += renderArguments(callable.args);
+      }
+    }
+  }
+  
+  html += buildCodeSamples(path, model, target);
+  
+  return html;
+}
+
+/**
+ * Render the index page: the documented endpoints with their description
+ */
+function renderIndex(endpoints, context) {
+  const { target, apiPath } = context;
+  const rows = endpoints.map(({ path, model }) => {
+    const description = model.description ? escapeHtml(model.description.split('\n')[0]) : '';
+    return `<tr><td><a href="${sitePageName(path)}"><code>${escapeHtml(path || '/')}</code></a></td><td>${model.kind}</td><td>${description}</td></tr>`;
+  });
+  
+  return `<h1>API documentation</h1>
+<p>Host: <code>${escapeHtml(target.host)}</code>, root: <code>${escapeHtml(apiPath || '/')}</code>, ${endpoints.length} endpoints, generated ${new Date().toISOString()}</p>
+<table>
+<tr><th>Endpoint</th><th>Kind</th><th>Description</th></tr>
+${rows.join('\n')}
+</table>
+`;
+}
+
+/**
+ * Wrap page content in the site layout: header with the search box, and the
+ * navigation listing all the endpoints
+ */
+function renderLayout(title, content, context, currentPath = null) {
+  const { endpoints, target } = context;
+  const nav = endpoints.map(({ path }) => {
+    const depth = path ? path.split('/').length - 1 : 0;
+    const label = path ? path.split('/').pop() : '/';
+    const current = path === currentPath ? ' class="current"' : '';
+    return `<a href="${sitePageName(path)}"${current} style="padding-left: ${depth}em">${escapeHtml(label)}</a>`;
+  });
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - ${escapeHtml(target.host)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<header>
+<a href="index.html">${escapeHtml(target.host)}</a>
+<input id="search" type="search" placeholder="Search endpoints, fields, methods and arguments" autocomplete="off">
+<ul id="search-results"></ul>
+</header>
+<div class="layout">
+<nav>
+${nav.join('\n')}
+</nav>
+<main>
+${content}</main>
+</div>
+<script src="search-index.js"></script>
+<script src="search.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate a static HTML documentation site for a subtree into a directory
+ * 
+ * Writes index.html, one page per endpoint (see sitePageName()), the
+ * stylesheet and the search script with its index.
+ * 
+ * @param {string} apiPath - The subtree root ('' for the whole API)
+ * @param {Object} options - Connection options plus outDir, depth and concurrency
+ * @returns {Promise<string[]>} The written file names
+ */
+export async function generateSite(apiPath, options = {}) {
+  const {
+    outDir,
+    output = console.log,
+    useColors = true
+  } = options;
+  
+  const { printOutput, format } = createFormatter({ useColors, output });
+  const target = resolveTarget(options);
+  const endpoints = await collectEndpoints(apiPath, {
+    ...options,
+    recursive: true,
+    onError: (node) => printOutput(format(colors.yellow, `Warning: left out ${describeFailedNode(node)}, it could not be fetched`))
+  });
+  
+  const context = {
+    apiPath,
+    endpoints,
+    target,
+    paths: new Set(endpoints.map(endpoint => endpoint.path)),
+    graph: buildRelationGraph(endpoints)
+  };
+  
+  const searchEntries = buildSearchIndex(endpoints).map(entry => ({ ...entry, url: searchEntryUrl(entry) }));
+  
+  const files = {
+    'index.html': renderLayout('API documentation', renderIndex(endpoints, context), context),
+    'style.css': SITE_STYLE,
+    'search.js': SITE_SEARCH_SCRIPT,
+    // The index is a script rather than JSON, pages opened from the disk
+    // cannot fetch files
+    'search-index.js': `window.KLB_SEARCH_INDEX = ${JSON.stringify(searchEntries).replace(/</g, '\\u003c')};\n`
+  };
+  
+  for (const endpoint of endpoints) {
+    files[sitePageName(endpoint.path)] = renderLayout(endpoint.path || '/', renderEndpoint(endpoint, context), context, endpoint.path);
+  }
+  
+  mkdirSync(outDir, { recursive: true });
+  
+  for (const [fileName, content] of Object.entries(files)) {
+    writeFileSync(join(outDir, fileName), content);
+  }
+  
+  printOutput(`${format(colors.green, "Generated documentation site:")} ${endpoints.length} endpoints, ${Object.keys(files).length} files in ${format(colors.cyan, outDir)}`);
+  
+  return Object.keys(files);
+}
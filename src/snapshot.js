@@ -0,0 +1,415 @@
+/**
+ * API schema snapshots and breaking-change detection
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { collectEndpoints } from './crawler.js';
+import { endpointCallables } from './model.js';
+import { resolveTarget } from './config.js';
+import { colors } from './constants.js';
+import { createFormatter } from './utils.js';
+
+// Format marker and version of snapshot files
+export const SNAPSHOT_FORMAT = 'klbfw-describe-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Normalize the arguments of a procedure or method
+ */
+function normalizeArgs(args) {
+  const normalized = {};
+  
+  for (const arg of args) {
+    normalized[arg.name] = {
+      type: arg.type,
+      required: arg.required
+    };
+  }
+  
+  return normalized;
+}
+
+/**
+ * Normalize an endpoint model into the snapshot structure
+ * 
+ * Only the parts relevant for compatibility are kept: allowed methods,
+ * fields (type, nullability, size, values, validator) and the procedures
+ * and methods with their arguments.
+ */
+export function normalizeEndpoint(model) {
+  const endpoint = {
+    allowedMethods: [...model.allowedMethods].sort(),
+    objectMethods: [...model.objectMethods].sort(),
+    fields: {},
+    functions: {}
+  };
+  
+  for (const field of model.table ? model.table.fields : []) {
+    endpoint.fields[field.name] = {
+      type: field.type,
+      nullable: field.nullable,
+      size: field.size,
+      values: field.values,
+      validator: field.validator
+    };
+  }
+  
+  for (const callable of endpointCallables(model).filter(callable => callable.name)) {
+    endpoint.functions[callable.name] = {
+      static: callable.static,
+      args: normalizeArgs(callable.args)
+    };
+  }
+  
+  return endpoint;
+}
+
+/**
+ * Create a snapshot of an endpoint, or of a whole subtree when `recursive`
+ * is set
+ * 
+ * Sub-endpoints that could not be fetched are listed in `failed` with
+ * their error, so that comparisons do not take them for removed endpoints.
+ * 
+ * @param {string} apiPath - The endpoint (or subtree root) to snapshot
+ * @param {Object} options - Connection options plus recursive, depth and concurrency
+ * @returns {Promise<Object>} The snapshot
+ */
+export async function createSnapshot(apiPath, options = {}) {
+  const { recursive = false, depth } = options;
+  const target = resolveTarget(options);
+  const failed = {};
+  const endpoints = await collectEndpoints(apiPath, {
+    ...options,
+    onError: (node) => { failed[node.path] = node.error; }
+  });
+  
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    host: target.host,
+    root: apiPath,
+    recursive,
+    depth: depth !== undefined ? depth : null,
+    createdAt: new Date().toISOString(),
+    endpoints: {},
+    failed
+  };
+  
+  for (const endpoint of endpoints) {
+    snapshot.endpoints[endpoint.path] = normalizeEndpoint(endpoint.model);
+  }
+  
+  return snapshot;
+}
+
+/**
+ * Create a snapshot and write it to `outFile`, or print it
+ */
+export async function saveSnapshot(apiPath, options = {}) {
+  const {
+    outFile = '',
+    output = console.log
+  } = options;
+  
+  const snapshot = await createSnapshot(apiPath, options);
+  const json = JSON.stringify(snapshot, null, 2);
+  
+  if (outFile) {
+    const failedCount = Object.keys(snapshot.failed).length;
+    writeFileSync(outFile, json + '\n');
+    output(`Wrote snapshot of ${Object.keys(snapshot.endpoints).length} endpoints to ${outFile}${failedCount > 0 ? `, ${failedCount} endpoints could not be fetched` : ''}`);
+  } else {
+    output(json);
+  }
+  
+  return snapshot;
+}
+
+/**
+ * Load a snapshot file
+ */
+export function loadSnapshot(filePath) {
+  let snapshot;
+  
+  try {
+    snapshot = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Unable to read snapshot ${filePath}: ${e.message}`);
+  }
+  
+  if (snapshot.format !== SNAPSHOT_FORMAT || !snapshot.endpoints) {
+    throw new Error(`${filePath} is not a klbfw-describe snapshot`);
+  }
+  
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot ${filePath} uses format version ${snapshot.version}, this tool supports up to ${SNAPSHOT_VERSION}`);
+  }
+  
+  return snapshot;
+}
+
+/**
+ * Compare two lists of names, calling back for the added and removed ones
+ */
+function diffNames(oldNames, newNames, onRemoved, onAdded) {
+  for (const name of oldNames) {
+    if (!newNames.includes(name)) onRemoved(name);
+  }
+  for (const name of newNames) {
+    if (!oldNames.includes(name)) onAdded(name);
+  }
+}
+
+/**
+ * Compare two field sizes, returning -1 when the new size is smaller, 1
+ * when it is larger and 0 when they are equal
+ * 
+ * Sizes are numbers or strings like '10,2' (precision and scale), compared
+ * part by part: any smaller part makes the size smaller. A missing size is
+ * unlimited.
+ */
+function compareSizes(oldSize, newSize) {
+  if (oldSize === null || oldSize === undefined) return newSize === null || newSize === undefined ? 0 : -1;
+  if (newSize === null || newSize === undefined) return 1;
+  
+  const oldParts = String(oldSize).split(',').map(Number);
+  const newParts = String(newSize).split(',').map(Number);
+  
+  if (oldParts.some((part, i) => newParts[i] < part)) return -1;
+  return String(oldSize) === String(newSize) ? 0 : 1;
+}
+
+/**
+ * Check whether a path is one of the failed paths of a snapshot, or below
+ * one of them
+ */
+function isFailedPath(snapshot, path) {
+  return Object.keys(snapshot.failed || {}).some(failed => path === failed || path.startsWith(`${failed}/`));
+}
+
+/**
+ * Compare two snapshots
+ * 
+ * Each change has a `path` (endpoint, with `:function` for arguments), a
+ * `kind` (endpoint, method, field, function or arg), a `change` (added,
+ * removed, changed or skipped), a human readable `message` and a
+ * `breaking` flag.
+ * 
+ * Removals, type changes, fields becoming nullable, smaller sizes, new or
+ * changed validators, ENUM values removed, new required arguments and
+ * arguments becoming required are breaking. Additions, larger sizes and
+ * removed validators are not.
+ * 
+ * Endpoints that could not be fetched for either snapshot (and the ones
+ * below them) are not compared, and reported as skipped.
+ * 
+ * @param {Object} oldSnapshot - The reference snapshot
+ * @param {Object} newSnapshot - The snapshot to compare with it
+ * @returns {Array<Object>} The changes
+ */
+export function diffSnapshots(oldSnapshot, newSnapshot) {
+  const changes = [];
+  const add = (path, kind, change, message, breaking) => {
+    changes.push({ path, kind, change, message, breaking });
+  };
+  
+  const isFailed = (path) => isFailedPath(oldSnapshot, path) || isFailedPath(newSnapshot, path);
+  const failedPaths = [...new Set([...Object.keys(oldSnapshot.failed || {}), ...Object.keys(newSnapshot.failed || {})])].sort();
+  
+  for (const path of failedPaths) {
+    const error = (newSnapshot.failed || {})[path] || oldSnapshot.failed[path];
+    add(path, 'endpoint', 'skipped', `Endpoint ${path} not compared, it could not be fetched: ${error}`, false);
+  }
+  
+  const oldPaths = Object.keys(oldSnapshot.endpoints).filter(path => !isFailed(path)).sort();
+  const newPaths = Object.keys(newSnapshot.endpoints).filter(path => !isFailed(path)).sort();
+  
+  diffNames(oldPaths, newPaths,
+    path => add(path, 'endpoint', 'removed', `Endpoint ${path} removed`, true),
+    path => add(path, 'endpoint', 'added', `Endpoint ${path} added`, false));
+  
+  for (const path of oldPaths.filter(path => newPaths.includes(path))) {
+    const before = oldSnapshot.endpoints[path];
+    const after = newSnapshot.endpoints[path];
+    
+    diffNames(before.allowedMethods, after.allowedMethods,
+      method => add(path, 'method', 'removed', `Method ${method} no longer allowed`, true),
+      method => add(path, 'method', 'added', `Method ${method} now allowed`, false));
+    
+    diffNames(before.objectMethods, after.objectMethods,
+      method => add(path, 'method', 'removed', `Object method ${method} no longer allowed`, true),
+      method => add(path, 'method', 'added', `Object method ${method} now allowed`, false));
+    
+    diffNames(Object.keys(before.fields), Object.keys(after.fields),
+      field => add(path, 'field', 'removed', `Field ${field} removed`, true),
+      field => add(path, 'field', 'added', `Field ${field} added`, false));
+    
+    for (const field of Object.keys(before.fields).filter(field => after.fields[field])) {
+      const oldField = before.fields[field];
+      const newField = after.fields[field];
+      
+      if (oldField.type !== newField.type) {
+        add(path, 'field', 'changed', `Field ${field} type changed from ${oldField.type} to ${newField.type}`, true);
+      }
+      
+      if (oldField.nullable !== newField.nullable) {
+        add(path, 'field', 'changed', newField.nullable ? `Field ${field} became nullable` : `Field ${field} is no longer nullable`, newField.nullable);
+      }
+      
+      const sizeChange = compareSizes(oldField.size, newField.size);
+      if (sizeChange !== 0) {
+        const sizeLabel = (size) => size !== null && size !== undefined ? size : 'unlimited';
+        add(path, 'field', 'changed', `Field ${field} size changed from ${sizeLabel(oldField.size)} to ${sizeLabel(newField.size)}`, sizeChange < 0);
+      }
+      
+      if ((oldField.validator || null) !== (newField.validator || null)) {
+        const message = newField.validator
+          ? `Field ${field} validator ${oldField.validator ? `changed from ${oldField.validator} to` : 'set to'} ${newField.validator}`
+          : `Field ${field} validator ${oldField.validator} removed`;
+        add(path, 'field', 'changed', message, !!newField.validator);
+      }
+      
+      if (oldField.values && newField.values) {
+        diffNames(oldField.values, newField.values,
+          value => add(path, 'field', 'changed', `Field ${field} value ${value} removed`, true),
+          value => add(path, 'field', 'changed', `Field ${field} value ${value} added`, false));
+      }
+    }
+    
+    diffNames(Object.keys(before.functions), Object.keys(after.functions),
+      name => add(path, 'function', 'removed', `Function ${name} removed`, true),
+      name => add(path, 'function', 'added', `Function ${name} added`, false));
+    
+    for (const name of Object.keys(before.functions).filter(name => after.functions[name])) {
+      const oldFunc = before.functions[name];
+      const newFunc = after.functions[name];
+      const funcPath = `${path}:${name}`;
+      
+      if (oldFunc.static !== newFunc.static) {
+        add(funcPath, 'function', 'changed', newFunc.static ? 'Function became static' : 'Function is no longer static', true);
+      }
+      
+      diffNames(Object.keys(oldFunc.args), Object.keys(newFunc.args),
+        arg => add(funcPath, 'arg', 'removed', `Argument ${arg} removed`, true),
+        arg => add(funcPath, 'arg', 'added', `${newFunc.args[arg].required ? 'Required' : 'Optional'} argument ${arg} added`, newFunc.args[arg].required));
+      
+      for (const arg of Object.keys(oldFunc.args).filter(arg => newFunc.args[arg])) {
+        const oldArg = oldFunc.args[arg];
+        const newArg = newFunc.args[arg];
+        
+        if (oldArg.type !== newArg.type) {
+          add(funcPath, 'arg', 'changed', `Argument ${arg} type changed from ${oldArg.type} to ${newArg.type}`, true);
+        }
+        
+        if (oldArg.required !== newArg.required) {
+          add(funcPath, 'arg', 'changed', newArg.required ? `Argument ${arg} became required` : `Argument ${arg} became optional`, newArg.required);
+        }
+      }
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Format a list of snapshot changes for display
+ */
+export function formatSnapshotDiff(changes, options = {}) {
+  const {
+    output = console.log,
+    useColors = true,
+    markdownFormat = false
+  } = options;
+  
+  const { printOutput, format } = createFormatter({ useColors, output });
+  const breakingCount = changes.filter(change => change.breaking).length;
+  
+  if (changes.length === 0) {
+    printOutput(markdownFormat ? 'No changes' : format(colors.green, 'No changes'));
+    return;
+  }
+  
+  let currentPath = null;
+  
+  for (const change of changes) {
+    if (change.path !== currentPath) {
+      currentPath = change.path;
+      if (markdownFormat) {
+        printOutput(`\n### \`${currentPath}\``);
+      } else {
+        printOutput(`\n${format(colors.bright + colors.cyan, currentPath)}`);
+      }
+    }
+    
+    if (markdownFormat) {
+      printOutput(`- ${change.breaking ? '**BREAKING** ' : ''}${change.message}`);
+    } else {
+      const marker = change.breaking ? format(colors.red, 'BREAKING    ') : format(colors.green, 'non-breaking');
+      printOutput(`  ${marker} ${change.message}`);
+    }
+  }
+  
+  const summary = `${changes.length} changes, ${breakingCount} breaking`;
+  if (markdownFormat) {
+    printOutput(`\n**${summary}**`);
+  } else {
+    printOutput(`\n${format(colors.bright + (breakingCount > 0 ? colors.red : colors.green), summary)}`);
+  }
+}
+
+/**
+ * Compare a snapshot file with another snapshot file, or with the live API
+ * when `newFile` is empty (using the root, recursion and depth of the old
+ * snapshot), and print the changes
+ * 
+ * @param {string} oldFile - The reference snapshot file
+ * @param {string} newFile - The snapshot file to compare, empty for the live API
+ * @param {Object} options - Connection and output options
+ * @returns {Promise<Array<Object>>} The changes
+ */
+export async function compareSnapshots(oldFile, newFile, options = {}) {
+  const {
+    output = console.log,
+    useColors = true,
+    markdownFormat = false,
+    jsonOutput = false
+  } = options;
+  
+  const { printOutput, printJson, format } = createFormatter({ useColors, output, jsonOutput });
+  const oldSnapshot = loadSnapshot(oldFile);
+  let newSnapshot;
+  
+  if (newFile) {
+    newSnapshot = loadSnapshot(newFile);
+  } else {
+    const crawlOptions = { ...options, recursive: oldSnapshot.recursive };
+    if (oldSnapshot.depth !== null && oldSnapshot.depth !== undefined) {
+      crawlOptions.depth = oldSnapshot.depth;
+    }
+    newSnapshot = await createSnapshot(oldSnapshot.root, crawlOptions);
+  }
+  
+  const changes = diffSnapshots(oldSnapshot, newSnapshot);
+  
+  if (jsonOutput) {
+    printJson({
+      old: { host: oldSnapshot.host, createdAt: oldSnapshot.createdAt },
+      new: { host: newSnapshot.host, createdAt: newSnapshot.createdAt },
+      breaking: changes.some(change => change.breaking),
+      changes
+    });
+    return changes;
+  }
+  
+  const newLabel = newFile || `live API (${newSnapshot.host})`;
+  if (markdownFormat) {
+    printOutput(`## API changes from \`${oldFile}\` to \`${newLabel}\``);
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, "API changes from")} ${format(colors.green, oldFile)} ${format(colors.bright + colors.blue, "to")} ${format(colors.green, newLabel)}`);
+  }
+  
+  formatSnapshotDiff(changes, { output: printOutput, useColors, markdownFormat });
+  
+  return changes;
+}
@@ -0,0 +1,402 @@
+/**
+ * TypeScript generation helpers shared by the --ts output and the SDK generator
+ */
+
+import { endpointCallables, hasCompositePrimaryKey } from './model.js';
+import { foreignKeyPath } from './relations.js';
+
+// KLB DateTime object structure, used by datetime and timestamp fields
+export const KLB_DATETIME_DEFINITION = `/**
+ * KLB DateTime object structure
+ */
+export interface KlbDateTime {
+  unix: number;    // Unix timestamp (seconds)
+  us: number;      // Microseconds part
+  iso: string;     // ISO formatted date string
+  tz: string;      // Timezone identifier
+  full: string;    // Full timestamp as string (seconds + microseconds)
+  unixms: string;  // Unix timestamp with milliseconds as string
+}
+`;
+
+/**
+ * Generate the TypeScript interfaces of an endpoint: the table structure,
+ * and the parameters of its procedure and methods
+ * 
+ * @param {Object} model - The endpoint model
+ * @param {string} apiPath - The object path
+ * @param {string} typeName - The interface name, derived from the path by default
+ * @returns {string} The TypeScript source
+ */
+export function buildTypeScriptInterfaces(model, apiPath, typeName = getTypeName(apiPath)) {
+  let typeScript = '';
+  
+  // Generate main interface
+  if (model.table) {
+    const description = model.description || typeName + ' object structure';
+    
+    typeScript += `/**
+ * ${description}
+ */
+export interface ${typeName} {
+`;
+    
+    for (const field of model.table.fields) {
+      const tsType = convertToTypeScriptType(field.type, field.name, field);
+      const nullable = field.nullable ? ' | null' : '';
+      
+      // Build a comprehensive comment with all relevant field info
+      let commentParts = [];
+      
+      // Add field description if available
+      if (field.description) {
+        commentParts.push(field.description);
+      }
+      
+      // Add primary key info
+      if (field.primary) {
+        commentParts.push('Primary key');
+      }
+      
+      // Add foreign key info
+      const foreignKey = model.table.foreignKeys.find(key => key.field === field.name);
+      if (foreignKey) {
+        commentParts.push(`Foreign key to ${foreignKeyPath(foreignKey)}`);
+      }
+      
+      // Add validator info
+      if (field.validator) {
+        commentParts.push(`Validator: ${field.validator}`);
+      }
+      
+      // Add size info
+      if (field.size !== null) {
+        commentParts.push(`Size: ${field.size}`);
+      }
+      
+      // Add enum/set values info
+      if ((field.type === 'ENUM' || field.type === 'SET') && field.values) {
+        commentParts.push(`Values: ${field.values.join(', ')}`);
+      }
+      
+      // Add default value info
+      if (field.default !== null) {
+        commentParts.push(`Default: ${field.default}`);
+      }
+      
+      // Format the final comment
+      const comment = commentParts.length > 0 ? ` // ${commentParts.join('; ')}` : '';
+      
+      typeScript += `  ${field.name}: ${tsType}${nullable};${comment}\n`;
+    }
+    
+    typeScript += `}\n\n`;
+  }
+  
+  // Generate request types for procedures
+  if (model.procedure && model.procedure.args.length > 0) {
+    const procedureName = model.procedure.name;
+    
+    typeScript += `/**
+ * Request parameters for ${procedureName || typeName} procedure
+ */
+export interface ${typeName}${procedureName ? pascalCase(procedureName) : ''}Params {
+`;
+    
+    for (const arg of model.procedure.args) {
+      const tsType = convertToTypeScriptType(arg.type);
+      const nullable = !arg.required ? '?' : '';
+      const comment = arg.description ? ` // ${arg.description}` : '';
+      
+      typeScript += `  ${arg.name}${nullable}: ${tsType};${comment}\n`;
+    }
+    
+    typeScript += `}\n\n`;
+  }
+  
+  // Generate request types for methods
+  for (const method of model.methods) {
+    if (method.args.length === 0) continue;
+    
+    // Add the function description as a comment
+    const description = method.description || `Request parameters for ${typeName}.${method.name} method`;
+    const returnDesc = method.returns ? `\n\n@returns ${method.returns}` : '';
+    
+    typeScript += `/**
+ * ${description}${returnDesc}
+ */
+export interface ${typeName}${pascalCase(method.name)}Params {
+`;
+    
+    for (const arg of method.args) {
+      // Try to determine a more specific type based on parameter name patterns
+      let inferredType = 'any';
+      
+      // Check for common parameter naming patterns
+      if (arg.name === 'id' || arg.name.endsWith('_id')) {
+        inferredType = 'string'; // IDs are likely strings
+      } else if (arg.name.endsWith('__')) {
+        inferredType = 'string'; // Foreign keys are UUIDs/strings
+      } else if (arg.name === 'email') {
+        inferredType = 'string'; // Email is a string
+      } else if (arg.name === 'status' || arg.name === 'type') {
+        inferredType = 'string'; // Status/Type typically strings or enums
+      } else if (arg.name === 'page' || arg.name === 'limit' || arg.name === 'offset') {
+        inferredType = 'number'; // Pagination params are numbers
+      } else if (arg.name === 'options' || arg.name === 'config' || arg.name === 'meta') {
+        inferredType = 'Record<string, any>'; // Options are typically objects
+      } else if (arg.name.startsWith('is_') || arg.name.startsWith('has_') || arg.name === 'active' || arg.name === 'enabled') {
+        inferredType = 'boolean'; // Boolean flags
+      }
+      
+      // If an explicit type was provided, use that instead
+      const tsType = arg.type ? convertToTypeScriptType(arg.type) : inferredType;
+      const nullable = !arg.required ? '?' : '';
+      const comment = arg.description ? ` // ${arg.description}` : '';
+      
+      typeScript += `  ${arg.name}${nullable}: ${tsType};${comment}\n`;
+    }
+    
+    typeScript += `}\n\n`;
+  }
+  
+  return typeScript;
+}
+
+/**
+ * Convert KLB API type to TypeScript type
+ * 
+ * `info` is the field model, giving the ENUM values and validator.
+ */
+export function convertToTypeScriptType(type, field = '', info = {}) {
+  if (!type) return 'any';
+  
+  const lowerType = type.toLowerCase();
+  
+  // Special handling for foreign keys
+  if (info.foreignKey && info.validator === 'uuid') {
+    return 'string'; // UUID foreign key
+  }
+  
+  // Handle ENUM and SET types with literal unions
+  if ((lowerType === 'enum' || lowerType === 'set') && info.values && Array.isArray(info.values)) {
+    // Create a union type of the possible values, escaped as string literals
+    return info.values.map(v => JSON.stringify(String(v))).join(' | ');
+  }
+  
+  switch (lowerType) {
+    case 'int':
+    case 'integer':
+    case 'bigint':
+    case 'tinyint':
+    case 'smallint':
+    case 'mediumint':
+    case 'float':
+    case 'double':
+    case 'decimal':
+    case 'number':
+      return 'number';
+    case 'char':
+      if (info.validator === 'uuid') {
+        return 'string'; // UUID
+      }
+      return 'string';
+    case 'string':
+    case 'text':
+    case 'tinytext':
+    case 'mediumtext':
+    case 'longtext':
+    case 'varchar':
+      return 'string';
+    case 'bool':
+    case 'boolean':
+      return 'boolean';
+    case 'datetime':
+    case 'timestamp':
+      return 'KlbDateTime';
+    case 'date':
+      return 'string'; // ISO date string
+    case 'time':
+      return 'string'; // Time string
+    case 'json':
+    case 'array':
+      return 'any[]';
+    case 'object':
+    case 'json_object':
+      return 'Record<string, any>';
+    default:
+      return 'any';
+  }
+}
+
+/**
+ * Generate a TypeScript interface name from an API path
+ */
+export function getTypeName(apiPath) {
+  if (!apiPath) return 'ApiObject';
+  
+  // Handle paths like "User", "User/123", "User:create"
+  const parts = apiPath.split('/');
+  const lastPart = parts[parts.length - 1];
+  
+  // Check if there's a method call indicated with a colon
+  if (lastPart.includes(':')) {
+    const [entity, method] = lastPart.split(':');
+    return pascalCase(entity);
+  }
+  
+  // Check if the last part is an ID (contains non-letter characters)
+  if (/[^a-zA-Z]/.test(lastPart)) {
+    return pascalCase(parts[parts.length - 2] || 'ApiObject');
+  }
+  
+  // If dealing with a nested path like "Content/Cms", combine them
+  if (parts.length > 1) {
+    // Only combine last two parts to avoid overly long names
+    return pascalCase(parts[parts.length - 2] + parts[parts.length - 1]);
+  }
+  
+  // Otherwise use the last part
+  return pascalCase(lastPart);
+}
+
+/**
+ * Convert a string to PascalCase
+ */
+export function pascalCase(str) {
+  if (!str) return '';
+  
+  return str
+    .split(/[^a-zA-Z0-9]+/)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Assign a unique type name to each endpoint
+ * 
+ * The short name from getTypeName() is used when free, then the name built
+ * from the full path, then a numbered variant. The name is stored in the
+ * `typeName` property of each endpoint.
+ */
+export function assignTypeNames(endpoints, reserved = []) {
+  const used = new Set(reserved);
+  
+  for (const endpoint of endpoints) {
+    let typeName = getTypeName(endpoint.path);
+    
+    if (used.has(typeName)) {
+      typeName = pascalCase(endpoint.path);
+    }
+    
+    if (used.has(typeName)) {
+      let counter = 2;
+      while (used.has(`${typeName}${counter}`)) counter++;
+      typeName = `${typeName}${counter}`;
+    }
+    
+    used.add(typeName);
+    endpoint.typeName = typeName;
+  }
+}
+
+/**
+ * Convert a string to camelCase
+ */
+export function camelCase(str) {
+  const pascal = pascalCase(str);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Generate typed wrapper functions calling rest() from @karpeleslab/klbfw
+ * for the methods of an endpoint
+ * 
+ * Collection methods (allowed_methods) become list/create functions, object
+ * methods (allowed_methods_object) get/update/delete functions taking the
+ * object id, and procedures or methods (func) a function posting their
+ * parameters. The generated code expects KlbApiResponse and the endpoint
+ * interfaces from buildTypeScriptInterfaces() to be in scope.
+ * 
+ * Objects with a composite primary key have no single id: their object
+ * functions and instance methods are left out, with a comment saying so.
+ * 
+ * @param {Object} model - The endpoint model
+ * @param {string} apiPath - The object path
+ * @param {string} typeName - The interface name, derived from the path by default
+ * @returns {string} The TypeScript source
+ */
+export function buildRestWrappers(model, apiPath, typeName = getTypeName(apiPath)) {
+  const objectType = model.table ? typeName : 'any';
+  const functionBase = camelCase(typeName);
+  let typeScript = '';
+  
+  const addWrapper = (description, signature, call) => {
+    typeScript += `/**
+ * ${description}
+ */
+export function ${signature} {
+  return ${call};
+}
+
+`;
+  };
+  
+  const methods = model.allowedMethods;
+  const composite = hasCompositePrimaryKey(model);
+  const objectMethods = composite ? [] : model.objectMethods;
+  
+  if (composite) {
+    typeScript += `// ${apiPath} objects have a composite primary key (${model.table.primaryKey.join(', ')}), the functions taking an object id are left out\n\n`;
+  }
+  
+  if (methods.includes('GET')) {
+    addWrapper(`List ${apiPath} objects`,
+      `list${typeName}(params?: Record<string, any>): Promise<KlbApiResponse<${objectType}[]>>`,
+      `rest('${apiPath}', 'GET', params)`);
+  }
+  
+  if (methods.includes('POST')) {
+    addWrapper(`Create a ${apiPath} object`,
+      `create${typeName}(data: Partial<${objectType}>): Promise<KlbApiResponse<${objectType}>>`,
+      `rest('${apiPath}', 'POST', data)`);
+  }
+  
+  if (objectMethods.includes('GET')) {
+    addWrapper(`Fetch a ${apiPath} object by id`,
+      `get${typeName}(id: string): Promise<KlbApiResponse<${objectType}>>`,
+      `rest(\`${apiPath}/\${id}\`, 'GET')`);
+  }
+  
+  if (objectMethods.includes('PATCH')) {
+    addWrapper(`Update a ${apiPath} object`,
+      `update${typeName}(id: string, data: Partial<${objectType}>): Promise<KlbApiResponse<${objectType}>>`,
+      `rest(\`${apiPath}/\${id}\`, 'PATCH', data)`);
+  }
+  
+  if (objectMethods.includes('DELETE')) {
+    addWrapper(`Delete a ${apiPath} object`,
+      `delete${typeName}(id: string): Promise<KlbApiResponse<any>>`,
+      `rest(\`${apiPath}/\${id}\`, 'DELETE')`);
+  }
+  
+  // Procedures and methods are called with POST, instance methods on an object id
+  for (const callable of endpointCallables(model).filter(callable => callable.name && (callable.static || !composite))) {
+    const name = callable.name;
+    const hasParams = callable.args.length > 0;
+    const paramsType = `${typeName}${pascalCase(name)}Params`;
+    const description = callable.description || `Call ${apiPath}:${name}`;
+    const args = [];
+    
+    if (!callable.static) args.push('id: string');
+    if (hasParams) args.push(`params: ${paramsType}`);
+    
+    const target = callable.static ? `'${apiPath}:${name}'` : `\`${apiPath}/\${id}:${name}\``;
+    
+    addWrapper(description,
+      `${functionBase}${pascalCase(name)}(${args.join(', ')}): Promise<KlbApiResponse<any>>`,
+      `rest(${target}, 'POST'${hasParams ? ', params' : ''})`);
+  }
+  
+  return typeScript;
+}
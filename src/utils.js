@@ -35,26 +35,54 @@ export function formatMarkdown(markdown) {
   return formatted;
 }
 
+/**
+ * Check if colors can be used on a stream
+ * 
+ * Colors are forced on with FORCE_COLOR, like Node.js does, and otherwise
+ * disabled when NO_COLOR is set (https://no-color.org) or when the stream
+ * is not a terminal.
+ */
+export function supportsColor(stream = process.stdout) {
+  if (process.env.FORCE_COLOR) return process.env.FORCE_COLOR !== '0';
+  if (process.env.NO_COLOR) return false;
+  return !!stream.isTTY;
+}
+
 /**
  * Helper function to create a formatter based on options
+ * 
+ * With `jsonOutput`, the output only gets the JSON document written with
+ * printJson(), and printOutput() writes the human-readable messages
+ * (banners, errors) to `statusOutput`, stderr by default.
  */
 export function createFormatter(options = {}) {
   const { 
     useColors = true,
-    output = console.log
+    output = console.log,
+    redact = null,
+    jsonOutput = false,
+    statusOutput = console.error
   } = options;
   
-  // Choose output format based on options
-  const printOutput = (text) => output(text);
+  const hide = redact || ((text) => text);
+  const messageOutput = jsonOutput ? statusOutput : output;
+  const colorful = useColors && supportsColor(jsonOutput ? process.stderr : process.stdout);
+  
+  // Choose output format based on options, hiding secrets if a redactor is given
+  const printOutput = (text) => messageOutput(hide(text));
+  
+  // Print a JSON document, on a single line for NDJSON
+  const printJson = (value, { compact = false } = {}) => output(hide(JSON.stringify(value, null, compact ? 0 : 2)));
   
   // Helper to format text with or without colors
   const format = (colorFn, text) => {
-    if (!useColors) return text;
+    if (!colorful) return text;
     return colorFn + text + colors.reset;
   };
   
   return {
     printOutput,
+    printJson,
     format
   };
 }
@@ -89,4 +117,35 @@ export function stripParametersFromPath(apiPath) {
   
   // Join the filtered segments back together
   return filteredSegments.join('/');
+}
+
+/**
+ * Create a limiter running at most `concurrency` async tasks at once
+ * 
+ * @param {number} concurrency - Maximum number of tasks running in parallel
+ * @returns {function(function(): Promise): Promise} Function queueing a task
+ */
+export function createLimiter(concurrency) {
+  const queue = [];
+  let running = 0;
+  
+  const next = () => {
+    if (running >= concurrency || queue.length === 0) return;
+    
+    const { task, resolve, reject } = queue.shift();
+    running++;
+    
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+  
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
 }
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * Client-side validation of procedure and method arguments
+ */
+
+import { fetchEndpointModel } from './api.js';
+import { endpointCallables } from './model.js';
+import { stripParametersFromPath } from './utils.js';
+
+// Paging parameters accepted by all the list requests, besides the
+// arguments of a procedure or method
+const PAGING_ARGUMENTS = ['page_no', 'results_per_page'];
+
+/**
+ * Check whether a parameter is understood by the framework rather than by
+ * the procedure or method: `_`-prefixed parameters (e.g. `_ctx`) and paging
+ */
+function isFrameworkArgument(name) {
+  return name.startsWith('_') || PAGING_ARGUMENTS.includes(name);
+}
+
+/**
+ * Get the procedure or method name called by a path (`User:login`,
+ * `User/123:setAvatar`), or null when the path does not call one
+ */
+export function getCallableName(apiPath) {
+  const lastSegment = (apiPath || '').split('/').pop();
+  const index = lastSegment.indexOf(':');
+  return index >= 0 ? lastSegment.slice(index + 1) : null;
+}
+
+/**
+ * Find a procedure or method of an endpoint model by name
+ */
+function findCallable(model, name) {
+  return endpointCallables(model).find(callable => callable.name === name) || null;
+}
+
+/**
+ * Fetch the description of the procedure or method called by a path
+ * 
+ * The OPTIONS description of the procedure path is fetched like describeApi()
+ * does. When it does not describe the procedure, the methods of the parent
+ * object are searched.
+ * 
+ * @param {string} apiPath - The called path, e.g. Misc/Debug:testUpload
+ * @param {Object} options - Connection options
+ * @returns {Promise<import('./model.js').MethodModel|null>} The procedure or method, or null when the path does not call one
+ */
+export async function fetchCallableDescription(apiPath, options = {}) {
+  const name = getCallableName(apiPath);
+  if (!name) return null;
+  
+  const strippedPath = stripParametersFromPath(apiPath);
+  const objectPath = strippedPath.replace(/:[^/]*$/, '');
+  let callable = null;
+  
+  if (strippedPath !== objectPath) {
+    try {
+      callable = findCallable(await fetchEndpointModel(strippedPath, options), name);
+    } catch (e) {
+      // Not described on its own, look in the parent object below
+    }
+  }
+  
+  if (!callable) {
+    callable = findCallable(await fetchEndpointModel(objectPath, options), name);
+  }
+  
+  if (!callable) {
+    throw new Error(`${objectPath || '/'} has no procedure or method named ${name}`);
+  }
+  
+  return callable;
+}
+
+/**
+ * Check one argument value against its type, returning an error message or
+ * null when the value is valid
+ */
+function checkArgumentType(arg, value) {
+  const type = (arg.type || '').toLowerCase();
+  const shown = JSON.stringify(value);
+  
+  // Null is left to the server, which knows whether the argument is nullable
+  if (value === null) return null;
+  
+  switch (type) {
+    case 'int':
+    case 'integer':
+    case 'bigint':
+    case 'tinyint':
+    case 'smallint':
+    case 'mediumint':
+      if (!Number.isInteger(Number(value)) || value === '' || typeof value === 'boolean') {
+        return `Argument ${arg.name}: expected an integer, got ${shown}`;
+      }
+      break;
+    case 'float':
+    case 'double':
+    case 'decimal':
+    case 'number':
+      if (!Number.isFinite(Number(value)) || value === '' || typeof value === 'boolean') {
+        return `Argument ${arg.name}: expected a number, got ${shown}`;
+      }
+      break;
+    case 'bool':
+    case 'boolean':
+      if (![true, false, 0, 1, '0', '1', 'true', 'false'].includes(value)) {
+        return `Argument ${arg.name}: expected a boolean, got ${shown}`;
+      }
+      break;
+    case 'enum':
+    case 'set':
+      if (Array.isArray(arg.values) && !arg.values.includes(value)) {
+        return `Argument ${arg.name}: invalid value ${shown}, expected one of: ${arg.values.join(', ')}`;
+      }
+      break;
+    case 'datetime':
+    case 'timestamp':
+      // Unix timestamps, date strings and KLB DateTime objects are accepted
+      if (typeof value === 'object' ? value.unix === undefined : (typeof value !== 'number' && isNaN(Date.parse(value)))) {
+        return `Argument ${arg.name}: expected a date/time (ISO string, unix timestamp or {unix}), got ${shown}`;
+      }
+      break;
+    case 'string':
+    case 'char':
+    case 'varchar':
+    case 'text':
+      if (typeof value === 'object') {
+        return `Argument ${arg.name}: expected a string, got ${shown}`;
+      }
+      if (typeof arg.size === 'number' && String(value).length > arg.size) {
+        return `Argument ${arg.name}: longer than ${arg.size} characters`;
+      }
+      break;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate call arguments against the arguments of a procedure or method
+ * 
+ * Missing required arguments, unknown arguments and type mismatches (int,
+ * float, bool, ENUM values, datetime, string size) are reported. Uploaded
+ * files count as given. `_`-prefixed and paging parameters are left to the
+ * framework.
+ * 
+ * @param {import('./model.js').MethodModel} callable - The procedure or method model
+ * @param {Object} values - The supplied arguments, keyed by name
+ * @param {Array<string>} fileFields - Names of the uploaded file fields
+ * @returns {Array<string>} The error messages, empty when valid
+ */
+export function validateArguments(callable, values = {}, fileFields = []) {
+  const args = callable.args;
+  const known = args.map(arg => arg.name);
+  const errors = [];
+  
+  for (const arg of args) {
+    if (fileFields.includes(arg.name)) continue;
+    
+    if (values[arg.name] === undefined) {
+      if (arg.required) {
+        errors.push(`Missing required argument ${arg.name}${arg.type ? ` (${arg.type})` : ''}`);
+      }
+      continue;
+    }
+    
+    const error = checkArgumentType(arg, values[arg.name]);
+    if (error) errors.push(error);
+  }
+  
+  for (const name of [...Object.keys(values), ...fileFields]) {
+    if (!known.includes(name) && !isFrameworkArgument(name)) {
+      errors.push(`Unknown argument ${name}, expected one of: ${known.join(', ') || '(none)'}`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Check whether a value is a plain object (not null, an array or a string)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the arguments of a call before sending it
+ * 
+ * Paths not calling a procedure or method are not validated. Query
+ * parameters and body fields are checked together, the body only when it is
+ * an object of fields.
+ * 
+ * @param {string} apiPath - The called path
+ * @param {Object} options - Connection options plus data, params and files
+ * @returns {Promise<Array<string>>} The error messages, empty when valid
+ */
+export async function validateCall(apiPath, options = {}) {
+  const { data = null, params = {}, files = {} } = options;
+  
+  const callable = await fetchCallableDescription(apiPath, options);
+  if (!callable) return [];
+  
+  const values = { ...params, ...(isPlainObject(data) ? data : {}) };
+  return validateArguments(callable, values, Object.keys(files));
+}
@@ -0,0 +1,168 @@
+/**
+ * Zod schema generation, built from the JSON Schemas of jsonschema.js so
+ * both validators always agree
+ */
+
+import { colors } from './constants.js';
+import { createFormatter } from './utils.js';
+import { buildEndpointJsonSchemas } from './jsonschema.js';
+
+/**
+ * Quote a string as a single-quoted JavaScript literal
+ */
+function quote(str) {
+  return `'${String(str).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Convert a JSON Schema (as produced by jsonschema.js) to Zod source code
+ * 
+ * @param {Object} schema - The JSON Schema
+ * @param {string} indent - Indentation of the current nesting level
+ * @returns {string} The Zod expression
+ */
+export function jsonSchemaToZod(schema, indent = '') {
+  let zod;
+  
+  if (schema.$ref) {
+    zod = `${schema.$ref.split('/').pop()}Schema`;
+  } else if (schema.anyOf) {
+    const nonNull = schema.anyOf.filter(option => option.type !== 'null');
+    const nullable = nonNull.length < schema.anyOf.length;
+    zod = nonNull.length === 1
+      ? jsonSchemaToZod(nonNull[0], indent)
+      : `z.union([${nonNull.map(option => jsonSchemaToZod(option, indent)).join(', ')}])`;
+    if (nullable) zod += '.nullable()';
+  } else if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(type => type !== 'null');
+    zod = jsonSchemaToZod({ ...schema, type: types[0], description: undefined }, indent);
+    if (types.length < schema.type.length) zod += '.nullable()';
+  } else if (schema.enum) {
+    zod = schema.enum.every(value => typeof value === 'string')
+      ? `z.enum([${schema.enum.map(quote).join(', ')}])`
+      : `z.union([${schema.enum.map(value => `z.literal(${JSON.stringify(value)})`).join(', ')}])`;
+  } else {
+    switch (schema.type) {
+      case 'string':
+        zod = 'z.string()';
+        if (schema.format === 'uuid') zod += '.uuid()';
+        if (schema.format === 'email') zod += '.email()';
+        if (schema.format === 'uri') zod += '.url()';
+        if (schema.format === 'ipv4') zod += ".ip({ version: 'v4' })";
+        if (schema.format === 'ipv6') zod += ".ip({ version: 'v6' })";
+        if (schema.format === 'date') zod += '.regex(/^\\d{4}-\\d{2}-\\d{2}$/)';
+        if (schema.format === 'time') zod += '.regex(/^\\d{2}:\\d{2}(:\\d{2})?$/)';
+        if (typeof schema.maxLength === 'number') zod += `.max(${schema.maxLength})`;
+        break;
+      case 'integer':
+        zod = 'z.number().int()';
+        break;
+      case 'number':
+        zod = 'z.number()';
+        break;
+      case 'boolean':
+        zod = 'z.boolean()';
+        break;
+      case 'array':
+        zod = 'z.array(z.any())';
+        break;
+      case 'object':
+        zod = schema.properties ? objectToZod(schema, indent) : 'z.record(z.any())';
+        break;
+      default:
+        zod = 'z.any()';
+    }
+  }
+  
+  if (schema.description) {
+    zod += `.describe(${quote(schema.description)})`;
+  }
+  
+  return zod;
+}
+
+/**
+ * Convert an object JSON Schema to a z.object() expression, properties not
+ * listed as required being optional
+ */
+function objectToZod(schema, indent) {
+  const required = schema.required || [];
+  const inner = indent + '  ';
+  const properties = Object.entries(schema.properties).map(([name, property]) => {
+    const key = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : quote(name);
+    const optional = required.includes(name) ? '' : '.optional()';
+    return `${inner}${key}: ${jsonSchemaToZod(property, inner)}${optional}`;
+  });
+  
+  if (properties.length === 0) return 'z.object({})';
+  
+  return `z.object({\n${properties.join(',\n')}\n${indent}})`;
+}
+
+/**
+ * Build the Zod source of an endpoint: one exported schema and inferred
+ * type per JSON Schema of the endpoint
+ * 
+ * @param {Object} model - The endpoint model
+ * @param {string} apiPath - The object path
+ * @param {string} typeName - The object type name, derived from the path by default
+ * @returns {string} The TypeScript source using zod
+ */
+export function buildZodSchemas(model, apiPath, typeName) {
+  return buildZodSource(buildEndpointJsonSchemas(model, apiPath, typeName));
+}
+
+/**
+ * Build the Zod source of JSON Schemas keyed by name, e.g. the schemas of
+ * several endpoints
+ * 
+ * @param {Object} schemas - The schemas, keyed by name
+ * @returns {string} The TypeScript source using zod
+ */
+export function buildZodSource(schemas) {
+  let source = `import { z } from 'zod';\n\n`;
+  
+  for (const [name, schema] of Object.entries(schemas)) {
+    if (schema.description) {
+      source += `/**\n * ${schema.description}\n */\n`;
+    }
+    
+    source += `export const ${name}Schema = ${jsonSchemaToZod({ ...schema, description: undefined })};\n`;
+    source += `export type ${name} = z.infer<typeof ${name}Schema>;\n\n`;
+  }
+  
+  return source;
+}
+
+/**
+ * Print the Zod schemas of an endpoint model
+ */
+export function generateZodDefinitions(model, options = {}) {
+  const {
+    output = console.log,
+    useColors = true,
+    markdownFormat = false
+  } = options;
+  
+  const { printOutput, format } = createFormatter({ useColors, output });
+  
+  if (!model.raw.data) {
+    if (markdownFormat) {
+      printOutput(`**Error:** No API data found in response`);
+    } else {
+      printOutput(`${format(colors.red, "Error: No API data found in response")}`);
+    }
+    return;
+  }
+  
+  const apiPath = model.objectPath !== null ? model.objectPath : 'Unknown';
+  const source = buildZodSchemas(model, apiPath);
+  
+  if (markdownFormat) {
+    printOutput(`\n## Zod schemas for: ${apiPath}\n`);
+    printOutput("```typescript\n" + source + "```");
+  } else {
+    printOutput(`\n${format(colors.bright + colors.blue, "Zod schemas for:")} ${format(colors.green, apiPath)}\n`);
+    printOutput(source);
+  }
+}
@@ -0,0 +1,88 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, chmodSync } from 'fs';
+import { createHash, createPublicKey, generateKeyPairSync, verify } from 'crypto';
+import { isolateEnv } from './helpers.js';
+import { resolveCredentials, applyCredentials, createRedactor, redactValue, loadCredentialsFile, getCredentialsPath, REDACTED } from '../src/auth.js';
+
+beforeEach(() => {
+  isolateEnv();
+});
+
+// Runs first: the content of the credentials file is cached once loaded
+test('the credentials file is refused when other users can read it', { skip: process.platform === 'win32' }, () => {
+  writeFileSync(getCredentialsPath(), JSON.stringify({ default: { token: 'stored' } }), { mode: 0o644 });
+  chmodSync(getCredentialsPath(), 0o644);
+  assert.throws(() => loadCredentialsFile(), /accessible by other users/);
+});
+
+test('resolveCredentials prefers options over environment variables', () => {
+  process.env.KLBFW_TOKEN = 'env-token';
+  process.env.KLBFW_COOKIE = 'session=env';
+  
+  const credentials = resolveCredentials(null, { token: 'flag-token' });
+  assert.equal(credentials.token, 'flag-token');
+  assert.equal(credentials.cookie, 'session=env');
+});
+
+test('resolveCredentials returns nothing for anonymous requests', () => {
+  process.env.KLBFW_TOKEN = 'env-token';
+  assert.deepEqual(resolveCredentials(null, { token: 'flag-token', anonymous: true }), {});
+});
+
+test('resolveCredentials requires both parts of an API key', () => {
+  assert.throws(() => resolveCredentials(null, { apiKey: 'key-1' }), /both an API key and an API secret/);
+});
+
+test('applyCredentials sends tokens and cookies as headers', () => {
+  const reqOptions = applyCredentials({ method: 'GET', path: '/_rest/User', headers: {} }, { token: 'abc', cookie: 'a=1' });
+  assert.equal(reqOptions.headers['Authorization'], 'Bearer abc');
+  assert.equal(reqOptions.headers['Cookie'], 'a=1');
+  assert.equal(reqOptions.path, '/_rest/User');
+});
+
+test('applyCredentials signs requests with an Ed25519 API key', () => {
+  const { privateKey } = generateKeyPairSync('ed25519');
+  const apiSecret = privateKey.export({ format: 'jwk' }).d;
+  const body = '{"a":1}';
+  
+  const reqOptions = applyCredentials({ method: 'POST', path: '/_rest/User?x=1', headers: {} }, { apiKey: 'key-1', apiSecret }, body);
+  const [pathname, query] = reqOptions.path.split('?');
+  const params = new URLSearchParams(query);
+  const signature = Buffer.from(params.get('_sign'), 'base64url');
+  params.delete('_sign');
+  
+  assert.equal(params.get('x'), '1');
+  assert.equal(params.get('_key'), 'key-1');
+  assert.ok(params.get('_nonce'));
+  
+  const signString = Buffer.concat([
+    Buffer.from(`POST\0${pathname}\0${params.toString()}\0`),
+    createHash('sha256').update(body).digest()
+  ]);
+  assert.ok(verify(null, signString, createPublicKey(privateKey), signature));
+});
+
+test('applyCredentials rejects invalid API secrets', () => {
+  assert.throws(() => applyCredentials({ method: 'GET', path: '/', headers: {} }, { apiKey: 'key-1', apiSecret: 'short' }), /Invalid API secret/);
+});
+
+test('createRedactor hides tokens, cookies and each cookie value', () => {
+  const redact = createRedactor({ token: 'secret-token', cookie: 'session=abcdef; lang=en' });
+  
+  assert.equal(redact('Bearer secret-token'), `Bearer ${REDACTED}`);
+  assert.equal(redact('Cookie: session=abcdef; lang=en'), `Cookie: ${REDACTED}`);
+  assert.equal(redact('session is abcdef'), `session is ${REDACTED}`);
+  
+  // Values shorter than 4 characters would hide too much
+  assert.equal(redact('lang en'), 'lang en');
+});
+
+test('redactValue hides secrets in the strings and keys of a value', () => {
+  const redact = createRedactor({ token: 'secret-token' });
+  
+  assert.deepEqual(redactValue({ a: ['Bearer secret-token', 1, null], 'secret-token': true }, redact), {
+    a: [`Bearer ${REDACTED}`, 1, null],
+    [REDACTED]: true
+  });
+});
@@ -0,0 +1,105 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_TREE, isolateEnv, startApiServer } from './helpers.js';
+import { isPathPattern, expandApiPaths, describeApis } from '../src/batch.js';
+
+let api, options;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+  options = { host: api.host, noCache: true };
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  api.requests.length = 0;
+});
+
+test('isPathPattern detects wildcards', () => {
+  assert.equal(isPathPattern('User/*'), true);
+  assert.equal(isPathPattern('U?er'), true);
+  assert.equal(isPathPattern('User/Wallet'), false);
+  assert.equal(isPathPattern('Order:refund'), false);
+});
+
+test('* and ? match within a segment', async () => {
+  assert.deepEqual(await expandApiPaths(['*'], options), ['Order', 'User']);
+  assert.deepEqual(await expandApiPaths(['User/*'], options), ['User/Wallet']);
+  assert.deepEqual(await expandApiPaths(['U?er'], options), ['User']);
+});
+
+test('** matches any number of segments, including none', async () => {
+  assert.deepEqual(await expandApiPaths(['**'], options), ['Order', 'User', 'User/Wallet']);
+  assert.deepEqual(await expandApiPaths(['User/**'], options), ['User', 'User/Wallet']);
+  assert.deepEqual(await expandApiPaths(['**/Wallet'], options), ['User/Wallet']);
+});
+
+test('patterns without ** only crawl as deep as they go', async () => {
+  await expandApiPaths(['*'], options);
+  assert.ok(!api.requests.some(request => request.path === 'User/Wallet'));
+});
+
+test('a :name part matches the procedures and methods of the endpoints', async () => {
+  assert.deepEqual(await expandApiPaths(['User:*'], options), ['User:login', 'User:setAvatar']);
+  assert.deepEqual(await expandApiPaths(['**:refund'], options), ['Order:refund']);
+  assert.deepEqual(await expandApiPaths(['*:set*'], options), ['User:setAvatar']);
+});
+
+test('other characters of the patterns are matched literally', async () => {
+  await assert.rejects(expandApiPaths(['Us.r*'], options), /No endpoint matches Us\.r\*/);
+});
+
+test('expandApiPaths keeps paths as they are and lists each path once, in order', async () => {
+  assert.deepEqual(await expandApiPaths(['User/Wallet', 'User/**', 'Nope'], options), ['User/Wallet', 'User', 'Nope']);
+});
+
+test('describeApis describes the matching endpoints in one output', async () => {
+  let printed = '';
+  const entries = await describeApis(['User/**', 'Order'], { ...options, typeScriptOutput: true, useColors: false, output: (text) => { printed += text + '\n'; } });
+  
+  assert.deepEqual(entries.map(entry => entry.path), ['User', 'User/Wallet', 'Order']);
+  assert.equal(printed.match(/Describing/g).length, 1);
+  assert.match(printed, /Describing 3 API endpoints/);
+  assert.match(printed, /TypeScript definitions for: User, User\/Wallet, Order/);
+  assert.equal(printed.match(/interface KlbDateTime/g).length, 1);
+});
+
+test('describeApis rejects patterns matching nothing', async () => {
+  await assert.rejects(describeApis(['Nope/*'], { ...options, output: () => {} }), /Nope/);
+});
+
+test('patterns leave out the sub-endpoints that cannot be fetched, with a warning', async () => {
+  const forbidden = await startApiServer({
+    tree: { ...API_TREE, 'User': { ...API_TREE.User, prefix: [...API_TREE.User.prefix, { name: 'Secret', methods: [] }] }, 'User/Secret': 403 }
+  });
+  
+  const warnings = [];
+  try {
+    const paths = await expandApiPaths(['User/*'], { host: forbidden.host, noCache: true, statusOutput: (text) => warnings.push(text) });
+    assert.deepEqual(paths, ['User/Wallet']);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^Warning: left out User\/Secret \(.*status 403.*\), it could not be fetched$/);
+  } finally {
+    await forbidden.close();
+  }
+});
+
+test('describeApis hides the credentials in raw and JSON output', async () => {
+  const leaky = await startApiServer({
+    tree: { ...API_TREE, 'User': { ...API_TREE.User, description: 'Session of secret-token-123' } }
+  });
+  
+  try {
+    for (const format of [{ rawOutput: true }, { rawOutput: true, jsonOutput: true }, { jsonOutput: true }]) {
+      let printed = '';
+      await describeApis(['User', 'Order'], { host: leaky.host, noCache: true, token: 'secret-token-123', useColors: false, ...format, output: (text) => { printed += text + '\n'; }, statusOutput: () => {} });
+      
+      assert.match(printed, /Session of/);
+      assert.doesNotMatch(printed, /secret-token-123/);
+    }
+  } finally {
+    await leaky.close();
+  }
+});
@@ -0,0 +1,81 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { cachedFetch, clearCache, getCacheDir, resolveCacheSettings } from '../src/cache.js';
+import { credentialsIdentity } from '../src/auth.js';
+import { fetchApiDescription } from '../src/api.js';
+
+let api;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  clearCache();
+  api.requests.length = 0;
+});
+
+test('resolveCacheSettings reads the TTL and offline mode', () => {
+  assert.deepEqual(resolveCacheSettings({}), { enabled: true, offline: false, ttl: 3600 });
+  assert.deepEqual(resolveCacheSettings({ noCache: true, offline: true, cacheTtl: '0' }), { enabled: false, offline: true, ttl: 0 });
+  assert.throws(() => resolveCacheSettings({ cacheTtl: 'soon' }), /Invalid cache TTL: soon/);
+});
+
+test('cachedFetch serves fresh entries and revalidates the stale ones', async () => {
+  const key = { type: 'test', path: 'a' };
+  const seen = [];
+  const fetcher = async (headers) => {
+    seen.push(headers);
+    return seen.length === 1 ? { statusCode: 200, headers: { etag: '"v1"' }, body: 'first' } : { statusCode: 304, headers: {}, body: '' };
+  };
+  
+  assert.equal((await cachedFetch(key, {}, fetcher)).body, 'first');
+  assert.equal((await cachedFetch(key, {}, fetcher)).body, 'first');
+  assert.equal(seen.length, 1);
+  
+  assert.equal((await cachedFetch(key, { cacheTtl: 0 }, fetcher)).body, 'first');
+  assert.deepEqual(seen[1], { 'If-None-Match': '"v1"' });
+  
+  await assert.rejects(cachedFetch({ type: 'test', path: 'b' }, { offline: true }, fetcher, 'Thing b'), /Thing b is not in the cache \(offline mode\)/);
+});
+
+test('cache files are only readable by their owner', { skip: process.platform === 'win32' }, async () => {
+  await cachedFetch({ type: 'test', path: 'a' }, {}, async () => ({ statusCode: 200, headers: {}, body: 'secret' }));
+  
+  const files = readdirSync(getCacheDir());
+  assert.equal(files.length, 1);
+  assert.equal(statSync(join(getCacheDir(), files[0])).mode & 0o777, 0o600);
+  assert.equal(statSync(getCacheDir()).mode & 0o777, 0o700);
+});
+
+test('credentialsIdentity tells credentials apart without holding them', () => {
+  assert.equal(credentialsIdentity({}), null);
+  assert.equal(credentialsIdentity({ token: 'a' }), credentialsIdentity({ token: 'a' }));
+  assert.notEqual(credentialsIdentity({ token: 'a' }), credentialsIdentity({ token: 'b' }));
+  assert.notEqual(credentialsIdentity({ token: 'a' }), credentialsIdentity({ cookie: 'a' }));
+  assert.doesNotMatch(credentialsIdentity({ token: 'secret-token' }), /secret-token/);
+});
+
+test('OPTIONS responses are cached per credentials', async () => {
+  const options = { host: api.host };
+  
+  await fetchApiDescription('User', { ...options, token: 'admin-token' });
+  await fetchApiDescription('User', { ...options, token: 'admin-token' });
+  assert.equal(api.requests.length, 1);
+  
+  await fetchApiDescription('User', options);
+  await fetchApiDescription('User', { ...options, token: 'other-token' });
+  assert.equal(api.requests.length, 3);
+  assert.equal(api.requests[1].headers.authorization, undefined);
+  assert.equal(api.requests[2].headers.authorization, 'Bearer other-token');
+  
+  for (const file of readdirSync(getCacheDir())) {
+    assert.doesNotMatch(readFileSync(join(getCacheDir(), file), 'utf8'), /admin-token/);
+  }
+});
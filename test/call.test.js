@@ -0,0 +1,80 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { callApi, requestApi } from '../src/api.js';
+import { ApiError } from '../src/errors.js';
+import { REDACTED } from '../src/auth.js';
+
+let api, dir, options;
+
+before(async () => {
+  dir = isolateEnv();
+  api = await startApiServer({
+    route: (request) => request.path === 'Broken' ? { status: 500, body: { result: 'error', error: 'Broken', token: 'error_broken' } } : null
+  });
+  options = { host: api.host, output: () => {}, useColors: false };
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  api.requests.length = 0;
+});
+
+test('callApi sends the data as a JSON body and the params in the query', async () => {
+  const response = await callApi('User:login', { ...options, method: 'POST', data: { email: 'a@example.com' }, params: { _ctx: 'x' } });
+  
+  assert.deepEqual(response.data, { method: 'POST', path: 'User:login', query: { _ctx: 'x' }, body: '{"email":"a@example.com"}' });
+  assert.equal(api.requests[0].headers['content-type'], 'application/json');
+});
+
+test('callApi uploads files as multipart form data', async () => {
+  const filePath = join(dir, 'avatar.png');
+  writeFileSync(filePath, 'image');
+  
+  const response = await callApi('User/abc:setAvatar', { ...options, method: 'POST', data: { crop: { x: 1 } }, files: { file: filePath } });
+  
+  assert.match(api.requests[0].headers['content-type'], /^multipart\/form-data; boundary=/);
+  assert.match(response.data.body, /name="crop"\r\n\r\n\{"x":1\}\r\n/);
+  assert.match(response.data.body, /name="file"; filename="avatar.png"\r\nContent-Type: application\/octet-stream\r\n\r\nimage\r\n/);
+});
+
+test('callApi percent-encodes quotes and line breaks of multipart names', async () => {
+  const filePath = join(dir, 'a"b.png');
+  writeFileSync(filePath, 'image');
+  
+  const response = await callApi('User/abc:setAvatar', { ...options, method: 'POST', data: { 'x"\r\nInjected: 1': 'v' }, files: { 'file"': filePath } });
+  
+  assert.match(response.data.body, /name="x%22%0D%0AInjected: 1"\r\n\r\nv\r\n/);
+  assert.match(response.data.body, /name="file%22"; filename="a%22b.png"\r\n/);
+  assert.doesNotMatch(response.data.body, /\r\nInjected/);
+});
+
+test('callApi refuses the methods modifying data unless confirmed', async () => {
+  await assert.rejects(callApi('User/abc', { ...options, method: 'DELETE' }), /must be explicitly confirmed/);
+  await assert.rejects(callApi('User', { ...options, method: 'HEAD' }), /Unsupported method HEAD/);
+  assert.equal(api.requests.length, 0);
+  
+  const response = await callApi('User/abc', { ...options, method: 'DELETE', confirmed: true });
+  assert.equal(response.data.method, 'DELETE');
+});
+
+test('callApi prints the request of a dry run without sending it, credentials redacted', async () => {
+  let printed = '';
+  await callApi('User/abc', { ...options, method: 'PATCH', data: { Email: 'b@example.com' }, token: 'secret-token', dryRun: true, jsonOutput: true, output: (text) => { printed += text; } });
+  
+  assert.equal(api.requests.length, 0);
+  assert.deepEqual(JSON.parse(printed), {
+    method: 'PATCH',
+    url: `${api.host}/_rest/User/abc`,
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json', 'Content-Length': 25, 'Authorization': `Bearer ${REDACTED}` },
+    body: '{\n  "Email": "b@example.com"\n}'
+  });
+});
+
+test('failed requests reject with an ApiError holding the KLB error', async () => {
+  await assert.rejects(requestApi('Broken', options), (error) => error instanceof ApiError && error.statusCode === 500 && error.token === 'error_broken');
+  await assert.rejects(callApi('Broken', options), (error) => error instanceof ApiError && /GET request to Broken failed \(status 500\)/.test(error.message));
+});
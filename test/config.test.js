@@ -0,0 +1,73 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { isolateEnv } from './helpers.js';
+import { loadConfig, resolveTarget, buildApiUrl, checkApiPath, getConfigDir, PROJECT_CONFIG_FILE } from '../src/config.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = isolateEnv();
+  mkdirSync(getConfigDir(), { recursive: true });
+  writeFileSync(join(getConfigDir(), 'config.json'), JSON.stringify({
+    profiles: {
+      staging: { host: 'staging.example.com' },
+      local: { host: 'http://localhost:8080', prefix: '_api' }
+    }
+  }));
+});
+
+test('resolveTarget uses the built-in defaults', () => {
+  assert.deepEqual(resolveTarget(), { profile: null, host: 'ws.atonline.com', prefix: '/_rest/' });
+});
+
+test('resolveTarget applies the selected profile', () => {
+  assert.deepEqual(resolveTarget({ profile: 'local' }), { profile: 'local', host: 'http://localhost:8080', prefix: '/_api/' });
+});
+
+test('resolveTarget prefers options, then environment variables, then the profile', () => {
+  process.env.KLBFW_PROFILE = 'staging';
+  assert.equal(resolveTarget().host, 'staging.example.com');
+  
+  process.env.KLBFW_HOST = 'env.example.com';
+  assert.equal(resolveTarget().host, 'env.example.com');
+  assert.equal(resolveTarget({ host: 'flag.example.com' }).host, 'flag.example.com');
+});
+
+test('resolveTarget rejects unknown profiles', () => {
+  assert.throws(() => resolveTarget({ profile: 'nope' }), /Unknown profile: nope/);
+});
+
+test('loadConfig merges the project file over the user file, profile by profile', () => {
+  const project = join(dir, 'project', 'sub');
+  mkdirSync(project, { recursive: true });
+  writeFileSync(join(dir, 'project', PROJECT_CONFIG_FILE), JSON.stringify({
+    defaultProfile: 'staging',
+    profiles: { staging: { prefix: '/v2/' } }
+  }));
+  
+  const config = loadConfig(project);
+  assert.equal(config.defaultProfile, 'staging');
+  assert.deepEqual(config.profiles.staging, { host: 'staging.example.com', prefix: '/v2/' });
+  assert.deepEqual(config.profiles.local, { host: 'http://localhost:8080', prefix: '_api' });
+});
+
+test('loadConfig reports invalid files', () => {
+  writeFileSync(join(getConfigDir(), 'config.json'), '{');
+  assert.throws(() => loadConfig(dir), /Invalid configuration file/);
+});
+
+test('buildApiUrl uses https unless the host has a scheme', () => {
+  assert.equal(buildApiUrl({ host: 'example.com', prefix: '/_rest/' }, 'User'), 'https://example.com/_rest/User');
+  assert.equal(buildApiUrl({ host: 'http://localhost:8080/', prefix: '/_rest/' }, 'User'), 'http://localhost:8080/_rest/User');
+});
+
+test('checkApiPath rejects paths which may leave the prefix', () => {
+  for (const path of ['User', 'User/abc-123/Wallet', 'User:login', 'Misc/Debug?a=../b', '']) {
+    assert.doesNotThrow(() => checkApiPath(path), path);
+  }
+  for (const path of ['..', 'User/../../admin', './User', 'User/%2e%2E/x', 'User/.%2e', 'User%2fWallet', 'User\\..\\x', 'User/%5C']) {
+    assert.throws(() => checkApiPath(path), /Invalid API path/, path);
+  }
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { isolateEnv, startApiServer, API_TREE } from './helpers.js';
+import { crawlApi, collectEndpoints, countTreeNodes, flattenTree, describeTree } from '../src/crawler.js';
+
+// The default tree, plus a forbidden endpoint and an alias of User
+const TREE = {
+  ...API_TREE,
+  '': { Path: [], prefix: [...API_TREE[''].prefix, { name: 'Admin', methods: [] }] },
+  'Order': { ...API_TREE.Order, prefix: [{ name: 'Customer', methods: ['GET'] }] },
+  'Order/Customer': API_TREE.User,
+  'Admin': 403
+};
+
+let api, options;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer({ tree: TREE });
+  options = { host: api.host, noCache: true };
+});
+
+after(() => api.close());
+
+/**
+ * Find the node of a path in a crawled tree
+ */
+function findNode(node, path) {
+  if (node.path === path) return node;
+  return node.children.map(child => findNode(child, path)).find(Boolean) || null;
+}
+
+test('crawlApi follows the sub-endpoints', async () => {
+  const root = await crawlApi('', options);
+  
+  assert.deepEqual(root.children.map(child => child.name), ['Admin', 'Order', 'User']);
+  assert.equal(countTreeNodes(root), 6);
+  
+  const user = findNode(root, 'User');
+  assert.equal(user.kind, 'resource');
+  assert.deepEqual(user.methods, ['GET', 'POST']);
+  assert.deepEqual(user.procedures, [{ name: 'login', static: true }, { name: 'setAvatar', static: false }]);
+  assert.deepEqual(user.children.map(child => child.path), ['User/Wallet']);
+});
+
+test('crawlApi keeps the endpoints it could not fetch, with their error', async () => {
+  const admin = findNode(await crawlApi('', options), 'Admin');
+  
+  assert.equal(admin.status, 403);
+  assert.match(admin.error, /status 403/);
+});
+
+test('crawlApi marks the endpoints answering with an already visited path as aliases', async () => {
+  const customer = findNode(await crawlApi('', options), 'Order/Customer');
+  
+  assert.equal(customer.aliasOf, 'User');
+  assert.deepEqual(customer.children, []);
+});
+
+test('crawlApi stops at the depth limit', async () => {
+  const root = await crawlApi('User', { ...options, depth: 0 });
+  
+  assert.equal(root.truncated, true);
+  assert.deepEqual(root.children, []);
+});
+
+test('collectEndpoints returns each object once, sorted by path', async () => {
+  const endpoints = await collectEndpoints('User', { ...options, recursive: true });
+  assert.deepEqual(endpoints.map(endpoint => endpoint.path), ['User', 'User/Wallet']);
+  
+  const single = await collectEndpoints('User/abc-123', options);
+  assert.deepEqual(single.map(endpoint => endpoint.path), ['User']);
+});
+
+test('collectEndpoints fails when the root cannot be fetched', async () => {
+  await assert.rejects(collectEndpoints('Admin', { ...options, recursive: true }), (error) => error.statusCode === 403);
+});
+
+test('collectEndpoints fails when sub-endpoints cannot be fetched, unless they are handled', async () => {
+  await assert.rejects(collectEndpoints('', { ...options, recursive: true }), (error) => error.statusCode === 403 && /Unable to fetch 1 endpoints of the subtree: Admin/.test(error.message));
+  
+  const failed = [];
+  const endpoints = await collectEndpoints('', { ...options, recursive: true, onError: (node) => failed.push(node.path) });
+  assert.deepEqual(failed, ['Admin']);
+  assert.deepEqual(endpoints.map(endpoint => endpoint.path), ['', 'Order', 'User', 'User/Wallet']);
+});
+
+test('flattenTree lists the nodes depth first, with the paths of their children', async () => {
+  const nodes = flattenTree(await crawlApi('User', options));
+  
+  assert.deepEqual(nodes.map(node => node.path), ['User', 'User/Wallet']);
+  assert.deepEqual(nodes[0].children, ['User/Wallet']);
+});
+
+test('describeTree prints the tree as JSON and rejects when the root failed', async () => {
+  let printed = '';
+  const output = (text) => { printed += text; };
+  
+  await describeTree('User', { ...options, jsonOutput: true, output });
+  assert.equal(JSON.parse(printed).children[0].path, 'User/Wallet');
+  
+  printed = '';
+  await assert.rejects(describeTree('Admin', { ...options, jsonOutput: true, output }), (error) => error.reported && error.statusCode === 403);
+  assert.equal(JSON.parse(printed).status, 403);
+});
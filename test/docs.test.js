@@ -0,0 +1,53 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { isolateEnv } from './helpers.js';
+import { cachedFetch } from '../src/cache.js';
+import { DOC_REPO_URL } from '../src/constants.js';
+import { fetchDocFileList, listDocumentation, showDocumentation, searchDocumentation } from '../src/api.js';
+
+const DOCS = {
+  'list.json': JSON.stringify([{ uri: 'apibasics.md', title: 'API basics' }, { uri: 'upload.md', title: 'Uploads' }]),
+  'apibasics.md': '# API basics\n\nCall rest() with a path.\nErrors have a token.\n',
+  'upload.md': '# Uploads\n\nFiles are uploaded with upload().\n'
+};
+
+// The docs are read from the cache in offline mode
+before(async () => {
+  isolateEnv();
+  for (const [file, body] of Object.entries(DOCS)) {
+    await cachedFetch({ type: 'doc', host: DOC_REPO_URL, path: file }, {}, async () => ({ statusCode: 200, headers: {}, body }));
+  }
+});
+
+/**
+ * Collect the JSON document printed by a documentation command
+ */
+async function jsonOf(run) {
+  let printed = '';
+  await run({ offline: true, jsonOutput: true, output: (text) => { printed += text; } });
+  return JSON.parse(printed);
+}
+
+test('fetchDocFileList returns MCP resources', async () => {
+  const resources = await fetchDocFileList({ offline: true });
+  assert.deepEqual(resources.map(resource => resource.uri), ['klb://intdoc/apibasics.md', 'klb://intdoc/upload.md']);
+});
+
+test('listDocumentation lists the files with their titles', async () => {
+  assert.deepEqual(await jsonOf(options => listDocumentation(options)), [
+    { file: 'apibasics.md', title: 'API basics' },
+    { file: 'upload.md', title: 'Uploads' }
+  ]);
+});
+
+test('showDocumentation prints a file', async () => {
+  assert.deepEqual(await jsonOf(options => showDocumentation('upload.md', options)), { file: 'upload.md', content: DOCS['upload.md'] });
+});
+
+test('searchDocumentation finds the matching lines of all the files, ignoring case', async () => {
+  const result = await jsonOf(options => searchDocumentation('REST()', options));
+  assert.deepEqual(result.matches, [{ file: 'apibasics.md', line: 3, text: 'Call rest() with a path.' }]);
+  
+  const uploads = await jsonOf(options => searchDocumentation('upload', options));
+  assert.deepEqual(uploads.matches.map(match => `${match.file}:${match.line}`), ['upload.md:1', 'upload.md:3']);
+});
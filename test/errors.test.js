@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { ApiError, parseKlbError, errorKind, exitCodeFor, EXIT_CODES } from '../src/errors.js';
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url));
+
+let api;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer({ tree: { 'User': 403, 'Broken': 502 } });
+});
+
+after(() => api.close());
+
+/**
+ * Run the CLI, resolving with its exit status and outputs
+ * 
+ * The server runs in this process, so the CLI cannot be run synchronously.
+ */
+function runCli(args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI, ...args], { timeout: 30000 });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('close', status => resolve({ status, stdout, stderr }));
+  });
+}
+
+test('parseKlbError reads the error payload of a body', () => {
+  assert.deepEqual(parseKlbError('{"result":"error","error":"Nope","token":"error_nope","request_id":"r1"}'), {
+    message: 'Nope',
+    token: 'error_nope',
+    requestId: 'r1',
+    data: { result: 'error', error: 'Nope', token: 'error_nope', request_id: 'r1' }
+  });
+  assert.equal(parseKlbError('{"result":"success"}'), null);
+  assert.equal(parseKlbError('<html>'), null);
+});
+
+test('ApiError adds the KLB error message to the summary', () => {
+  const error = new ApiError('GET request to User failed (status 403)', 403, '{"result":"error","error":"Access denied","token":"error_access_denied"}');
+  
+  assert.equal(error.message, 'GET request to User failed (status 403): Access denied');
+  assert.equal(error.token, 'error_access_denied');
+  assert.equal(error.requestId, null);
+  assert.equal(new ApiError('Failed', 500, 'oops').message, 'Failed');
+});
+
+test('errorKind and exitCodeFor map statuses and network failures', () => {
+  assert.equal(exitCodeFor({ statusCode: 404 }), EXIT_CODES.notFound);
+  assert.equal(exitCodeFor({ statusCode: 401 }), EXIT_CODES.auth);
+  assert.equal(exitCodeFor({ statusCode: 403 }), EXIT_CODES.auth);
+  assert.equal(exitCodeFor({ statusCode: 503 }), EXIT_CODES.server);
+  assert.equal(exitCodeFor({ statusCode: 400 }), EXIT_CODES.error);
+  assert.equal(errorKind(Object.assign(new Error('refused'), { code: 'ECONNREFUSED', syscall: 'connect' })), 'network');
+  assert.equal(errorKind({ code: 'CERT_HAS_EXPIRED' }), 'network');
+  assert.equal(errorKind(new Error('Invalid JSON')), 'error');
+  assert.equal(errorKind(Object.assign(new Error('missing'), { code: 'ENOENT', syscall: 'open' })), 'error');
+  assert.equal(errorKind(Object.assign(new Error('directory'), { code: 'EISDIR', syscall: 'read' })), 'error');
+});
+
+test('the CLI exits with the code of the failure', async () => {
+  const denied = await runCli(['User', '--host', api.host, '--no-cache']);
+  assert.equal(denied.status, EXIT_CODES.auth);
+  assert.match(denied.stdout + denied.stderr, /Token: error_status/);
+  
+  assert.equal((await runCli(['Nope', '--host', api.host, '--no-cache'])).status, EXIT_CODES.notFound);
+  assert.equal((await runCli(['Broken', '--host', api.host, '--no-cache', '--retries', '0'])).status, EXIT_CODES.server);
+  assert.equal((await runCli(['User', '--host', 'http://127.0.0.1:1', '--no-cache', '--retries', '0'])).status, EXIT_CODES.network);
+});
+
+test('a missing --data file is not a network error', async () => {
+  const result = await runCli(['call', 'POST', 'User:login', '--data', '@missing.json', '--host', api.host, '--no-cache']);
+  
+  assert.equal(result.status, EXIT_CODES.error);
+  assert.match(result.stderr, /missing\.json/);
+});
+
+test('with --json, the error goes to stderr and stdout stays empty', async () => {
+  const result = await runCli(['Nope', '--host', api.host, '--no-cache', '--json']);
+  
+  assert.equal(result.status, EXIT_CODES.notFound);
+  assert.equal(result.stdout, '');
+  assert.match(result.stderr, /Not found: Nope/);
+  assert.match(result.stderr, /Request ID: req-404/);
+});
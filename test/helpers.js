@@ -0,0 +1,180 @@
+/**
+ * Helpers shared by the tests
+ * 
+ * Each test file runs in its own process: isolateEnv() points the config,
+ * cache and credentials files to a temporary directory, and startApiServer()
+ * serves OPTIONS descriptions from a tree on a local port, to use as host.
+ */
+
+import http from 'http';
+import { mkdtempSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// OPTIONS descriptions served by default, by path
+export const API_TREE = {
+  '': {
+    Path: [],
+    prefix: [{ name: 'User', methods: ['GET', 'POST'] }, { name: 'Order', methods: ['GET'] }]
+  },
+  'User': {
+    Path: ['User'],
+    type: 'collection',
+    description: 'A user account',
+    allowed_methods: ['GET', 'POST'],
+    allowed_methods_object: ['GET', 'PATCH', 'DELETE'],
+    table: {
+      Name: 'User',
+      Struct: {
+        User__: { type: 'CHAR', size: 36, null: false, key: 'PRIMARY', validator: 'uuid' },
+        Email: { type: 'VARCHAR', size: 255, null: false, validator: 'email', desc: 'User email' },
+        Status: { type: 'ENUM', values: ['valid', 'pending', 'banned'], null: false, default: 'pending' },
+        Realm__: { type: 'CHAR', size: 36, null: true, validator: 'uuid' },
+        Created: { type: 'DATETIME', null: false },
+        _primary: ['User__'],
+        _keys: { '@Email': ['Email'], Realm__: 'FOREIGN' }
+      }
+    },
+    func: [
+      { name: 'login', static: true, description: 'Log in', args: [{ name: 'email', type: 'string', required: true }, { name: 'password', type: 'string', required: true }] },
+      { name: 'setAvatar', static: false, desc: 'Change the avatar', args: [{ name: 'file', type: 'file', required: true }] }
+    ],
+    prefix: [{ name: 'Wallet', methods: ['GET', 'POST'] }]
+  },
+  'User/Wallet': {
+    Path: ['User', 'Wallet'],
+    type: 'collection',
+    allowed_methods: ['GET', 'POST'],
+    allowed_methods_object: ['GET'],
+    table: {
+      Name: 'User_Wallet',
+      Struct: {
+        User_Wallet__: { type: 'CHAR', size: 36, null: false, key: 'PRIMARY' },
+        User__: { type: 'CHAR', size: 36, null: false },
+        Balance: { type: 'DECIMAL', size: '10,2', null: false },
+        _primary: 'User_Wallet__',
+        _keys: { User__: 'FOREIGN' }
+      }
+    },
+    func: [],
+    prefix: []
+  },
+  'Order': {
+    Path: ['Order'],
+    type: 'collection',
+    desc: 'Orders',
+    allowed_methods: ['GET'],
+    allowed_methods_object: ['GET'],
+    table: {
+      Name: 'Order',
+      Struct: {
+        Order__: { type: 'CHAR', size: 36, null: false, key: 'PRIMARY' },
+        User__: { type: 'CHAR', size: 36, null: false },
+        Total: { type: 'DECIMAL', null: false },
+        _primary: ['Order__'],
+        _keys: { User__: 'FOREIGN' }
+      }
+    },
+    func: [{ name: 'refund', static: false, description: 'Refund the order', args: [{ name: 'reason', type: 'string', required: true }, { name: 'amount', type: 'float' }] }],
+    prefix: []
+  },
+  'Order:refund': {
+    Path: ['Order'],
+    procedure: { name: 'refund', static: false, description: 'Refund the order', args: [{ name: 'reason', type: 'string', required: true }, { name: 'amount', type: 'float' }] }
+  }
+};
+
+/**
+ * Isolate the process from the user configuration, cache, credentials,
+ * proxies and KLBFW_* variables
+ * 
+ * @returns {string} The temporary directory holding the config, cache and credentials files
+ */
+export function isolateEnv() {
+  const dir = mkdtempSync(join(tmpdir(), 'klbfw-describe-test-'));
+  
+  for (const name of Object.keys(process.env)) {
+    if (name.startsWith('KLBFW_') || /^(https?|no)_proxy$/i.test(name)) {
+      delete process.env[name];
+    }
+  }
+  
+  process.env.XDG_CONFIG_HOME = join(dir, 'config');
+  process.env.XDG_CACHE_HOME = join(dir, 'cache');
+  process.env.KLBFW_CREDENTIALS = join(dir, 'credentials.json');
+  process.env.NO_COLOR = '1';
+  delete process.env.FORCE_COLOR;
+  
+  return dir;
+}
+
+/**
+ * Start a local API server
+ * 
+ * OPTIONS requests are answered from the tree, entries being the data of a
+ * success response or an error status. Other requests echo their method,
+ * path, query and body. `route(request)` may answer any request first by
+ * returning {status, headers, body}.
+ * 
+ * @param {Object} options - tree and route
+ * @returns {Promise<{host: string, requests: Array<Object>, close: function(): Promise}>} The server
+ */
+export async function startApiServer(options = {}) {
+  const {
+    tree = API_TREE,
+    route = null
+  } = options;
+  
+  const requests = [];
+  
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: decodeURIComponent(url.pathname.replace(/^\/_rest\/?/, '')),
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      };
+      requests.push(request);
+      
+      const answer = (route && route(request)) || defaultAnswer(tree, request);
+      res.writeHead(answer.status || 200, { 'Content-Type': 'application/json', ...answer.headers });
+      res.end(typeof answer.body === 'string' ? answer.body : JSON.stringify(answer.body));
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    host: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Answer a request from the tree
+ */
+function defaultAnswer(tree, request) {
+  if (request.method !== 'OPTIONS') {
+    return { body: { result: 'success', data: { method: request.method, path: request.path, query: request.query, body: request.body } } };
+  }
+  
+  const data = tree[request.path];
+  if (data === undefined) {
+    return { status: 404, body: { result: 'error', error: `Not found: ${request.path}`, token: 'error_not_found', request: 'req-404' } };
+  }
+  
+  if (typeof data === 'number') {
+    return { status: data, body: { result: 'error', error: `Status ${data}`, token: 'error_status' } };
+  }
+  
+  return { body: { result: 'success', data } };
+}
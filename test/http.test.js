@@ -0,0 +1,160 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { gzipSync } from 'zlib';
+import { isolateEnv } from './helpers.js';
+import { httpRequest, resolveHttpSettings, DEFAULT_TIMEOUT, DEFAULT_RETRIES } from '../src/http.js';
+
+/**
+ * Start a server answering with `handler(req, res, body)`, recording the
+ * requests
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Answers by path: /flaky fails twice, /busy is rate limited once, /moved
+// redirects to the other server, /gzip is compressed, /slow never answers
+let attempts = {};
+let server, other;
+
+before(async () => {
+  isolateEnv();
+  other = await startServer((req, res) => res.end(JSON.stringify({ authorization: req.headers.authorization || null })));
+  server = await startServer((req, res) => {
+    const count = attempts[req.url] = (attempts[req.url] || 0) + 1;
+    
+    switch (req.url) {
+      case '/flaky':
+        res.writeHead(count <= 2 ? 503 : 200, { 'Retry-After': '0' });
+        return res.end(`attempt ${count}`);
+      case '/busy':
+        res.writeHead(count <= 1 ? 429 : 200, { 'Retry-After': '0' });
+        return res.end(`attempt ${count}`);
+      case '/moved':
+        res.writeHead(302, { Location: `${other.url}/target` });
+        return res.end();
+      case '/see-other':
+        res.writeHead(303, { Location: '/echo' });
+        return res.end();
+      case '/loop':
+        res.writeHead(307, { Location: '/loop' });
+        return res.end();
+      case '/gzip':
+        res.writeHead(200, { 'Content-Encoding': 'gzip' });
+        return res.end(gzipSync('compressed body'));
+      case '/slow':
+        return;
+      default:
+        res.end(JSON.stringify({ method: req.method, authorization: req.headers.authorization || null }));
+    }
+  });
+});
+
+after(async () => {
+  await server.close();
+  await other.close();
+});
+
+beforeEach(() => {
+  attempts = {};
+  server.requests.length = 0;
+  other.requests.length = 0;
+});
+
+test('resolveHttpSettings reads the options, then the environment', () => {
+  assert.deepEqual(resolveHttpSettings({}), { timeout: DEFAULT_TIMEOUT, retries: DEFAULT_RETRIES, caFile: null });
+  
+  process.env.KLBFW_TIMEOUT = '5';
+  process.env.KLBFW_RETRIES = '1';
+  try {
+    assert.deepEqual(resolveHttpSettings({ retries: 0 }), { timeout: 5, retries: 0, caFile: null });
+  } finally {
+    delete process.env.KLBFW_TIMEOUT;
+    delete process.env.KLBFW_RETRIES;
+  }
+  
+  assert.throws(() => resolveHttpSettings({ timeout: 'x' }), /Invalid timeout: x/);
+  assert.throws(() => resolveHttpSettings({ retries: -1 }), /Invalid retry count: -1/);
+});
+
+test('server errors are retried for idempotent methods only', async () => {
+  const response = await httpRequest(`${server.url}/flaky`);
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body, 'attempt 3');
+  
+  attempts = {};
+  assert.equal((await httpRequest(`${server.url}/flaky`, { method: 'POST', body: '{}' })).statusCode, 503);
+  assert.equal((await httpRequest(`${server.url}/flaky`, { retries: 0 })).statusCode, 503);
+});
+
+test('rate limited requests are retried for all methods', async () => {
+  const response = await httpRequest(`${server.url}/busy`, { method: 'POST', body: '{}' });
+  assert.equal(response.body, 'attempt 2');
+});
+
+test('redirects to another origin drop the credentials', async () => {
+  const response = await httpRequest(`${server.url}/moved`, { headers: { Authorization: 'Bearer secret' } });
+  
+  assert.equal(server.requests[0].headers.authorization, 'Bearer secret');
+  assert.deepEqual(JSON.parse(response.body), { authorization: null });
+});
+
+test('303 redirects continue with a GET without body', async () => {
+  const response = await httpRequest(`${server.url}/see-other`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"a":1}' });
+  
+  assert.equal(JSON.parse(response.body).method, 'GET');
+  assert.equal(server.requests[1].body, '');
+  assert.equal(server.requests[1].headers['content-type'], undefined);
+});
+
+test('redirect loops are stopped', async () => {
+  await assert.rejects(httpRequest(`${server.url}/loop`), /Too many redirects/);
+  assert.equal(server.requests.length, 6);
+});
+
+test('compressed responses are decoded', async () => {
+  assert.equal((await httpRequest(`${server.url}/gzip`)).body, 'compressed body');
+  assert.match(server.requests[0].headers['accept-encoding'], /gzip/);
+});
+
+test('requests time out', async () => {
+  await assert.rejects(httpRequest(`${server.url}/slow`, { timeout: 0.2, retries: 0 }), (error) => error.code === 'ETIMEDOUT' && /timed out after 0.2s/.test(error.message));
+});
+
+test('plain HTTP requests go through HTTP_PROXY, unless NO_PROXY matches', async () => {
+  process.env.HTTP_PROXY = other.url;
+  try {
+    await httpRequest('http://api.example.test/_rest/User');
+    assert.equal(other.requests[0].url, 'http://api.example.test/_rest/User');
+    assert.equal(other.requests[0].headers.host, 'api.example.test');
+    
+    process.env.NO_PROXY = '127.0.0.1';
+    await httpRequest(`${server.url}/echo`);
+    assert.equal(other.requests.length, 1);
+    assert.equal(server.requests.length, 1);
+  } finally {
+    delete process.env.HTTP_PROXY;
+    delete process.env.NO_PROXY;
+  }
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { createFormatter } from '../src/utils.js';
+import { MODEL_VERSION } from '../src/model.js';
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url));
+
+let api;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+});
+
+after(() => api.close());
+
+/**
+ * Run the CLI against the test server, resolving with its exit status and
+ * outputs
+ */
+function runCli(args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI, ...args, '--host', api.host, '--no-cache'], { timeout: 30000 });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('close', status => resolve({ status, stdout, stderr }));
+  });
+}
+
+test('createFormatter sends the messages to stderr in JSON mode', () => {
+  const printed = [];
+  const messages = [];
+  const { printOutput, printJson } = createFormatter({ jsonOutput: true, output: text => printed.push(text), statusOutput: text => messages.push(text), redact: text => text.replace('secret', '***') });
+  
+  printOutput('Describing secret');
+  printJson({ a: 'secret' });
+  printJson({ b: 1 }, { compact: true });
+  
+  assert.deepEqual(messages, ['Describing ***']);
+  assert.deepEqual(printed, ['{\n  "a": "***"\n}', '{"b":1}']);
+});
+
+test('--json prints the endpoint model only', async () => {
+  const result = await runCli(['User/abc-123', '--json']);
+  const model = JSON.parse(result.stdout);
+  
+  assert.equal(result.status, 0);
+  assert.equal(model.version, MODEL_VERSION);
+  assert.equal(model.path, 'User');
+  assert.equal(model.raw, undefined);
+  assert.match(result.stderr, /Describing API endpoint/);
+});
+
+test('--json --raw and --json --jsonschema print the response and the schema document', async () => {
+  assert.deepEqual(JSON.parse((await runCli(['User', '--json', '--raw'])).stdout).data.Path, ['User']);
+  assert.ok(JSON.parse((await runCli(['User', '--json', '--jsonschema'])).stdout).$defs.User);
+});
+
+test('--json --get and call print the response as sent', async () => {
+  assert.deepEqual(JSON.parse((await runCli(['--get', 'User/abc', '--json'])).stdout).data.method, 'GET');
+  
+  const dryRun = JSON.parse((await runCli(['call', 'POST', 'User:login', '--data', '{"email":"a"}', '--dry-run', '--no-validate', '--json'])).stdout);
+  assert.equal(dryRun.method, 'POST');
+  assert.equal(dryRun.body, '{\n  "email": "a"\n}');
+});
+
+test('--tree --ndjson prints one node per line', async () => {
+  const lines = (await runCli(['--tree', 'User', '--ndjson'])).stdout.trim().split('\n').map(line => JSON.parse(line));
+  
+  assert.deepEqual(lines.map(node => node.path), ['User', 'User/Wallet']);
+  assert.deepEqual(lines[0].children, ['User/Wallet']);
+});
+
+test('--json is refused with the text-only outputs', async () => {
+  const result = await runCli(['User', '--json', '--ts']);
+  
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /--json cannot be combined with --ts or --zod/);
+});
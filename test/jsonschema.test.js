@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_TREE } from './helpers.js';
+import { buildEndpointModel } from '../src/model.js';
+import { klbTypeToJsonSchema, nullableSchema, fieldsToJsonSchema, argsToJsonSchema, buildEndpointJsonSchemas, buildJsonSchemaDocument, KLB_DATETIME_ARGUMENT_SCHEMA } from '../src/jsonschema.js';
+
+const user = buildEndpointModel({ result: 'success', data: API_TREE.User }, 'User');
+
+test('klbTypeToJsonSchema maps the KLB types, validators and sizes', () => {
+  assert.deepEqual(klbTypeToJsonSchema('INT'), { type: 'integer' });
+  assert.deepEqual(klbTypeToJsonSchema('DECIMAL'), { type: 'number' });
+  assert.deepEqual(klbTypeToJsonSchema('VARCHAR', { size: 255, validator: 'email' }), { type: 'string', format: 'email', maxLength: 255 });
+  assert.deepEqual(klbTypeToJsonSchema('ENUM', { values: ['a', 'b'], size: 1 }), { type: 'string', enum: ['a', 'b'] });
+  assert.deepEqual(klbTypeToJsonSchema('date'), { type: 'string', format: 'date' });
+  assert.deepEqual(klbTypeToJsonSchema('DATETIME', {}, { dateTimeSchema: { $ref: '#/x' } }), { $ref: '#/x' });
+  assert.deepEqual(klbTypeToJsonSchema('whatever'), {});
+});
+
+test('nullableSchema adds null to the type, or wraps the schema', () => {
+  assert.deepEqual(nullableSchema({ type: 'string' }), { type: ['string', 'null'] });
+  assert.deepEqual(nullableSchema({ $ref: '#/x' }), { anyOf: [{ $ref: '#/x' }, { type: 'null' }] });
+});
+
+test('fieldsToJsonSchema requires the fields which are not nullable', () => {
+  const schema = fieldsToJsonSchema(user.table.fields);
+  
+  assert.deepEqual(schema.required, ['User__', 'Email', 'Status', 'Created']);
+  assert.deepEqual(schema.properties.Realm__.type, ['string', 'null']);
+  assert.equal(schema.properties.Email.description, 'User email');
+  assert.equal(schema.properties.Status.default, 'pending');
+});
+
+test('buildEndpointJsonSchemas names the schemas like the TypeScript interfaces', () => {
+  const schemas = buildEndpointJsonSchemas(user, 'User');
+  
+  assert.deepEqual(Object.keys(schemas), ['KlbDateTime', 'User', 'UserLoginParams', 'UserSetAvatarParams']);
+  assert.deepEqual(schemas.User.properties.Created, { $ref: '#/$defs/KlbDateTime' });
+  assert.deepEqual(schemas.UserLoginParams.required, ['email', 'password']);
+});
+
+test('datetime arguments are date strings or unix timestamps, not KlbDateTime objects', () => {
+  const schema = argsToJsonSchema([{ name: 'at', type: 'datetime', required: true }], { dateTimeSchema: { $ref: '#/$defs/KlbDateTime' } });
+  assert.deepEqual(schema.properties.at, KLB_DATETIME_ARGUMENT_SCHEMA);
+  
+  const schedule = buildEndpointModel({ result: 'success', data: { Path: ['Order'], procedure: { name: 'schedule', static: true, args: [{ name: 'at', type: 'datetime', required: true }] } } }, 'Order:schedule');
+  assert.deepEqual(Object.keys(buildEndpointJsonSchemas(schedule, 'Order')), ['OrderScheduleParams']);
+});
+
+test('buildJsonSchemaDocument holds the schemas in $defs', () => {
+  const document = buildJsonSchemaDocument(user, 'User');
+  
+  assert.equal(document.$schema, 'https://json-schema.org/draft/2020-12/schema');
+  assert.ok(document.$defs.User);
+});
@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { describe, get, call, crawl, formatEndpoint, formatJson, formatRaw, ApiError, MODEL_VERSION } from '../src/lib.js';
+
+let api, options;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+  options = { host: api.host, noCache: true };
+});
+
+after(() => api.close());
+
+test('describe returns the endpoint model, without printing', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const model = await describe('User/abc-123', options);
+  
+  assert.equal(model.version, MODEL_VERSION);
+  assert.equal(model.path, 'User');
+  assert.equal(model.kind, 'resource');
+  assert.equal(log.mock.callCount(), 0);
+});
+
+test('get and call return the parsed responses', async () => {
+  const response = await get('User/abc', { ...options, params: { a: '1' } });
+  assert.deepEqual(response.data, { method: 'GET', path: 'User/abc', query: { a: '1' }, body: '' });
+  
+  assert.equal((await call('User:login', { ...options, data: { email: 'x' } })).data.method, 'POST');
+  assert.equal((await call('User/abc', { ...options, method: 'DELETE' })).data.method, 'DELETE');
+  await assert.rejects(call('User', { ...options, method: 'TRACE' }), /Unsupported method TRACE/);
+});
+
+test('failed requests reject with an ApiError', async () => {
+  await assert.rejects(describe('Nope', options), (error) => error instanceof ApiError && error.statusCode === 404 && error.token === 'error_not_found' && error.requestId === 'req-404');
+});
+
+test('crawl attaches the endpoint models to the tree', async () => {
+  const root = await crawl('User', options);
+  
+  assert.equal(root.endpoint.path, 'User');
+  assert.equal(root.children[0].endpoint.path, 'User/Wallet');
+});
+
+test('the renderers return text', async () => {
+  const model = await describe('User', options);
+  
+  assert.match(formatEndpoint(model, { useColors: false }), /Email/);
+  assert.match(formatEndpoint(model, { markdownFormat: true }), /^### API Path: `User`$/m);
+  assert.equal(JSON.parse(formatJson(model)).raw, undefined);
+  assert.equal(JSON.parse(formatRaw(model)).data.Path[0], 'User');
+});
@@ -0,0 +1,147 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { createMcpServer } from '../src/mcp.js';
+import { getConfigDir } from '../src/config.js';
+import { getCredentialsPath } from '../src/auth.js';
+
+let api, other;
+
+/**
+ * Connect a client to an MCP server created with the given defaults
+ */
+async function connect(defaults, options) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer(defaults, options).connect(serverTransport);
+  
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+  other = await startApiServer();
+  
+  mkdirSync(getConfigDir(), { recursive: true });
+  writeFileSync(join(getConfigDir(), 'config.json'), JSON.stringify({ profiles: { staging: { host: api.host } } }));
+  writeFileSync(getCredentialsPath(), JSON.stringify({ staging: { token: 'profile-token' } }), { mode: 0o600 });
+});
+
+after(async () => {
+  await api.close();
+  await other.close();
+});
+
+beforeEach(() => {
+  api.requests.length = 0;
+  other.requests.length = 0;
+});
+
+test('tool calls to the configured host send the server credentials', async () => {
+  const client = await connect({ host: api.host, token: 'server-token', noCache: true });
+  const result = await client.callTool({ name: 'get', arguments: { apiPath: 'User' } });
+  
+  assert.ok(!result.isError);
+  assert.equal(api.requests[0].headers.authorization, 'Bearer server-token');
+});
+
+test('tool calls to another host are sent without credentials', async () => {
+  const client = await connect({ host: api.host, token: 'server-token', cookie: 'session=server-cookie', noCache: true });
+  const result = await client.callTool({ name: 'get', arguments: { apiPath: 'User', host: other.host } });
+  
+  assert.ok(!result.isError);
+  assert.equal(other.requests.length, 1);
+  assert.equal(other.requests[0].headers.authorization, undefined);
+  assert.equal(other.requests[0].headers.cookie, undefined);
+});
+
+test('tool calls with another prefix are sent without credentials', async () => {
+  const client = await connect({ host: api.host, token: 'server-token', noCache: true });
+  await client.callTool({ name: 'call', arguments: { apiPath: 'Misc', prefix: '/other/', method: 'POST', data: {}, validate: false } });
+  
+  assert.equal(api.requests.length, 1);
+  assert.equal(api.requests[0].headers.authorization, undefined);
+});
+
+test('profile credentials are only sent to the profile host', async () => {
+  const client = await connect({ noCache: true });
+  
+  await client.callTool({ name: 'get', arguments: { apiPath: 'User', profile: 'staging' } });
+  assert.equal(api.requests[0].headers.authorization, 'Bearer profile-token');
+  
+  await client.callTool({ name: 'get', arguments: { apiPath: 'User', profile: 'staging', host: other.host } });
+  assert.equal(other.requests[0].headers.authorization, undefined);
+});
+
+test('describe returns the endpoint model as structured content', async () => {
+  const client = await connect({ host: api.host, noCache: true });
+  const result = await client.callTool({ name: 'describe', arguments: { apiPath: 'User' } });
+  
+  assert.ok(!result.isError);
+  assert.equal(result.structuredContent.host, api.host);
+  assert.equal(result.structuredContent.endpoints[0].endpoint.path, 'User');
+  assert.ok(result.structuredContent.endpoints[0].fields.some(field => field.name === 'Email'));
+  assert.match(result.content[0].text, /Describing API endpoint/);
+});
+
+test('failed tool calls are error results', async () => {
+  const client = await connect({ host: api.host, noCache: true });
+  const result = await client.callTool({ name: 'describe', arguments: { apiPath: 'Nope' } });
+  
+  assert.ok(result.isError);
+  assert.match(result.content[0].text, /404/);
+});
+
+test('the API resources list the crawled endpoints', async () => {
+  const client = await connect({ host: api.host, noCache: true });
+  const { resources } = await client.listResources();
+  
+  const endpoints = resources.filter(resource => resource.uri.startsWith('klb://api/'));
+  assert.deepEqual(endpoints.map(resource => resource.uri), ['klb://api/Order', 'klb://api/User', 'klb://api/User/Wallet']);
+  assert.equal(endpoints[1].description, 'A user account');
+});
+
+test('the API resources describe an endpoint as JSON, linking its sub-endpoints and methods', async () => {
+  const client = await connect({ host: api.host, noCache: true });
+  const { contents } = await client.readResource({ uri: 'klb://api/User' });
+  const json = JSON.parse(contents[0].text);
+  
+  assert.equal(contents[0].mimeType, 'application/json');
+  assert.equal(json.uri, 'klb://api/User');
+  assert.equal(json.path, 'User');
+  assert.deepEqual(json.children.map(child => child.uri), ['klb://api/User/Wallet']);
+  assert.deepEqual(json.methods.map(method => method.uri), ['klb://api/User:login', 'klb://api/User:setAvatar']);
+});
+
+test('the markdown API resources end with links to the related resources', async () => {
+  const client = await connect({ host: api.host, noCache: true });
+  const { contents } = await client.readResource({ uri: 'klb://api-md/User' });
+  
+  assert.equal(contents[0].mimeType, 'text/markdown');
+  assert.match(contents[0].text, /### API Path: `User`/);
+  assert.match(contents[0].text, /### Resources\n\n- \[Wallet\]\(klb:\/\/api-md\/User\/Wallet\)\n- \[login\(\)\]\(klb:\/\/api-md\/User:login\)\n/);
+});
+
+test('reading the resource of an unknown endpoint fails', async () => {
+  const client = await connect({ host: api.host, noCache: true });
+  await assert.rejects(client.readResource({ uri: 'klb://api/Nope' }), /Failed to fetch API resource/);
+});
+
+test('paths leaving the API prefix are rejected before any request', async () => {
+  const client = await connect({ host: api.host, token: 'server-token', noCache: true });
+  
+  for (const [name, apiPath] of [['get', '../../admin'], ['call', 'User/..%2F..%2Fadmin'], ['describe', 'User/%2e%2e/x']]) {
+    const result = await client.callTool({ name, arguments: { apiPath, method: 'POST', data: {}, validate: false } });
+    assert.ok(result.isError, name);
+    assert.match(result.content[0].text, /Invalid API path/, name);
+  }
+  await assert.rejects(client.readResource({ uri: 'klb://api/User/%2e%2e%2f%2e%2e%2fadmin' }), /Invalid API path/);
+  
+  assert.equal(api.requests.length, 0);
+});
@@ -0,0 +1,101 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { startMcpHttpServer } from '../src/mcphttp.js';
+
+let api, other, server, base;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+  other = await startApiServer();
+  
+  server = await startMcpHttpServer({ host: api.host, token: 'server-token', noCache: true }, { port: 0 });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await api.close();
+  await other.close();
+});
+
+beforeEach(() => {
+  api.requests.length = 0;
+  other.requests.length = 0;
+});
+
+/**
+ * Send a GET request with the given headers, resolving with the status
+ */
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${base}${path}`, { headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Connect a client to the Streamable HTTP endpoint
+ */
+async function connect() {
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${base}/mcp`)));
+  return client;
+}
+
+test('requests to a loopback server must name it in their Host header', async () => {
+  assert.equal(await get('/health'), 200);
+  assert.equal(await get('/health', { Host: `localhost:${server.address().port}` }), 200);
+  assert.equal(await get('/health', { Host: '[::1]' }), 200);
+  
+  assert.equal(await get('/health', { Host: 'attacker.example.com' }), 403);
+  assert.equal(await get('/health', { Host: `127.0.0.1.attacker.example.com:${server.address().port}` }), 403);
+});
+
+test('requests from other origins are rejected', async () => {
+  assert.equal(await get('/health', { Origin: 'https://attacker.example.com' }), 403);
+});
+
+test('the tools served over HTTP have no host or files argument', async () => {
+  const client = await connect();
+  const { tools } = await client.listTools();
+  
+  for (const tool of tools.filter(tool => tool.inputSchema.properties.apiPath)) {
+    assert.equal(tool.inputSchema.properties.host, undefined, tool.name);
+    assert.ok(tool.inputSchema.properties.profile, tool.name);
+  }
+  assert.equal(tools.find(tool => tool.name === 'call').inputSchema.properties.files, undefined);
+  
+  await client.close();
+});
+
+test('tool calls over HTTP go to the configured host, whatever the arguments', async () => {
+  const client = await connect();
+  const result = await client.callTool({ name: 'get', arguments: { apiPath: 'User', host: other.host } });
+  
+  assert.ok(!result.isError);
+  assert.equal(other.requests.length, 0);
+  assert.equal(api.requests[0].headers.authorization, 'Bearer server-token');
+  
+  await client.close();
+});
+
+test('the call tool over HTTP does not upload local files', async () => {
+  const client = await connect();
+  const result = await client.callTool({ name: 'call', arguments: { apiPath: 'Misc', method: 'POST', files: { file: '/etc/passwd' }, validate: false } });
+  
+  assert.ok(!result.isError);
+  assert.equal(api.requests.length, 1);
+  assert.doesNotMatch(api.requests[0].headers['content-type'] || '', /multipart/);
+  assert.doesNotMatch(api.requests[0].body, /root:/);
+  
+  await client.close();
+});
@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { createMcpServer } from '../src/mcp.js';
+import { fetchEndpointModel } from '../src/api.js';
+import { describeOutputSchema, getOutputSchema } from '../src/mcpschemas.js';
+
+let api;
+
+before(async () => {
+  isolateEnv();
+  
+  // Plain answers other than OPTIONS, as sent by servers other than KLB,
+  // and a session endpoint echoing the token
+  api = await startApiServer({
+    route: (request) => {
+      if (request.method === 'GET' && request.path === 'Plain') return { body: { items: [1, 2] } };
+      if (request.path === 'Session') return { body: { result: 'success', data: { Path: ['Session'], description: 'Session secret-token-123', token: 'secret-token-123' } } };
+      return null;
+    }
+  });
+});
+
+after(() => api.close());
+
+/**
+ * Connect a client to an MCP server querying the test API
+ */
+async function connect(defaults = {}) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer({ host: api.host, noCache: true, ...defaults }).connect(serverTransport);
+  
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+test('the describe schema accepts decimal sizes', async () => {
+  const model = await fetchEndpointModel('User/Wallet', { host: api.host, noCache: true });
+  const balance = model.table.fields.find(field => field.name === 'Balance');
+  assert.equal(balance.size, '10,2');
+  
+  const parsed = z.object(describeOutputSchema).parse({
+    host: api.host,
+    endpoints: [{ endpoint: model, fields: model.table.fields, methods: model.methods }]
+  });
+  assert.equal(parsed.endpoints[0].fields.find(field => field.name === 'Balance').size, '10,2');
+});
+
+test('the describe tool returns endpoints with decimal fields', async () => {
+  const client = await connect();
+  const result = await client.callTool({ name: 'describe', arguments: { apiPath: 'User/Wallet' } });
+  
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(result.structuredContent.endpoints[0].fields.find(field => field.name === 'Balance').size, '10,2');
+});
+
+test('the get schema accepts responses without a result', async () => {
+  const parsed = z.object(getOutputSchema).parse({ host: api.host, path: 'Plain', response: { items: [1, 2] } });
+  assert.deepEqual(parsed.response, { items: [1, 2] });
+  
+  const client = await connect();
+  const result = await client.callTool({ name: 'get', arguments: { apiPath: 'Plain' } });
+  
+  assert.ok(!result.isError, result.content[0].text);
+  assert.deepEqual(result.structuredContent.response, { items: [1, 2] });
+});
+
+test('the structured content hides the credentials, like the text', async () => {
+  const client = await connect({ token: 'secret-token-123' });
+  
+  for (const name of ['get', 'describe_raw', 'describe']) {
+    const result = await client.callTool({ name, arguments: { apiPath: 'Session' } });
+    const structured = JSON.stringify(result.structuredContent);
+    
+    assert.ok(!result.isError, result.content[0].text);
+    assert.doesNotMatch(result.content[0].text, /secret-token-123/, name);
+    assert.doesNotMatch(structured, /secret-token-123/, name);
+    assert.match(result.content[0].text, /\[REDACTED\]/, name);
+    assert.match(structured, /\[REDACTED\]/, name);
+  }
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_TREE } from './helpers.js';
+import { buildEndpointModel, endpointKind, endpointCallables, usesDateTime, isDateTimeType, MODEL_VERSION } from '../src/model.js';
+
+/**
+ * Build the model of a path of the test tree
+ */
+function modelOf(path) {
+  return buildEndpointModel({ result: 'success', data: API_TREE[path] }, path);
+}
+
+test('buildEndpointModel describes the endpoint', () => {
+  const model = modelOf('User');
+  
+  assert.equal(model.version, MODEL_VERSION);
+  assert.equal(model.path, 'User');
+  assert.equal(model.objectPath, 'User');
+  assert.equal(model.name, 'User');
+  assert.equal(model.kind, 'resource');
+  assert.equal(model.description, 'A user account');
+  assert.deepEqual(model.allowedMethods, ['GET', 'POST']);
+  assert.deepEqual(model.objectMethods, ['GET', 'PATCH', 'DELETE']);
+  assert.deepEqual(model.children, [{ name: 'Wallet', methods: ['GET', 'POST'] }]);
+  assert.equal(model.raw.data, API_TREE.User);
+});
+
+test('buildEndpointModel reads legacy desc properties', () => {
+  assert.equal(modelOf('Order').description, 'Orders');
+  assert.equal(modelOf('User').methods[1].description, 'Change the avatar');
+  assert.equal(modelOf('User').table.fields.find(field => field.name === 'Email').description, 'User email');
+});
+
+test('buildEndpointModel resolves the table structure', () => {
+  const table = modelOf('User').table;
+  const field = (name) => table.fields.find(field => field.name === name);
+  
+  assert.equal(table.name, 'User');
+  assert.deepEqual(table.primaryKey, ['User__']);
+  assert.deepEqual(table.fields.map(field => field.name), ['User__', 'Email', 'Status', 'Realm__', 'Created']);
+  assert.deepEqual(table.indexes, [{ name: '@Email', kind: 'unique', fields: ['Email'] }, { name: 'Realm__', kind: 'foreign', fields: ['Realm__'] }]);
+  assert.deepEqual(table.foreignKeys, [{ field: 'Realm__', target: 'Realm', declared: true }]);
+  
+  assert.equal(field('User__').primary, true);
+  assert.equal(field('User__').foreignKey, false);
+  assert.equal(field('Email').validator, 'email');
+  assert.equal(field('Email').nullable, false);
+  assert.equal(field('Realm__').nullable, true);
+  assert.deepEqual(field('Status').values, ['valid', 'pending', 'banned']);
+  assert.equal(field('Status').default, 'pending');
+  assert.deepEqual(field('Created').extra, {});
+});
+
+test('buildEndpointModel accepts a primary key given as a string and decimal sizes', () => {
+  const table = modelOf('User/Wallet').table;
+  
+  assert.deepEqual(table.primaryKey, ['User_Wallet__']);
+  assert.equal(table.fields.find(field => field.name === 'Balance').size, '10,2');
+  assert.deepEqual(table.foreignKeys, [{ field: 'User__', target: 'User', declared: true }]);
+});
+
+test('buildEndpointModel reads field descriptions and keeps unknown properties', () => {
+  const model = buildEndpointModel({
+    result: 'success',
+    data: {
+      Path: ['Thing'],
+      table: { Name: 'Thing', Struct: { Label: { type: 'VARCHAR', description: 'The label', unit: 'px' }, _engine: 'InnoDB' } },
+      color: 'blue'
+    }
+  });
+  const label = model.table.fields[0];
+  
+  assert.equal(label.description, 'The label');
+  assert.deepEqual(label.extra, { unit: 'px' });
+  assert.deepEqual(model.table.extra, { _engine: 'InnoDB' });
+  assert.deepEqual(model.extra, { color: 'blue' });
+});
+
+test('buildEndpointModel describes procedures on their Path:name path', () => {
+  const model = buildEndpointModel({ result: 'success', data: API_TREE['Order:refund'] }, 'Order:refund');
+  
+  assert.equal(model.kind, 'procedure');
+  assert.equal(model.path, 'Order:refund');
+  assert.equal(model.objectPath, 'Order');
+  assert.equal(model.name, 'refund');
+  assert.equal(model.procedure.static, true);
+  assert.deepEqual(model.procedure.args.map(arg => [arg.name, arg.type, arg.required]), [['reason', 'string', true], ['amount', 'float', false]]);
+  assert.deepEqual(endpointCallables(model).map(callable => callable.name), ['refund']);
+});
+
+test('endpointKind, usesDateTime and isDateTimeType', () => {
+  assert.equal(endpointKind(API_TREE['']), 'collection');
+  assert.equal(endpointKind(API_TREE.User), 'resource');
+  assert.equal(usesDateTime(modelOf('User')), true);
+  assert.equal(usesDateTime(modelOf('Order')), false);
+  assert.equal(isDateTimeType('TIMESTAMP'), true);
+  assert.equal(isDateTimeType('DATE'), false);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { isolateEnv, startApiServer, API_TREE } from './helpers.js';
+import { buildEndpointModel } from '../src/model.js';
+import { buildOpenApiDocument, exportOpenApi } from '../src/openapi.js';
+
+let api;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+});
+
+after(() => api.close());
+
+/**
+ * Build the endpoints of a document from the paths of the test tree
+ */
+function endpointsOf(...paths) {
+  return paths.map(path => ({ path, model: buildEndpointModel({ result: 'success', data: API_TREE[path] }, path) }));
+}
+
+test('buildOpenApiDocument maps allowed methods to collection and object operations', () => {
+  const document = buildOpenApiDocument(endpointsOf('User'), { host: 'example.com', prefix: '/_rest/' });
+  
+  assert.equal(document.openapi, '3.1.0');
+  assert.deepEqual(document.servers, [{ url: 'https://example.com/_rest' }]);
+  assert.deepEqual(Object.keys(document.paths['/User']).filter(key => key !== 'description'), ['get', 'post']);
+  assert.deepEqual(Object.keys(document.paths['/User/{User__}']), ['parameters', 'get', 'patch', 'delete']);
+  assert.equal(document.paths['/User/{User__}'].parameters[0].name, 'User__');
+  assert.equal(document.paths['/User'].get.operationId, 'listUser');
+});
+
+test('buildOpenApiDocument leaves out the object operations of composite primary keys', () => {
+  const composite = buildEndpointModel({ result: 'success', data: { ...API_TREE.User, table: { ...API_TREE.User.table, Struct: { ...API_TREE.User.table.Struct, _primary: ['User__', 'Realm__'] } } } }, 'User');
+  const document = buildOpenApiDocument([{ path: 'User', model: composite }], { host: 'example.com', prefix: '/_rest/' });
+  
+  assert.deepEqual(Object.keys(document.paths), ['/User', '/User:login']);
+  assert.match(document.paths['/User'].description, /composite primary key \(User__, Realm__\)/);
+});
+
+test('buildOpenApiDocument describes procedures and methods as POST operations', () => {
+  const document = buildOpenApiDocument(endpointsOf('User'), { host: 'example.com', prefix: '/_rest/' });
+  
+  const login = document.paths['/User:login'].post;
+  assert.equal(login.operationId, 'userLogin');
+  assert.deepEqual(login.requestBody.content['application/json'].schema.required, ['email', 'password']);
+  
+  assert.ok(document.paths['/User/{User__}:setAvatar'].post);
+});
+
+test('buildOpenApiDocument adds the table schemas as components, with shared KlbDateTime', () => {
+  const document = buildOpenApiDocument(endpointsOf('User', 'User/Wallet'), { host: 'example.com', prefix: '/_rest/' });
+  const schemas = document.components.schemas;
+  
+  assert.ok(schemas.KlbDateTime && schemas.KlbError);
+  assert.deepEqual(schemas.User.properties.Created, { $ref: '#/components/schemas/KlbDateTime' });
+  assert.ok(schemas.User.required.includes('Email'));
+  assert.ok(schemas.UserWallet.properties.Balance);
+  
+  // Create and update requests may send some of the fields only
+  const create = document.paths['/User'].post.requestBody.content['application/json'].schema;
+  assert.equal(create.required, undefined);
+});
+
+test('exportOpenApi crawls the subtree and prints the document', async () => {
+  let printed = '';
+  await exportOpenApi('User', { host: api.host, noCache: true, recursive: true, output: (text) => { printed += text; } });
+  
+  const document = JSON.parse(printed);
+  assert.ok(document.paths['/User']);
+  assert.ok(document.paths['/User/Wallet']);
+});
+
+test('exportOpenApi warns about the sub-endpoints it left out', async () => {
+  const failing = await startApiServer({ tree: { ...API_TREE, 'User/Wallet': 403 } });
+  let printed = '';
+  const warnings = [];
+  
+  try {
+    await exportOpenApi('User', { host: failing.host, noCache: true, recursive: true, output: (text) => { printed += text; }, statusOutput: (text) => warnings.push(text) });
+  } finally {
+    await failing.close();
+  }
+  
+  assert.ok(!JSON.parse(printed).paths['/User/Wallet']);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^Warning: left out User\/Wallet \(.*403.*\), it could not be fetched$/);
+});
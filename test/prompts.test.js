@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { API_TREE, isolateEnv, startApiServer } from './helpers.js';
+import { cachedFetch } from '../src/cache.js';
+import { DOC_REPO_URL } from '../src/constants.js';
+import { buildIntegrationPrompt, buildRestCallPrompt, buildDataModelPrompt } from '../src/prompts.js';
+import { createMcpServer } from '../src/mcp.js';
+
+const DOCS = {
+  'list.json': JSON.stringify([
+    { uri: 'apibasics.md', title: 'API basics' },
+    { uri: 'upload.md', title: 'Uploads' },
+    { uri: 'react.md', title: 'React components' },
+    { uri: 'billing.md', title: 'Billing' }
+  ]),
+  'apibasics.md': '# API basics\n',
+  'upload.md': '# Uploads\n',
+  'react.md': '# React components\n',
+  'billing.md': '# Billing\n'
+};
+
+let api, options;
+
+// The docs are served from the cache, which is fresh
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+  options = { host: api.host };
+  
+  for (const [file, body] of Object.entries(DOCS)) {
+    await cachedFetch({ type: 'doc', host: DOC_REPO_URL, path: file }, {}, async () => ({ statusCode: 200, headers: {}, body }));
+  }
+});
+
+after(() => api.close());
+
+/**
+ * Get the titles of the integration docs included in a prompt
+ */
+function includedDocs(prompt) {
+  return [...prompt.matchAll(/^## Integration documentation: (.*)$/gm)].map(match => match[1]);
+}
+
+test('the integration prompt holds the description, the types and the relevant docs', async () => {
+  const prompt = await buildIntegrationPrompt('User', { ...options, component: 'UserCard' });
+  
+  assert.match(prompt, /^Integrate the KLB API endpoint `User` into a React component named `UserCard`\./);
+  assert.match(prompt, /## Endpoint description: `User`/);
+  assert.match(prompt, /export interface User \{/);
+  // setAvatar uploads a file
+  assert.deepEqual(includedDocs(prompt), ['apibasics.md', 'upload.md', 'react.md']);
+});
+
+test('the rest() call prompt holds the procedure and its goal', async () => {
+  const prompt = await buildRestCallPrompt('Order:refund', { ...options, goal: 'refund late orders' });
+  
+  assert.match(prompt, /procedure `Order:refund`/);
+  assert.match(prompt, /The call is used to: refund late orders/);
+  assert.match(prompt, /## Endpoint description: `Order`/);
+  assert.deepEqual(includedDocs(prompt), ['apibasics.md']);
+});
+
+test('the data model prompt describes the subtree with its diagram', async () => {
+  const prompt = await buildDataModelPrompt('User', options);
+  
+  assert.match(prompt, /## Endpoint description: `User`/);
+  assert.match(prompt, /## Endpoint description: `User\/Wallet`/);
+  assert.match(prompt, /```mermaid\nerDiagram\n/);
+  assert.match(prompt, /User_Wallet \}o--\|\| User : "User__"/);
+});
+
+test('the data model prompt lists the sub-endpoints it could not fetch', async () => {
+  const forbidden = await startApiServer({
+    tree: { ...API_TREE, 'User': { ...API_TREE.User, prefix: [...API_TREE.User.prefix, { name: 'Secret', methods: [] }] }, 'User/Secret': 403 }
+  });
+  
+  try {
+    const prompt = await buildDataModelPrompt('User', { host: forbidden.host });
+    assert.match(prompt, /## Endpoint description: `User\/Wallet`/);
+    assert.match(prompt, /## Endpoints left out\n\n.*\n\n- User\/Secret \(.*status 403.*\)\n/);
+  } finally {
+    await forbidden.close();
+  }
+});
+
+test('the MCP server provides the prompts', async () => {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer({ host: api.host }).connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  
+  const { prompts } = await client.listPrompts();
+  assert.deepEqual(prompts.map(prompt => prompt.name), ['integrate_endpoint', 'write_rest_call', 'explain_data_model']);
+  
+  const result = await client.getPrompt({ name: 'write_rest_call', arguments: { apiPath: 'Order:refund' } });
+  assert.equal(result.messages[0].role, 'user');
+  assert.match(result.messages[0].content.text, /procedure `Order:refund`/);
+  
+  await assert.rejects(client.getPrompt({ name: 'write_rest_call', arguments: { apiPath: 'Nope:x' } }), /Unable to build the prompt/);
+});
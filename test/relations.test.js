@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_TREE, isolateEnv, startApiServer } from './helpers.js';
+import { buildEndpointModel } from '../src/model.js';
+import { foreignKeyPath, buildRelationGraph, endpointRelations } from '../src/relations.js';
+import { formatErd, exportErd } from '../src/erd.js';
+
+/**
+ * Build the collected endpoints of paths of the test tree
+ */
+function endpointsOf(...paths) {
+  return paths.map(path => ({ path, model: buildEndpointModel({ result: 'success', data: API_TREE[path] }, path) }));
+}
+
+const graph = buildRelationGraph(endpointsOf('', 'User', 'User/Wallet', 'Order'));
+
+test('foreignKeyPath maps the key name to a path', () => {
+  assert.equal(foreignKeyPath({ target: 'User_Wallet' }), 'User/Wallet');
+  assert.equal(foreignKeyPath({ target: 'Realm' }), 'Realm');
+});
+
+test('foreignKeyPath picks the known path among the candidates', () => {
+  assert.equal(foreignKeyPath({ target: 'User_Wallet' }, new Set(['User/Wallet'])), 'User/Wallet');
+  assert.equal(foreignKeyPath({ target: 'Legacy_Item' }, new Set(['Legacy_Item'])), 'Legacy_Item');
+  assert.equal(foreignKeyPath({ target: 'Realm' }, new Set(['User'])), null);
+});
+
+test('buildRelationGraph links the tables through their foreign keys', () => {
+  assert.deepEqual(graph.relations, [
+    { from: 'User', field: 'Realm__', to: 'Realm', resolved: false, nullable: true, declared: true },
+    { from: 'User/Wallet', field: 'User__', to: 'User', resolved: true, nullable: false, declared: true },
+    { from: 'Order', field: 'User__', to: 'User', resolved: true, nullable: false, declared: true }
+  ]);
+});
+
+test('buildRelationGraph adds the unknown referenced endpoints as external entities', () => {
+  assert.deepEqual(graph.entities.map(entity => [entity.path, entity.external]), [['User', false], ['User/Wallet', false], ['Order', false], ['Realm', true]]);
+});
+
+test('endpointRelations lists references, and referencing endpoints with a graph', () => {
+  const [user] = endpointsOf('User');
+  
+  assert.deepEqual(endpointRelations(user.model), {
+    references: [{ field: 'Realm__', to: 'Realm', resolved: null }],
+    referencedBy: null
+  });
+  assert.deepEqual(endpointRelations(user.model, graph), {
+    references: [{ field: 'Realm__', to: 'Realm', resolved: false }],
+    referencedBy: [{ from: 'User/Wallet', field: 'User__' }, { from: 'Order', field: 'User__' }]
+  });
+});
+
+test('formatErd renders Mermaid, DOT and PlantUML diagrams', () => {
+  const mermaid = formatErd(graph);
+  assert.match(mermaid, /^erDiagram\n/);
+  assert.match(mermaid, /\n {2}User_Wallet \{\n {4}CHAR User_Wallet__ PK\n {4}CHAR User__ FK\n {4}DECIMAL Balance\n {2}\}\n/);
+  assert.match(mermaid, /\n {2}User \}o--o\| Realm : "Realm__"\n/);
+  assert.match(mermaid, /\n {2}Order \}o--\|\| User : "User__"\n/);
+  assert.doesNotMatch(mermaid, /Realm \{/);
+  
+  const dot = formatErd(graph, 'dot');
+  assert.match(dot, /"Realm" \[label="Realm", style=dashed\];/);
+  assert.match(dot, /"User" -> "Realm" \[label="Realm__", style=dashed\];/);
+  
+  const plantuml = formatErd(graph, 'plantuml');
+  assert.match(plantuml, /entity "User\/Wallet" as User_Wallet \{\n {2}\* User_Wallet__ : CHAR <<PK>>\n {2}--\n/);
+  assert.match(plantuml, /@enduml\n$/);
+  
+  assert.throws(() => formatErd(graph, 'svg'), /Unknown ERD format svg/);
+});
+
+test('exportErd leaves out the sub-endpoints it cannot fetch, with a warning', async () => {
+  isolateEnv();
+  const api = await startApiServer({
+    tree: { ...API_TREE, '': { Path: [], prefix: [...API_TREE[''].prefix, { name: 'Admin', methods: [] }] }, 'Admin': 403 }
+  });
+  
+  const warnings = [];
+  try {
+    const diagram = await exportErd('', { host: api.host, noCache: true, output: () => {}, statusOutput: (text) => warnings.push(text) });
+    assert.match(diagram, /Order \}o--\|\| User/);
+    assert.doesNotMatch(diagram, /Admin/);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^Warning: left out Admin \(.*status 403.*\), it could not be fetched$/);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { generateSdk } from '../src/sdk.js';
+
+let api, dir;
+
+before(async () => {
+  dir = isolateEnv();
+  api = await startApiServer();
+});
+
+after(() => api.close());
+
+test('generateSdk writes a module per object, the shared types and an index', async () => {
+  const outDir = join(dir, 'sdk');
+  const files = await generateSdk('User', { host: api.host, noCache: true, recursive: true, outDir, output: () => {} });
+  
+  assert.deepEqual(files.sort(), ['KlbApiResponse.ts', 'KlbDateTime.ts', 'User.ts', 'UserWallet.ts', 'index.ts']);
+  
+  const user = readFileSync(join(outDir, 'User.ts'), 'utf8');
+  assert.match(user, /import \{ rest \} from '@karpeleslab\/klbfw';/);
+  assert.match(user, /import type \{ KlbDateTime \} from '\.\/KlbDateTime';/);
+  assert.match(user, /export interface User \{/);
+  
+  const wallet = readFileSync(join(outDir, 'UserWallet.ts'), 'utf8');
+  assert.doesNotMatch(wallet, /KlbDateTime/);
+  
+  assert.match(readFileSync(join(outDir, 'index.ts'), 'utf8'), /export \* from '\.\/UserWallet';/);
+});
+
+test('generateSdk only writes the endpoint without recursive', async () => {
+  const files = await generateSdk('User', { host: api.host, noCache: true, outDir: join(dir, 'single'), output: () => {} });
+  assert.ok(files.includes('User.ts'));
+  assert.ok(!files.includes('UserWallet.ts'));
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { isolateEnv, startApiServer, API_TREE } from './helpers.js';
+import { buildEndpointModel } from '../src/model.js';
+import { buildSearchIndex, searchIndex, printSearchResults } from '../src/search.js';
+
+/**
+ * Build the collected endpoints of paths of the test tree
+ */
+function endpointsOf(...paths) {
+  return paths.map(path => ({ path, model: buildEndpointModel({ result: 'success', data: API_TREE[path] }, path) }));
+}
+
+const index = buildSearchIndex(endpointsOf('User', 'User/Wallet', 'Order'));
+
+let api;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer({ tree: { ...API_TREE, '': { ...API_TREE[''], prefix: [...API_TREE[''].prefix, { name: 'Admin', methods: [] }] }, 'Admin': 403 } });
+});
+
+after(() => api.close());
+
+test('buildSearchIndex has an entry per endpoint, field, procedure, method and argument', () => {
+  const user = index.filter(entry => entry.path.startsWith('User') && !entry.path.startsWith('User/'));
+  
+  assert.deepEqual(user.map(entry => `${entry.kind} ${entry.path} ${entry.name}`), [
+    'endpoint User User',
+    'field User User__',
+    'field User Email',
+    'field User Status',
+    'field User Realm__',
+    'field User Created',
+    'procedure User:login login',
+    'argument User:login email',
+    'argument User:login password',
+    'method User:setAvatar setAvatar',
+    'argument User:setAvatar file'
+  ]);
+  assert.deepEqual(index.find(entry => entry.name === 'login'), { path: 'User:login', kind: 'procedure', name: 'login', detail: 'login(email, password)', description: 'Log in' });
+});
+
+test('searchIndex ranks exact names, then prefixes, then descriptions', () => {
+  const { results } = searchIndex(index, 'wallet');
+  assert.deepEqual(results.map(result => `${result.kind} ${result.path} ${result.name}`), [
+    'endpoint User/Wallet Wallet',
+    'field User/Wallet User_Wallet__'
+  ]);
+  
+  const refund = searchIndex(index, 'REFUND').results;
+  assert.equal(refund[0].path, 'Order:refund');
+  assert.equal(refund[0].context, 'refund(reason, amount) - Refund the order');
+  
+  // The file argument only matches through its path
+  assert.deepEqual(searchIndex(index, 'avatar').results.map(result => result.name), ['setAvatar']);
+});
+
+test('searchIndex requires all the terms, one of them in the name or description', () => {
+  assert.deepEqual(searchIndex(index, 'login email').results.map(result => `${result.path} ${result.name}`), ['User:login email']);
+  assert.deepEqual(searchIndex(index, 'user nothing').results, []);
+  assert.deepEqual(searchIndex(index, '  !! '), { total: 0, results: [] });
+});
+
+test('searchIndex limits the results and counts all the matches', () => {
+  const { total, results } = searchIndex(index, 'user', { limit: 2 });
+  
+  assert.equal(results.length, 2);
+  assert.ok(total > 2);
+  assert.equal(results[0].kind, 'endpoint');
+  assert.ok(results[0].score >= results[1].score);
+});
+
+test('printSearchResults crawls the API and lists the endpoints it could not search', async () => {
+  let printed = '';
+  await printSearchResults('refund', { host: api.host, noCache: true, jsonOutput: true, output: (text) => { printed += text; } });
+  
+  const result = JSON.parse(printed);
+  assert.equal(result.results[0].path, 'Order:refund');
+  assert.equal(result.failed.length, 1);
+  assert.equal(result.failed[0].path, 'Admin');
+});
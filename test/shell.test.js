@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { startShell } from '../src/shell.js';
+
+let api;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+});
+
+after(() => api.close());
+
+/**
+ * Run the shell with piped input lines, resolving with what it printed
+ * 
+ * Prompts are printed too, the output of each command following the prompt
+ * it was typed at.
+ */
+async function runShell(lines) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let printed = '';
+  output.on('data', chunk => { printed += chunk; });
+  
+  const done = startShell({ host: api.host, noCache: true, input, output });
+  input.end(lines.map(line => line + '\n').join(''));
+  await done;
+  
+  return printed;
+}
+
+test('the shell moves around the tree and lists the endpoints', async () => {
+  const printed = await runShell(['ls', 'cd User', 'pwd', 'ls', 'cd ..', 'pwd', 'cd /User/Wallet', 'pwd']);
+  
+  assert.match(printed, /KLB API shell/);
+  assert.match(printed, /Order\/ +GET\n/);
+  assert.match(printed, /\/User> \/User\n/);
+  assert.match(printed, /Wallet\/ +GET, POST\n/);
+  assert.match(printed, /:login +static\n/);
+  assert.match(printed, /:setAvatar +method\n/);
+  assert.match(printed, / \/> \/\n/);
+  assert.match(printed, /\/User\/Wallet> \/User\/Wallet\n/);
+});
+
+test('the shell sends requests, and asks before modifying data', async () => {
+  api.requests.length = 0;
+  const printed = await runShell(['cd User', 'get abc a=1', 'call DELETE abc', 'n', 'call PATCH abc {"Email": "a@example.com"}', 'y']);
+  
+  const sent = api.requests.filter(request => request.method !== 'OPTIONS');
+  assert.deepEqual(sent.map(request => [request.method, request.path]), [['GET', 'User/abc'], ['PATCH', 'User/abc']]);
+  assert.deepEqual(sent[0].query, { a: '1' });
+  assert.equal(sent[1].body, '{"Email":"a@example.com"}');
+  assert.match(printed, /Send DELETE User\/abc\? \[y\/N\] /);
+  assert.match(printed, /Cancelled/);
+});
+
+test('the shell validates the calls and reports errors without leaving', async () => {
+  api.requests.length = 0;
+  const printed = await runShell(['call User:login {"email": "a"}', 'bogus', 'cd Order:refund', 'exit', 'pwd']);
+  
+  assert.match(printed, /Error: Missing required argument password \(string\)/);
+  assert.match(printed, /Error: Unknown command bogus, type help for the list/);
+  assert.match(printed, /Error: Order:refund is a procedure/);
+  assert.ok(!api.requests.some(request => request.method === 'POST'));
+  assert.doesNotMatch(printed, / \/> \/\n/);
+});
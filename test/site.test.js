@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { isolateEnv, startApiServer, API_TREE } from './helpers.js';
+import { generateSite, sitePageName } from '../src/site.js';
+
+// The default tree, with a description to escape and a forbidden endpoint
+const TREE = {
+  ...API_TREE,
+  '': { Path: [], prefix: [...API_TREE[''].prefix, { name: 'Admin', methods: [] }] },
+  'Order': { ...API_TREE.Order, desc: 'Orders <b>& refunds</b>' },
+  'Admin': 403
+};
+
+let api, outDir, files, messages;
+
+before(async () => {
+  const dir = isolateEnv();
+  api = await startApiServer({ tree: TREE });
+  outDir = join(dir, 'site');
+  messages = [];
+  files = await generateSite('', { host: api.host, noCache: true, outDir, useColors: false, output: text => messages.push(text) });
+});
+
+after(() => api.close());
+
+/**
+ * Read a written page
+ */
+function page(name) {
+  return readFileSync(join(outDir, name), 'utf8');
+}
+
+test('sitePageName joins the path segments with dots', () => {
+  assert.equal(sitePageName('User/Wallet'), 'User.Wallet.html');
+  assert.equal(sitePageName(''), 'root.html');
+});
+
+test('generateSite writes the index, a page per endpoint and the search files', () => {
+  assert.deepEqual(files.sort(), ['Order.html', 'User.Wallet.html', 'User.html', 'index.html', 'root.html', 'search-index.js', 'search.js', 'style.css']);
+  assert.deepEqual(readdirSync(outDir).sort(), files);
+  assert.match(messages.join('\n'), /Generated documentation site: 4 endpoints, 8 files/);
+});
+
+test('generateSite warns about the endpoints it left out', () => {
+  assert.match(messages.join('\n'), /Warning: left out Admin \(.*403.*\), it could not be fetched/);
+});
+
+test('the pages link the subresources and references, and escape the descriptions', () => {
+  const user = page('User.html');
+  assert.match(user, /<a href="User.Wallet.html"><code>Wallet<\/code><\/a>/);
+  assert.match(user, /<tr id="field-Email"><td><code>Email<\/code><\/td><td>VARCHAR<\/td><td>255<\/td><td>Yes<\/td><td>email<\/td>/);
+  assert.match(user, /<code>Realm__<\/code> &rarr; <code>Realm<\/code> <span class="muted">\(not found\)<\/span>/);
+  assert.match(user, /<a href="Order.html"><code>Order<\/code><\/a> <span class="muted">via <code>User__<\/code><\/span>/);
+  assert.match(user, /<h3 id="fn-login">static login\(\)<\/h3>/);
+  assert.match(user, /await rest\(&#39;User:login&#39;, &#39;POST&#39;, \{&quot;email&quot;:&quot;&quot;,&quot;password&quot;:&quot;&quot;\}\);/);
+  
+  assert.match(page('Order.html'), /Orders &lt;b&gt;&amp; refunds&lt;\/b&gt;/);
+  assert.doesNotMatch(page('index.html'), /<b>/);
+});
+
+test('the search index links the entries to their pages', () => {
+  const script = page('search-index.js');
+  assert.match(script, /^window\.KLB_SEARCH_INDEX = /);
+  assert.doesNotMatch(script, /</);
+  
+  const entries = JSON.parse(script.replace(/^window\.KLB_SEARCH_INDEX = /, '').replace(/;\n$/, ''));
+  assert.equal(entries.find(entry => entry.name === 'login').url, 'User.html#fn-login');
+  assert.equal(entries.find(entry => entry.name === 'Balance').url, 'User.Wallet.html#field-Balance');
+});
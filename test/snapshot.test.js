@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { isolateEnv, startApiServer, API_TREE } from './helpers.js';
+import { createSnapshot, diffSnapshots, SNAPSHOT_FORMAT, SNAPSHOT_VERSION } from '../src/snapshot.js';
+import { EXIT_CODES } from '../src/errors.js';
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// The default tree, with a forbidden sub-endpoint of User
+const TREE = {
+  ...API_TREE,
+  'User': { ...API_TREE.User, prefix: [...API_TREE.User.prefix, { name: 'Admin', methods: [] }] },
+  'User/Admin': 403
+};
+
+let api, dir;
+
+before(async () => {
+  dir = isolateEnv();
+  api = await startApiServer({ tree: TREE });
+});
+
+after(() => api.close());
+
+/**
+ * Build a snapshot holding endpoints
+ */
+function snapshotOf(endpoints, failed = {}) {
+  return { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, endpoints, failed };
+}
+
+/**
+ * Build a snapshot endpoint with fields
+ */
+function endpointOf(fields = {}, functions = {}) {
+  return { allowedMethods: ['GET'], objectMethods: ['GET'], fields, functions };
+}
+
+/**
+ * Build a snapshot field
+ */
+function fieldOf(options = {}) {
+  return { type: 'VARCHAR', nullable: false, size: 32, values: null, validator: null, ...options };
+}
+
+test('createSnapshot records the endpoints that could not be fetched', async () => {
+  const snapshot = await createSnapshot('User', { host: api.host, noCache: true, recursive: true });
+  
+  assert.deepEqual(Object.keys(snapshot.endpoints), ['User', 'User/Wallet']);
+  assert.deepEqual(Object.keys(snapshot.failed), ['User/Admin']);
+  assert.match(snapshot.failed['User/Admin'], /403/);
+  assert.deepEqual(snapshot.endpoints.User.fields.Email, { type: 'VARCHAR', nullable: false, size: 255, values: null, validator: 'email' });
+});
+
+test('diffSnapshots reports removals and new required arguments as breaking', () => {
+  const before = snapshotOf({
+    'User': endpointOf({ Email: fieldOf() }, { login: { static: true, args: { email: { type: 'string', required: true } } } }),
+    'Order': endpointOf()
+  });
+  const after = snapshotOf({
+    'User': endpointOf({ Email: fieldOf(), Name: fieldOf() }, { login: { static: true, args: { email: { type: 'string', required: true }, otp: { type: 'string', required: true } } } })
+  });
+  
+  assert.deepEqual(diffSnapshots(before, after).map(change => [change.path, change.message, change.breaking]), [
+    ['Order', 'Endpoint Order removed', true],
+    ['User', 'Field Name added', false],
+    ['User:login', 'Required argument otp added', true]
+  ]);
+});
+
+test('diffSnapshots reports smaller sizes as breaking and larger ones as not', () => {
+  const before = snapshotOf({ 'User': endpointOf({ Name: fieldOf(), Code: fieldOf({ size: null }), Balance: fieldOf({ type: 'DECIMAL', size: '10,2' }) }) });
+  const larger = snapshotOf({ 'User': endpointOf({ Name: fieldOf({ size: 64 }), Code: fieldOf({ size: null }), Balance: fieldOf({ type: 'DECIMAL', size: '12,2' }) }) });
+  const smaller = snapshotOf({ 'User': endpointOf({ Name: fieldOf({ size: 16 }), Code: fieldOf({ size: 8 }), Balance: fieldOf({ type: 'DECIMAL', size: '10,1' }) }) });
+  
+  assert.deepEqual(diffSnapshots(before, larger).map(change => [change.message, change.breaking]), [
+    ['Field Name size changed from 32 to 64', false],
+    ['Field Balance size changed from 10,2 to 12,2', false]
+  ]);
+  
+  assert.deepEqual(diffSnapshots(before, smaller).map(change => [change.message, change.breaking]), [
+    ['Field Name size changed from 32 to 16', true],
+    ['Field Code size changed from unlimited to 8', true],
+    ['Field Balance size changed from 10,2 to 10,1', true]
+  ]);
+  
+  assert.deepEqual(diffSnapshots(before, before), []);
+});
+
+test('diffSnapshots reports added and changed validators as breaking, removed ones as not', () => {
+  const before = snapshotOf({ 'User': endpointOf({ Email: fieldOf({ validator: 'email' }), Name: fieldOf(), Id: fieldOf({ validator: 'uuid' }) }) });
+  const after = snapshotOf({ 'User': endpointOf({ Email: fieldOf(), Name: fieldOf({ validator: 'alpha' }), Id: fieldOf({ validator: 'email' }) }) });
+  
+  assert.deepEqual(diffSnapshots(before, after).map(change => [change.message, change.breaking]), [
+    ['Field Email validator email removed', false],
+    ['Field Name validator set to alpha', true],
+    ['Field Id validator changed from uuid to email', true]
+  ]);
+});
+
+test('diffSnapshots skips the endpoints that could not be fetched and the ones below them', () => {
+  const before = snapshotOf({ 'User': endpointOf(), 'User/Admin': endpointOf(), 'User/Admin/Log': endpointOf() });
+  const after = snapshotOf({ 'User': endpointOf() }, { 'User/Admin': 'Status 403' });
+  
+  assert.deepEqual(diffSnapshots(before, after), [
+    { path: 'User/Admin', kind: 'endpoint', change: 'skipped', message: 'Endpoint User/Admin not compared, it could not be fetched: Status 403', breaking: false }
+  ]);
+});
+
+test('diff exits with its own status when there are breaking changes', () => {
+  const oldFile = join(dir, 'old.json');
+  const newFile = join(dir, 'new.json');
+  writeFileSync(oldFile, JSON.stringify(snapshotOf({ 'User': endpointOf(), 'Order': endpointOf() })));
+  writeFileSync(newFile, JSON.stringify(snapshotOf({ 'User': endpointOf() })));
+  
+  const breaking = spawnSync(process.execPath, [CLI, 'diff', oldFile, newFile, '--json'], { encoding: 'utf8', timeout: 30000 });
+  assert.equal(breaking.status, EXIT_CODES.breaking);
+  assert.notEqual(EXIT_CODES.breaking, EXIT_CODES.error);
+  assert.equal(JSON.parse(breaking.stdout).breaking, true);
+  
+  const unchanged = spawnSync(process.execPath, [CLI, 'diff', oldFile, oldFile, '--json'], { encoding: 'utf8', timeout: 30000 });
+  assert.equal(unchanged.status, 0);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_TREE } from './helpers.js';
+import { buildEndpointModel } from '../src/model.js';
+import { buildTypeScriptInterfaces, buildRestWrappers, convertToTypeScriptType, getTypeName, assignTypeNames, camelCase } from '../src/typescript.js';
+
+const user = buildEndpointModel({ result: 'success', data: API_TREE.User }, 'User');
+
+test('convertToTypeScriptType maps the KLB types', () => {
+  assert.equal(convertToTypeScriptType('VARCHAR'), 'string');
+  assert.equal(convertToTypeScriptType('DECIMAL'), 'number');
+  assert.equal(convertToTypeScriptType('bool'), 'boolean');
+  assert.equal(convertToTypeScriptType('DATETIME'), 'KlbDateTime');
+  assert.equal(convertToTypeScriptType('ENUM', 'Status', { values: ['a', 'b'] }), '"a" | "b"');
+  assert.equal(convertToTypeScriptType('SET', 'Flags', { values: ["it's", 'back\\slash', 1] }), '"it\'s" | "back\\\\slash" | "1"');
+  assert.equal(convertToTypeScriptType('unknown'), 'any');
+  assert.equal(convertToTypeScriptType(null), 'any');
+});
+
+test('getTypeName names types after the last path segments', () => {
+  assert.equal(getTypeName('User'), 'User');
+  assert.equal(getTypeName('User/Wallet'), 'UserWallet');
+  assert.equal(getTypeName('User/abc-123'), 'User');
+  assert.equal(getTypeName('User:login'), 'User');
+  assert.equal(getTypeName(''), 'ApiObject');
+});
+
+test('assignTypeNames gives unique names, avoiding the reserved ones', () => {
+  const endpoints = [{ path: 'Shop/Order' }, { path: 'Shop/Order/Item/Order' }, { path: 'Shop/Item/Order' }, { path: 'KlbDateTime' }];
+  assignTypeNames(endpoints, ['KlbDateTime']);
+  
+  assert.deepEqual(endpoints.map(endpoint => endpoint.typeName), ['ShopOrder', 'ItemOrder', 'ShopItemOrder', 'KlbDateTime2']);
+});
+
+test('buildTypeScriptInterfaces types the fields and the procedure parameters', () => {
+  const source = buildTypeScriptInterfaces(user, 'User');
+  
+  assert.match(source, /export interface User \{/);
+  assert.match(source, /Email: string;/);
+  assert.match(source, /Status: "valid" \| "pending" \| "banned";/);
+  assert.match(source, /Realm__: string \| null;/);
+  assert.match(source, /Created: KlbDateTime;/);
+  assert.match(source, /export interface UserLoginParams \{\n  email: string;\n  password: string;\n\}/);
+});
+
+test('buildRestWrappers calls rest() for the allowed methods and procedures', () => {
+  const source = buildRestWrappers(user, 'User');
+  
+  assert.match(source, /export function listUser\(params\?: Record<string, any>\): Promise<KlbApiResponse<User\[\]>>/);
+  assert.match(source, /return rest\(`User\/\$\{id\}`, 'DELETE'\);/);
+  assert.match(source, /export function userLogin\(params: UserLoginParams\)/);
+  assert.match(source, /return rest\(`User\/\$\{id\}:setAvatar`, 'POST', params\);/);
+});
+
+test('buildRestWrappers leaves out the object functions of composite primary keys', () => {
+  const composite = buildEndpointModel({ result: 'success', data: { ...API_TREE.User, table: { ...API_TREE.User.table, Struct: { ...API_TREE.User.table.Struct, _primary: ['User__', 'Realm__'] } } } }, 'User');
+  const source = buildRestWrappers(composite, 'User');
+  
+  assert.match(source, /^\/\/ User objects have a composite primary key \(User__, Realm__\), the functions taking an object id are left out\n/);
+  assert.match(source, /export function listUser\(/);
+  assert.match(source, /export function userLogin\(/);
+  assert.doesNotMatch(source, /\$\{id\}/);
+});
+
+test('camelCase lowers the first letter', () => {
+  assert.equal(camelCase('set_avatar'), 'setAvatar');
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { isolateEnv, startApiServer } from './helpers.js';
+import { getCallableName, fetchCallableDescription, validateArguments, validateCall } from '../src/validate.js';
+
+const CALLABLE = {
+  name: 'update',
+  args: [
+    { name: 'count', type: 'int', required: true },
+    { name: 'price', type: 'float' },
+    { name: 'active', type: 'bool' },
+    { name: 'mode', type: 'enum', values: ['a', 'b'] },
+    { name: 'when', type: 'datetime' },
+    { name: 'label', type: 'string', size: 4 }
+  ]
+};
+
+let api;
+
+before(async () => {
+  isolateEnv();
+  api = await startApiServer();
+});
+
+after(() => api.close());
+
+test('getCallableName returns the procedure or method name of a path', () => {
+  assert.equal(getCallableName('User:login'), 'login');
+  assert.equal(getCallableName('User/abc:setAvatar'), 'setAvatar');
+  assert.equal(getCallableName('User/abc'), null);
+});
+
+test('validateArguments accepts valid values', () => {
+  assert.deepEqual(validateArguments(CALLABLE, { count: '3', price: 1.5, active: 'true', mode: 'a', when: '2024-01-01', label: 'abcd' }), []);
+  assert.deepEqual(validateArguments(CALLABLE, { count: 1, when: { unix: 1 }, price: null }), []);
+});
+
+test('validateArguments reports missing, mistyped and unknown arguments', () => {
+  assert.deepEqual(validateArguments(CALLABLE, { price: 'x', active: 2, mode: 'c', when: 'soon', label: 'abcde', bogus: 1 }), [
+    'Missing required argument count (int)',
+    'Argument price: expected a number, got "x"',
+    'Argument active: expected a boolean, got 2',
+    'Argument mode: invalid value "c", expected one of: a, b',
+    'Argument when: expected a date/time (ISO string, unix timestamp or {unix}), got "soon"',
+    'Argument label: longer than 4 characters',
+    'Unknown argument bogus, expected one of: count, price, active, mode, when, label'
+  ]);
+});
+
+test('validateArguments counts uploaded files as given', () => {
+  const callable = { name: 'setAvatar', args: [{ name: 'file', type: 'file', required: true }] };
+  
+  assert.deepEqual(validateArguments(callable, {}, ['file']), []);
+  assert.deepEqual(validateArguments(callable, {}, ['image']), ['Missing required argument file (file)', 'Unknown argument image, expected one of: file']);
+});
+
+test('validateArguments leaves the framework and paging parameters to the server', () => {
+  assert.deepEqual(validateArguments(CALLABLE, { count: 1, _ctx: 'x', _expand: 'y', page_no: 2, results_per_page: 10 }), []);
+});
+
+test('fetchCallableDescription finds procedures in their own description or in the object', async () => {
+  const options = { host: api.host, noCache: true };
+  
+  assert.equal((await fetchCallableDescription('Order/abc:refund', options)).name, 'refund');
+  assert.equal((await fetchCallableDescription('User:login', options)).name, 'login');
+  assert.equal(await fetchCallableDescription('User', options), null);
+  await assert.rejects(fetchCallableDescription('User:nope', options), /User has no procedure or method named nope/);
+});
+
+test('validateCall checks the params with the fields of an object body only', async () => {
+  const options = { host: api.host, noCache: true };
+  
+  assert.deepEqual(await validateCall('Order/abc:refund', { ...options, params: { reason: 'late' }, data: { amount: 'x' } }), ['Argument amount: expected a number, got "x"']);
+  assert.deepEqual(await validateCall('Order/abc:refund', { ...options, params: { reason: 'late' }, data: ['a', 'b'] }), []);
+  assert.deepEqual(await validateCall('User', { ...options, data: { bogus: 1 } }), []);
+});
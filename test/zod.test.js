@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { API_TREE } from './helpers.js';
+import { buildEndpointModel } from '../src/model.js';
+import { buildEndpointJsonSchemas } from '../src/jsonschema.js';
+import { jsonSchemaToZod, buildZodSchemas, buildZodSource } from '../src/zod.js';
+
+const user = buildEndpointModel({ result: 'success', data: API_TREE.User }, 'User');
+const schemas = buildEndpointJsonSchemas(user, 'User');
+
+/**
+ * Evaluate a generated Zod expression, with the schemas it references
+ */
+function evaluate(expression, references = {}) {
+  return new Function('z', ...Object.keys(references), `return ${expression};`)(z, ...Object.values(references));
+}
+
+const dateTime = { unix: 1, us: 0, iso: '1970-01-01T00:00:01Z', tz: 'UTC', full: '1000000', unixms: '1000' };
+const validUser = { User__: '0b7e7dee-87a1-4a9d-9d2b-8b5b7b7b7b7b', Email: 'user@example.com', Status: 'valid', Realm__: null, Created: dateTime };
+
+test('jsonSchemaToZod maps the JSON Schema types', () => {
+  assert.equal(jsonSchemaToZod({ type: 'integer' }), 'z.number().int()');
+  assert.equal(jsonSchemaToZod({ type: 'string', format: 'uuid', maxLength: 36 }), 'z.string().uuid().max(36)');
+  assert.equal(jsonSchemaToZod({ type: ['string', 'null'] }), 'z.string().nullable()');
+  assert.equal(jsonSchemaToZod({ type: 'string', enum: ['a', "b'c"] }), "z.enum(['a', 'b\\'c'])");
+  assert.equal(jsonSchemaToZod({ $ref: '#/$defs/KlbDateTime' }), 'KlbDateTimeSchema');
+  assert.equal(jsonSchemaToZod({ type: 'object' }), 'z.record(z.any())');
+});
+
+test('the generated schemas validate the data like the JSON Schemas', () => {
+  const KlbDateTimeSchema = evaluate(jsonSchemaToZod(schemas.KlbDateTime));
+  const UserSchema = evaluate(jsonSchemaToZod(schemas.User), { KlbDateTimeSchema });
+  
+  assert.ok(UserSchema.safeParse(validUser).success);
+  assert.ok(!UserSchema.safeParse({ ...validUser, Email: 'not an email' }).success);
+  assert.ok(!UserSchema.safeParse({ ...validUser, Status: 'unknown' }).success);
+  assert.ok(!UserSchema.safeParse({ ...validUser, Created: null }).success);
+  
+  const { Realm__, ...withoutRealm } = validUser;
+  assert.ok(UserSchema.safeParse(withoutRealm).success);
+});
+
+test('the generated parameter schemas make the optional arguments optional', () => {
+  const LoginSchema = evaluate(jsonSchemaToZod(schemas.UserLoginParams));
+  
+  assert.ok(LoginSchema.safeParse({ email: 'user@example.com', password: 'x' }).success);
+  assert.ok(!LoginSchema.safeParse({ email: 'user@example.com' }).success);
+});
+
+test('the generated parameter schemas accept date strings and unix timestamps for datetime arguments', () => {
+  const schedule = buildEndpointModel({ result: 'success', data: { Path: ['Order'], procedure: { name: 'schedule', static: true, args: [{ name: 'at', type: 'datetime', required: true }] } } }, 'Order:schedule');
+  const ScheduleSchema = evaluate(jsonSchemaToZod(buildEndpointJsonSchemas(schedule, 'Order').OrderScheduleParams));
+  
+  assert.ok(ScheduleSchema.safeParse({ at: '2024-01-01T00:00:00Z' }).success);
+  assert.ok(ScheduleSchema.safeParse({ at: 1704067200 }).success);
+  assert.ok(!ScheduleSchema.safeParse({ at: true }).success);
+});
+
+test('buildZodSchemas exports a schema and an inferred type per JSON Schema', () => {
+  const source = buildZodSchemas(user, 'User');
+  
+  assert.match(source, /^import \{ z \} from 'zod';/);
+  assert.match(source, /export const UserSchema = z\.object\(\{/);
+  assert.match(source, /export type UserLoginParams = z\.infer<typeof UserLoginParamsSchema>;/);
+  assert.equal(source, buildZodSource(schemas));
+});